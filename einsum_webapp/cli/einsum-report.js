@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+import { readFileSync } from 'node:fs';
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+
+register('./jsx-loader.js', import.meta.url);
+
+const { createMetricReport, formatMetricReportTable, isValidIndexSize } = await import('../src/components/utils/metricReport.jsx');
+const { DATA_TYPES, migrateLegacyDataType } = await import('../src/components/utils/dataTypes.jsx');
+
+const USAGE = `Usage: einsum-report [options] [expression]
+
+Prints the metrics of an einsum contraction tree.
+
+Options:
+  -f, --file <path>       Read a JSON file {"expression", "indexSizes", "dataType"}
+                          or a text file containing the expression
+  -s, --sizes <list>      Index sizes, e.g. "i=64,j=32,k=128"
+  -d, --data-type <type>  Data type: ${Object.keys(DATA_TYPES).join(', ')}
+                          or its size in bytes, 4 or 8 (default fp32)
+      --format <format>   Output format: table or json (default table)
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 parse or classification error, 2 invalid usage`;
+
+/**
+ * Parses "i=64,j=32" into an index sizes mapping
+ * @param {string} list - Comma separated index=size pairs
+ * @returns {Object} - Index sizes mapping
+ */
+const parseSizes = (list) => Object.fromEntries(list.split(',').filter(Boolean).map(pair => {
+  const [index, size] = pair.split('=').map(part => part.trim());
+  const value = Number(size);
+  if (!index || !isValidIndexSize(value)) {
+    throw new Error(`Invalid index size '${pair}'`);
+  }
+  return [index, value];
+}));
+
+/**
+ * Reads expression, index sizes and data type from a JSON or text file
+ * @param {string} path - File path
+ * @returns {Object} - Input read from the file, fields missing in the file are left out
+ */
+const readInputFile = (path) => {
+  const content = readFileSync(path, 'utf8').trim();
+  if (!content.startsWith('{')) {
+    return { expression: content };
+  }
+  const parsed = JSON.parse(content);
+  if (parsed.indexSizes !== undefined) {
+    if (typeof parsed.indexSizes !== 'object' || parsed.indexSizes === null || Array.isArray(parsed.indexSizes)) {
+      throw new Error(`Invalid index sizes in '${path}', expected an object of index sizes`);
+    }
+    Object.entries(parsed.indexSizes).forEach(([index, size]) => {
+      if (!isValidIndexSize(size)) {
+        throw new Error(`Invalid index size '${index}=${JSON.stringify(size)}' in '${path}', sizes must be positive integers`);
+      }
+    });
+  }
+  return Object.fromEntries(['expression', 'indexSizes', 'dataType']
+    .filter(field => parsed[field] !== undefined)
+    .map(field => [field, parsed[field]]));
+};
+
+const usageError = (message) => {
+  console.error(`Error: ${message}\n\n${USAGE}`);
+  process.exit(2);
+};
+
+let options;
+try {
+  options = parseArgs({
+    allowPositionals: true,
+    options: {
+      file: { type: 'string', short: 'f' },
+      sizes: { type: 'string', short: 's' },
+      'data-type': { type: 'string', short: 'd' },
+      format: { type: 'string', default: 'table' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+} catch (error) {
+  usageError(error.message);
+}
+
+const { values, positionals } = options;
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (!['table', 'json'].includes(values.format)) {
+  usageError(`Unknown format '${values.format}'`);
+}
+
+let input = { expression: positionals.join(''), indexSizes: {}, dataType: 'fp32' };
+try {
+  if (values.file) {
+    input = { ...input, ...readInputFile(values.file) };
+  }
+  if (values.sizes) {
+    input.indexSizes = { ...input.indexSizes, ...parseSizes(values.sizes) };
+  }
+} catch (error) {
+  usageError(error.message);
+}
+
+const dataType = migrateLegacyDataType(String(values['data-type'] ?? input.dataType));
+if (!DATA_TYPES[dataType]) {
+  usageError(`Unknown data type '${values['data-type'] ?? input.dataType}'`);
+}
+if (!input.expression) {
+  usageError('No expression given');
+}
+
+const report = createMetricReport(input.expression, input.indexSizes || {}, dataType);
+
+if (values.format === 'json') {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(formatMetricReportTable(report));
+}
+
+process.exit(report.errors.length > 0 || report.faultyNodes.length > 0 ? 1 : 0);
@@ -0,0 +1,10 @@
+/**
+ * Node.js module hooks loading the plain JavaScript `.jsx` utility modules of
+ * the web app as ES modules. Modules containing JSX syntax are not supported.
+ */
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.jsx')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -7,5 +7,7 @@ export default {
     },
     transform: {
         '^.+\\.(js|jsx)$': 'babel-jest'
-    }
+    },
+    // d3 only ships ES modules
+    transformIgnorePatterns: ['/node_modules/(?!(d3-[^/]+|internmap)/)']
 };
\ No newline at end of file
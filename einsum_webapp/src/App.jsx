@@ -1,30 +1,27 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import './App.css';
 import EinsumTreeVisualizer from './components/EinsumTreeVisualizer.jsx';
 import { useSearchParams, useNavigate } from 'react-router-dom';
-import { decompressData } from './components/utils/compression.jsx';
+import { readSharePayload } from './components/utils/compression.jsx';
 import { getBaseUrl } from './components/utils/paths.jsx';
 
 function App() {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
 
-  // Get and decompress URL parameters
-  const compressedExpression = searchParams.get('e');
-  const compressedSizes = searchParams.get('s');
-
-  const initialExpression = decompressData(compressedExpression);
-  const initialSizes = decompressData(compressedSizes);
+  // Get and decompress the shared state once, the parameters are cleared below
+  const [sharedState] = useState(() => readSharePayload(searchParams));
+  const hasShareParams = searchParams.has('p') || searchParams.has('e') || searchParams.has('s');
 
   // Clear URL parameters after reading them
   useEffect(() => {
-    if (compressedExpression || compressedSizes) {
+    if (hasShareParams) {
       // Small delay to ensure data is processed
       setTimeout(() => {
         navigate(getBaseUrl(), { replace: true });
       }, 100);
     }
-  }, [compressedExpression, compressedSizes, navigate]);
+  }, [hasShareParams, navigate]);
 
   return (
     <div className="App">
@@ -56,8 +53,9 @@ function App() {
       </header>
       <main className="App-content">
         <EinsumTreeVisualizer
-          initialExpression={initialExpression}
-          initialSizes={initialSizes}
+          initialExpression={sharedState?.expression}
+          initialSizes={sharedState?.indexSizes}
+          initialView={sharedState}
         />
       </main>
     </div>
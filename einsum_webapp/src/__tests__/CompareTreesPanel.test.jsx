@@ -0,0 +1,42 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CompareTreesPanel from '../components/visual/CompareTreesPanel.jsx';
+
+describe('CompareTreesPanel', () => {
+    const summary = (totalOperations, faulty = false) => ({ totalOperations, peakTensorSize: 64, permutationNodes: 1, faulty });
+
+    const renderPanel = (comparison) => render(
+        <CompareTreesPanel
+            active
+            currentExpression=""
+            comparison={comparison}
+            onCompare={jest.fn()}
+            onClose={jest.fn()}
+            formatSize={(value) => `${value} B`}
+        />
+    );
+
+    it('shows the differences of two valid trees', () => {
+        renderPanel({ a: summary(100), b: summary(40), shared: { count: 1 } });
+
+        expect(screen.getByText(/^-60 \(/)).toBeInTheDocument();
+        expect(screen.queryByText(/faulty nodes/)).not.toBeInTheDocument();
+    });
+
+    it('lists every faulty tree and leaves the differences empty', () => {
+        renderPanel({ a: summary(0, true), b: summary(0, true), shared: { count: 0 } });
+
+        expect(screen.getByText(/Trees A and B contain faulty nodes/)).toBeInTheDocument();
+        const opsRow = screen.getByText('#Ops').closest('tr');
+        expect(opsRow.lastChild).toBeEmptyDOMElement();
+    });
+
+    it('leaves the differences empty when one tree is faulty', () => {
+        renderPanel({ a: summary(100), b: summary(0, true), shared: { count: 0 } });
+
+        expect(screen.getByText(/Tree B contains faulty nodes/)).toBeInTheDocument();
+        const sizeRow = screen.getByText('Peak Tensor Size').closest('tr');
+        expect(sizeRow.lastChild).toBeEmptyDOMElement();
+    });
+});
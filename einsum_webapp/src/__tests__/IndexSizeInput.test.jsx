@@ -92,4 +92,36 @@ describe('IndexSizeInput', () => {
             j: 3
         });
     });
+
+    it('sorts named indices with numeric suffixes naturally', () => {
+        render(
+            <IndexSizeInput
+                indexSizes={{ seq_10: 4, batch: 8, seq_2: 4, Head: 2, 12: 3, 3: 5 }}
+                setIndexSizes={mockSetIndexSizes}
+                onUpdate={mockOnUpdate}
+            />
+        );
+
+        const labels = screen.getAllByRole('spinbutton').map(input => input.id);
+        expect(labels).toEqual(['index-3', 'index-12', 'index-Head', 'index-batch', 'index-seq_2', 'index-seq_10']);
+    });
+
+    test('leaves empty sizes symbolic', async () => {
+        render(
+            <IndexSizeInput
+                indexSizes={initialSizes}
+                setIndexSizes={mockSetIndexSizes}
+                onUpdate={mockOnUpdate}
+            />
+        );
+
+        await act(async () => {
+            fireEvent.change(screen.getByRole('spinbutton', { name: /j:/i }), { target: { value: '' } });
+        });
+        await act(async () => {
+            fireEvent.click(screen.getByRole('button', { name: /update sizes/i }));
+        });
+
+        expect(mockSetIndexSizes).toHaveBeenCalledWith({ i: 2, j: null });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,45 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import PathOptimizerPanel from '../components/visual/PathOptimizerPanel.jsx';
+
+describe('PathOptimizerPanel', () => {
+    const mockOnApply = jest.fn();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('shows the reduction of a valid result and applies it', () => {
+        const optimizedTree = {};
+        const onOptimize = jest.fn(() => ({ before: 100, after: 40, faultyNodes: 0, tree: optimizedTree, expression: '[[ij],[jk]->ik]' }));
+        render(<PathOptimizerPanel tree={{}} onOptimize={onOptimize} onApply={mockOnApply} />);
+
+        fireEvent.click(screen.getByText('Optimize'));
+        expect(screen.getByText(/^60(\.0+)? %$/)).toBeInTheDocument();
+
+        fireEvent.click(screen.getByText('Apply'));
+        expect(mockOnApply).toHaveBeenCalledWith(optimizedTree);
+    });
+
+    it('reports a faulty result as an error and disables apply', () => {
+        const onOptimize = jest.fn(() => ({ before: 100, after: 0, faultyNodes: 2, expression: '[[ij],[kl]->ik]' }));
+        render(<PathOptimizerPanel tree={{}} onOptimize={onOptimize} onApply={mockOnApply} />);
+
+        fireEvent.click(screen.getByText('Optimize'));
+        expect(screen.getByText(/2 malformed contractions/)).toBeInTheDocument();
+        expect(screen.queryByText(/Reduction/)).not.toBeInTheDocument();
+        expect(screen.getByText('Apply')).toBeDisabled();
+    });
+
+    it('discards the result when the tree changes', () => {
+        const onOptimize = jest.fn(() => ({ before: 100, after: 40, faultyNodes: 0, expression: '[[ij],[jk]->ik]' }));
+        const { rerender } = render(<PathOptimizerPanel tree={{}} onOptimize={onOptimize} onApply={mockOnApply} />);
+
+        fireEvent.click(screen.getByText('Optimize'));
+        expect(screen.getByText('Apply')).toBeInTheDocument();
+
+        rerender(<PathOptimizerPanel tree={{}} onOptimize={onOptimize} onApply={mockOnApply} />);
+        expect(screen.queryByText('Apply')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,38 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TreeRepairPanel from '../components/visual/TreeRepairPanel.jsx';
+import { RepairKind } from '../components/utils/treeRepair.jsx';
+
+describe('TreeRepairPanel', () => {
+    const repairedTree = {};
+    const plan = {
+        repairs: [{ childId: 'node_0', nodeValue: ['i', 'k'], kind: RepairKind.REDUCE, side: 'left', from: ['i', 'j'], to: ['i'], cost: 32 }],
+        unrepairable: [],
+        totalCost: 32,
+        tree: repairedTree,
+        expression: '[[i,j]->[i]],[i,k]->[i,k]'
+    };
+    const formatSize = (value) => `${value} B`;
+
+    it('applies the planned tree', () => {
+        const onApply = jest.fn();
+        render(<TreeRepairPanel tree={{}} onFindRepairs={() => plan} onApply={onApply} formatSize={formatSize} />);
+
+        fireEvent.click(screen.getByText('Find Repairs'));
+        fireEvent.click(screen.getByText('Apply'));
+        expect(onApply).toHaveBeenCalledWith(repairedTree);
+    });
+
+    it('discards the plan when the tree changes', () => {
+        const props = { onFindRepairs: () => plan, onApply: jest.fn(), formatSize };
+        const { rerender } = render(<TreeRepairPanel tree={{}} {...props} />);
+
+        fireEvent.click(screen.getByText('Find Repairs'));
+        expect(screen.getByText(plan.expression)).toBeInTheDocument();
+
+        rerender(<TreeRepairPanel tree={{}} {...props} />);
+        expect(screen.queryByText(plan.expression)).not.toBeInTheDocument();
+        expect(screen.queryByText('Apply')).not.toBeInTheDocument();
+    });
+});
@@ -0,0 +1,74 @@
+import { parseTree } from '../components/utils/einsumContractionTree.jsx';
+import { CodeTarget, generateCode, codeFileName } from '../components/utils/codeGeneration.jsx';
+
+describe('Code Generation', () => {
+    const indexSizes = { i: 2, j: 3, k: 4, l: 5 };
+
+    test('emits one numpy einsum call per binary node', () => {
+        const root = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const code = generateCode(root, indexSizes, CodeTarget.NUMPY);
+
+        expect(code).toContain('import numpy as np');
+        expect(code).toContain('in0 = np.random.rand(2, 3)  # [i,j] shape (2, 3)');
+        expect(code).toContain('in1 = np.random.rand(3, 4)');
+        expect(code).toContain('in2 = np.random.rand(4, 5)');
+        expect(code).toContain("t0 = np.einsum('ij,jk->ik', in0, in1)");
+        expect(code).toContain("result = np.einsum('ik,kl->il', t0, in2)");
+    });
+
+    test('emits transposes for permutation nodes', () => {
+        const root = parseTree('[[i,j],[j,k]->[i,k]]->[k,i]');
+        const numpy = generateCode(root, indexSizes, CodeTarget.NUMPY);
+        const torch = generateCode(root, indexSizes, CodeTarget.TORCH);
+
+        expect(numpy).toContain('result = np.transpose(t0, (1, 0))');
+        expect(torch).toContain('import torch');
+        expect(torch).toContain("t0 = torch.einsum('ij,jk->ik', in0, in1)");
+        expect(torch).toContain('result = t0.permute(1, 0)');
+    });
+
+    test('creates inputs of the selected data type', () => {
+        const root = parseTree('[i,j],[j,k]->[i,k]');
+        const numpy = generateCode(root, indexSizes, CodeTarget.NUMPY, 'complex64');
+        const torch = generateCode(root, indexSizes, CodeTarget.TORCH, 'int8');
+
+        expect(numpy).toContain('# Data type: complex64');
+        expect(numpy).toContain('in0 = (np.random.rand(2, 3) + 1j * np.random.rand(2, 3)).astype(np.complex64)');
+        expect(torch).toContain('in1 = torch.randint(-128, 128, (3, 4,), dtype=torch.int8)');
+        expect(() => generateCode(root, indexSizes, CodeTarget.NUMPY, 'fp8')).toThrow("Unknown data type 'fp8'");
+    });
+
+    test('follows the data type overrides of nodes', () => {
+        const root = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        root.left.left.dataType = 'fp16';
+        root.left.dataType = 'bf16';
+        root.right.dataType = 'fp64';
+        const numpy = generateCode(root, indexSizes, CodeTarget.NUMPY, 'fp32');
+        const torch = generateCode(root, indexSizes, CodeTarget.TORCH, 'fp32');
+
+        expect(numpy).toContain('in0 = np.random.rand(2, 3).astype(np.float16)');
+        // NumPy stores bf16 as float32, so the result needs no cast
+        expect(numpy).toContain("t0 = np.einsum('ij,jk->ik', in0.astype(np.float32), in1)  #");
+        expect(numpy).toContain("result = np.einsum('ik,kl->il', t0.astype(np.float64), in2)");
+        expect(torch).toContain('in2 = torch.rand((4, 5,), dtype=torch.float64)');
+        expect(torch).toContain("t0 = torch.einsum('ij,jk->ik', in0.to(torch.float32), in1).to(torch.bfloat16)");
+        expect(torch).toContain("result = torch.einsum('ik,kl->il', t0.to(torch.float64), in2)");
+    });
+
+    test('maps multi-character indices to free subscript letters', () => {
+        const root = parseTree('[a,b1],[b1,c]->[a,c]');
+        const code = generateCode(root, { a: 2, b1: 3, c: 4 }, CodeTarget.NUMPY);
+
+        expect(code).toContain("result = np.einsum('ab,bc->ac', in0, in1)");
+    });
+
+    test('rejects unknown targets and missing trees', () => {
+        const root = parseTree('[i,j],[j,k]->[i,k]');
+        expect(() => generateCode(root, indexSizes, 'fortran')).toThrow("Unknown code target 'fortran'");
+        expect(() => generateCode(null, indexSizes)).toThrow('No contraction tree');
+    });
+
+    test('names the download after the target', () => {
+        expect(codeFileName(CodeTarget.TORCH)).toBe('einsum_tree_torch.py');
+    });
+});
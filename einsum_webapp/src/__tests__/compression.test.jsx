@@ -1,4 +1,13 @@
-import { compressData, decompressData, createShareableUrl } from '../components/utils/compression.jsx';
+import {
+    compressData,
+    decompressData,
+    createShareableUrl,
+    readSharePayload,
+    migrateSharePayload,
+    resolveSharedNodeIds,
+    SHARE_SCHEMA_VERSION
+} from '../components/utils/compression.jsx';
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
 
 describe('Compression Utilities', () => {
     const testData = {
@@ -40,8 +49,101 @@ describe('Compression Utilities', () => {
 
         const url = createShareableUrl(expression, indexSizes);
         expect(url).toBeTruthy();
-        expect(url.includes('?e=')).toBeTruthy();
-        expect(url.includes('&s=')).toBeTruthy();
+        expect(url.includes('?p=')).toBeTruthy();
+    });
+
+    test('uses URL-safe base64 and still reads standard base64', () => {
+        // Long enough random-ish data to produce '+' and '/' in standard base64
+        const data = Array.from({ length: 200 }, (_, i) => (i * 7919) % 257);
+        const compressed = compressData(data);
+        expect(compressed).toMatch(/^[A-Za-z0-9_-]+$/);
+
+        const standard = compressed.replace(/-/g, '+').replace(/_/g, '/');
+        expect(decompressData(standard)).toEqual(data);
+        expect(decompressData(standard.replace(/\+/g, ' '))).toEqual(data);
+    });
+
+    test('round-trips the full view state through a share URL', () => {
+        const viewState = {
+            dataType: 'complex64',
+            sizeUnit: 'MiB',
+            layoutOption: 'wide',
+            selectedNodePath: 'R',
+            highlightedNodePaths: ['', 'R'],
+            metricType: 'tensorSize',
+            showPercentages: true,
+            collapsedNodePaths: ['L']
+        };
+        const url = createShareableUrl('[i,j],[j,k]->[i,k]', { i: 2, j: 3, k: 4 }, viewState);
+        const payload = readSharePayload(new URL(url).searchParams);
+
+        expect(payload).toEqual({
+            version: SHARE_SCHEMA_VERSION,
+            expression: '[i,j],[j,k]->[i,k]',
+            indexSizes: { i: 2, j: 3, k: 4 },
+            ...viewState
+        });
+    });
+
+    test('reads links with separate expression and size parameters', () => {
+        const params = new URLSearchParams({
+            e: compressData('[i,j]->[j]'),
+            s: compressData({ i: 2, j: 3 })
+        });
+
+        expect(readSharePayload(params)).toEqual({
+            version: SHARE_SCHEMA_VERSION,
+            expression: '[i,j]->[j]',
+            indexSizes: { i: 2, j: 3 }
+        });
+    });
+
+    test('renames data type sizes of version 1 links', () => {
+        const payload = migrateSharePayload({ version: 1, expression: '[i]->[i]', indexSizes: {}, dataType: '8' });
+
+        expect(payload.version).toBe(SHARE_SCHEMA_VERSION);
+        expect(payload.dataType).toBe('fp64');
+    });
+
+    test('converts node ids of version 2 links to paths', () => {
+        const payload = migrateSharePayload({
+            version: 2,
+            expression: '[i,j],[j,k]->[i,k]',
+            indexSizes: {},
+            selectedNodeId: 'node_0',
+            highlightedNodeIds: ['node_0', 'node_9'],
+            collapsedNodeIds: []
+        });
+        const { selectedNodePath, highlightedNodePaths, collapsedNodePaths } = payload;
+
+        expect(payload).not.toHaveProperty('selectedNodeId');
+        expect(payload).not.toHaveProperty('highlightedNodeIds');
+        expect({ selectedNodePath, highlightedNodePaths, collapsedNodePaths })
+            .toEqual({ selectedNodePath: 'L', highlightedNodePaths: ['L'], collapsedNodePaths: [] });
+    });
+
+    test('restores the selection of a tree shared after a swap', () => {
+        const tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const contraction = tree.getRoot().left;
+        tree.swapChildren(contraction.id);
+        // The edited tree keeps its ids, parsing its expression assigns new ones
+        const selected = contraction.right;
+        const expression = tree.treeToString();
+
+        const url = createShareableUrl(expression, { i: 2, j: 3, k: 4, l: 5 }, { selectedNodePath: tree.nodePath(selected.id) });
+        const view = resolveSharedNodeIds(readSharePayload(new URL(url).searchParams));
+
+        const parsed = new Tree(view.expression);
+        expect(view.selectedNodeId).not.toBe(selected.id);
+        const restored = parsed.findNode(view.selectedNodeId);
+        expect(restored.value).toEqual(selected.value);
+        expect(parsed.nodePath(restored.id)).toBe(tree.nodePath(selected.id));
+    });
+
+    test('ignores missing or broken share payloads', () => {
+        expect(readSharePayload(new URLSearchParams())).toBeNull();
+        expect(readSharePayload(new URLSearchParams({ p: 'not-a-payload' }))).toBeNull();
+        expect(migrateSharePayload({ version: 1, indexSizes: {} })).toBeNull();
     });
 
     test('handles invalid shareable URL data', () => {
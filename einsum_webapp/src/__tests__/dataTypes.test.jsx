@@ -0,0 +1,110 @@
+import { parseTree, Tree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import {
+    DataType,
+    DATA_TYPES,
+    resolveDataType,
+    dataTypeSize,
+    contractionFlops,
+    promoteDataTypes
+} from '../components/utils/dataTypes.jsx';
+
+describe('Data Types', () => {
+    test('knows the element size of every type', () => {
+        expect(Object.fromEntries(Object.entries(DATA_TYPES).map(([type, { bytes }]) => [type, bytes]))).toEqual({
+            int8: 1,
+            fp16: 2,
+            bf16: 2,
+            fp32: 4,
+            fp64: 8,
+            complex64: 8,
+            complex128: 16
+        });
+    });
+
+    test('resolves names, legacy size keys and plain sizes', () => {
+        expect(resolveDataType('bf16')).toBe(DataType.BF16);
+        expect(resolveDataType('4')).toBe(DataType.FP32);
+        expect(resolveDataType('8')).toBe(DataType.FP64);
+        expect(resolveDataType(8)).toBe(DataType.FP64);
+        expect(resolveDataType('unknown')).toBe(DataType.FP32);
+        expect(dataTypeSize('complex128')).toBe(16);
+        expect(dataTypeSize(4)).toBe(4);
+    });
+
+    test('counts real operations of complex multiply-adds', () => {
+        // 10 outputs, each 5 products summed with 4 additions
+        expect(contractionFlops(10, 5, DataType.FP32)).toBe(2 * 10 * 5 - 10);
+        expect(contractionFlops(10, 5, DataType.COMPLEX64)).toBe(10 * 5 * 6 + 10 * 4 * 2);
+    });
+
+    test('counts exactly for big integer sizes', () => {
+        expect(contractionFlops(2n ** 60n, 2n, DataType.COMPLEX64)).toBe(2n ** 60n * 12n + 2n ** 60n * 2n);
+    });
+
+    test('applies sizes and operations in the node metrics', () => {
+        const indexSizes = { i: 4, j: 8, k: 2 };
+        const real = parseTree('[i,j],[j,k]->[i,k]');
+        const complex = parseTree('[i,j],[j,k]->[i,k]');
+
+        const { totalOperations: realOperations } = calculateNodeMetrics(indexSizes, real, 'fp64');
+        const { totalOperations: complexOperations } = calculateNodeMetrics(indexSizes, complex, 'complex128');
+
+        expect(realOperations).toBe(2 * 8 * 8 - 8);
+        expect(complexOperations).toBe(8 * 8 * 6 + 8 * 7 * 2);
+        expect(real.tensorSize).toBe(8 * 8);
+        expect(complex.tensorSize).toBe(8 * 16);
+    });
+});
+
+describe('Mixed Precision', () => {
+    const indexSizes = { i: 4, j: 8, k: 2 };
+
+    test('promotes operand types like NumPy and PyTorch', () => {
+        expect(promoteDataTypes('bf16', 'bf16')).toBe('bf16');
+        expect(promoteDataTypes('bf16', 'fp16')).toBe('fp32');
+        expect(promoteDataTypes('int8', 'fp16')).toBe('fp16');
+        expect(promoteDataTypes('fp32', 'complex64')).toBe('complex64');
+        expect(promoteDataTypes('fp64', 'complex64')).toBe('complex128');
+    });
+
+    test('inherits data types from the inputs', () => {
+        const tree = new Tree('[[i,j]->[j,i]],[j,k]->[i,k]');
+        const root = tree.getRoot();
+        root.left.left.dataType = 'bf16';
+        calculateNodeMetrics(indexSizes, root, 'fp32');
+
+        expect(root.left.elementType).toBe('bf16');
+        expect(root.right.elementType).toBe('fp32');
+        expect(root.elementType).toBe('fp32');
+        expect(root.left.tensorSize).toBe(32 * 2);
+    });
+
+    test('uses per-node types for sizes and byte accesses', () => {
+        // bf16 inputs accumulated into an fp32 result
+        const tree = new Tree('[i,j],[j,k]->[i,k]');
+        const root = tree.getRoot();
+        root.left.dataType = 'bf16';
+        root.right.dataType = 'bf16';
+        root.dataType = 'fp32';
+        calculateNodeMetrics(indexSizes, root, 'fp64');
+
+        expect(root.computeType).toBe('bf16');
+        expect(root.tensorSize).toBe(8 * 4);
+        expect(root.byteAccesses).toBe(8 + 16 + 32);
+        expect(root.accessedBytes).toBe(8 * 4 + 16 * 2 + 32 * 2);
+        expect(root.operations).toBe(2 * 8 * 8 - 8);
+    });
+
+    test('keeps overrides when cloning or inserting permutations', () => {
+        const tree = new Tree('[i,j],[j,k]->[i,k]');
+        const leaf = tree.getRoot().left;
+        leaf.dataType = 'fp16';
+
+        const copy = tree.clone();
+        expect(copy.findNode(leaf.id).dataType).toBe('fp16');
+
+        copy.addPermutationNode(leaf.id);
+        expect(copy.findNode(leaf.id).left.dataType).toBe('fp16');
+    });
+});
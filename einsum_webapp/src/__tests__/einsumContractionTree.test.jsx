@@ -1,4 +1,13 @@
-import { Tree, Node, parseTree, reconstructNode } from '../components/utils/einsumContractionTree.jsx';
+import {
+    Tree,
+    Node,
+    parseTree,
+    reconstructNode,
+    parseEinsumEquation,
+    parseContractionPath,
+    parseEinsumPath,
+    RotationDirection
+} from '../components/utils/einsumContractionTree.jsx';
 
 describe('Tree Operations', () => {
     let tree;
@@ -42,6 +51,53 @@ describe('Tree Operations', () => {
         expect(clonedTree.treeToString()).toBe(tree.treeToString());
         expect(clonedTree.root).not.toBe(tree.root); // Should be different object references
     });
+
+    test('finds nodes by their structural path', () => {
+        tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const root = tree.getRoot();
+        expect(tree.nodePath(root.id)).toBe('');
+        expect(tree.nodePath(root.left.right.id)).toBe('LR');
+        expect(tree.nodePath('missing')).toBeNull();
+
+        expect(tree.findNodeByPath('LR')).toBe(root.left.right);
+        expect(tree.findNodeByPath('RL')).toBeNull();
+        expect(tree.findNodeByPath('LLL')).toBeNull();
+    });
+
+    test('carries data type overrides over a parse of the expression', () => {
+        tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        tree.getRoot().dataType = 'fp64';
+        tree.getRoot().left.right.dataType = 'fp16';
+        expect(tree.nodeDataTypes()).toEqual({ '': 'fp64', LR: 'fp16' });
+
+        const parsed = new Tree(tree.treeToString());
+        parsed.applyNodeDataTypes({ ...tree.nodeDataTypes(), RR: 'int8' });
+        expect(parsed.getRoot().dataType).toBe('fp64');
+        expect(parsed.getRoot().left.right.dataType).toBe('fp16');
+        expect(parsed.getRoot().left.left.dataType).toBeNull();
+    });
+});
+
+describe('Named Indices', () => {
+    test('parses identifier-style index names', () => {
+        const tree = new Tree('[batch,head,seq,d_k],[batch,head,seq_2,d_k]->[batch,head,seq,seq_2]');
+        expect(tree.getRoot().left.value).toEqual(['batch', 'head', 'seq', 'd_k']);
+        expect(tree.getRoot().value).toEqual(['batch', 'head', 'seq', 'seq_2']);
+    });
+
+    test('serializes named indices unchanged', () => {
+        const expression = '[[i_1,j],[j,k_10]->[i_1,k_10]],[k_10,l]->[i_1,l]';
+        expect(new Tree(expression).treeToString()).toBe(expression);
+    });
+
+    test('keeps numeric indices working', () => {
+        const tree = new Tree('[0,1],[1,2]->[0,2]');
+        expect(tree.getRoot().value).toEqual(['0', '2']);
+    });
+
+    test('rejects other characters in index names', () => {
+        expect(new Tree('[i-j],[j]->[i]').getRoot()).toBeNull();
+    });
 });
 
 describe('Node Operations', () => {
@@ -104,3 +160,131 @@ describe('Tree Permutation Operations', () => {
         expect(expression).toBe('[i,j]->[j,i]');
     });
 });
+
+describe('Tree Rotations', () => {
+    test('rotates right into a contraction of the right operands', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const pivotId = tree.getRoot().left.id;
+
+        expect(tree.rotate(tree.getRoot().id, RotationDirection.RIGHT)).toBe(true);
+        expect(tree.treeToString()).toBe('[a,b],[[b,c],[c,d]->[b,d]]->[a,d]');
+        expect(tree.getRoot().right.id).toBe(pivotId);
+    });
+
+    test('rotates left back to the original order', () => {
+        const tree = new Tree('[a,b],[[b,c],[c,d]->[b,d]]->[a,d]');
+
+        expect(tree.rotate(tree.getRoot().id, RotationDirection.LEFT)).toBe(true);
+        expect(tree.treeToString()).toBe('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+    });
+
+    test('keeps batch indices needed by the output', () => {
+        const tree = new Tree('[[z,a,b],[z,b,c]->[z,a,c]],[z,c,d]->[z,a,d]');
+        tree.rotate(tree.getRoot().id, RotationDirection.RIGHT);
+
+        expect(tree.getRoot().right.value).toEqual(['z', 'b', 'd']);
+    });
+
+    test('only rotates binary contractions', () => {
+        const tree = new Tree('[[a,b]->[b,a]],[a,c]->[b,c]');
+        const rootId = tree.getRoot().id;
+
+        expect(tree.canRotate(rootId, RotationDirection.RIGHT)).toBe(false);
+        expect(tree.canRotate(rootId, RotationDirection.LEFT)).toBe(false);
+        expect(tree.rotate(rootId, RotationDirection.RIGHT)).toBe(false);
+        expect(tree.treeToString()).toBe('[[a,b]->[b,a]],[a,c]->[b,c]');
+    });
+});
+
+describe('Subtree Moves', () => {
+    const expression = '[[a,b],[b,c]->[a,c]],[c,d]->[a,d]';
+
+    test('contracts a subtree with another node and recomputes the intermediates', () => {
+        const tree = new Tree(expression);
+        const root = tree.getRoot();
+        tree.moveSubtree(root.right.id, root.left.left.id);
+
+        expect(tree.treeToString()).toBe('[[a,b],[c,d]->[a,b,c,d]],[b,c]->[a,d]');
+    });
+
+    test('keeps the output when the subtree is moved onto the root', () => {
+        const tree = new Tree(expression);
+        const root = tree.getRoot();
+        const contractionId = tree.moveSubtree(root.left.left.id, root.id);
+
+        expect(tree.getRoot().id).toBe(contractionId);
+        expect(tree.getRoot().value).toEqual(['a', 'd']);
+        expect(tree.getRoot().left.value).toEqual(['d', 'b']);
+    });
+
+    test('rejects moves into the own subtree or onto the current partner', () => {
+        const tree = new Tree(expression);
+        const root = tree.getRoot();
+
+        expect(() => tree.moveSubtree(root.id, root.left.id)).toThrow('The root cannot be moved');
+        expect(() => tree.moveSubtree(root.left.id, root.left.left.id)).toThrow('into itself');
+        expect(() => tree.moveSubtree(root.right.id, root.left.id)).toThrow('already contracted');
+        expect(tree.treeToString()).toBe(expression);
+    });
+
+    test('rejects moves that would drop output indices', () => {
+        const tree = new Tree('[[a,b]->[b,a]],[[a,c],[c,d]->[a,d]]->[b,d]');
+        const root = tree.getRoot();
+
+        expect(() => tree.moveSubtree(root.right.right.id, root.left.left.id)).toThrow('output indices d');
+        expect(tree.treeToString()).toBe('[[a,b]->[b,a]],[[a,c],[c,d]->[a,d]]->[b,d]');
+    });
+});
+
+describe('NumPy Einsum Import', () => {
+    test('parses explicit and implicit equations', () => {
+        expect(parseEinsumEquation('ab,bc->ac')).toEqual({
+            operands: [['a', 'b'], ['b', 'c']],
+            output: ['a', 'c']
+        });
+        expect(parseEinsumEquation('ba,bc').output).toEqual(['a', 'c']);
+    });
+
+    test('rejects malformed equations', () => {
+        expect(() => parseEinsumEquation('ab,bc->ax')).toThrow(/does not appear/);
+        expect(() => parseEinsumEquation('...a,ab->b')).toThrow(/Ellipsis/);
+        expect(() => parseEinsumEquation('ab,,bc->ac')).toThrow(/empty operand/);
+        expect(() => parseEinsumEquation('aab,bc->ac')).toThrow(/repeated index/);
+    });
+
+    test('parses opt_einsum and numpy path notations', () => {
+        expect(parseContractionPath('[(0,1),(0,1)]')).toEqual([[0, 1], [0, 1]]);
+        expect(parseContractionPath("['einsum_path', (0, 2), (0, 1)]")).toEqual([[0, 2], [0, 1]]);
+        expect(parseContractionPath('[[1,2],[0,1]]')).toEqual([[1, 2], [0, 1]]);
+        expect(parseContractionPath('')).toEqual([]);
+    });
+
+    test('builds tree with inferred intermediate indices', () => {
+        const root = parseEinsumPath('ab,bc,cd->ad', '[(0,1),(0,1)]');
+        const tree = new Tree().setRoot(root);
+        expect(tree.treeToString()).toBe('[c,d],[[a,b],[b,c]->[a,c]]->[a,d]');
+    });
+
+    test('appends intermediates to the end of the operand list', () => {
+        const root = parseEinsumPath('ab,bc,cd->ad', '[(1,2),(0,1)]');
+        const tree = new Tree().setRoot(root);
+        expect(tree.treeToString()).toBe('[a,b],[[b,c],[c,d]->[b,d]]->[a,d]');
+    });
+
+    test('contracts the first two operands repeatedly without a path', () => {
+        const root = parseEinsumPath('ij,jk,kl->il');
+        expect(new Tree().setRoot(root).treeToString()).toBe('[k,l],[[i,j],[j,k]->[i,k]]->[i,l]');
+    });
+
+    test('wraps single operands in a permutation node', () => {
+        const root = parseEinsumPath('ij->ji');
+        expect(root.left.value).toEqual(['i', 'j']);
+        expect(root.value).toEqual(['j', 'i']);
+        expect(root.deleteAble).toBe(true);
+    });
+
+    test('returns null for paths that do not match the operands', () => {
+        expect(parseEinsumPath('ab,bc,cd->ad', '[(0,1)]')).toBeNull();
+        expect(parseEinsumPath('ab,bc->ac', '[(0,3)]')).toBeNull();
+    });
+});
@@ -0,0 +1,65 @@
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const CLI = join(__dirname, '../../cli/einsum-report.js');
+
+describe('einsum-report CLI', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = mkdtempSync(join(tmpdir(), 'einsum-report-'));
+    });
+
+    afterEach(() => {
+        rmSync(directory, { recursive: true, force: true });
+    });
+
+    const runWithFile = (content, args = []) => {
+        const file = join(directory, 'input.json');
+        writeFileSync(file, JSON.stringify(content));
+        return JSON.parse(execFileSync(process.execPath, [CLI, '-f', file, '--format', 'json', ...args], { encoding: 'utf8' }));
+    };
+
+    test('keeps the default data type for JSON input without one', () => {
+        const report = runWithFile({ expression: '[i,j],[j,k]->[i,k]', indexSizes: { i: 4, j: 8, k: 2 } });
+
+        expect(report.dataType).toBe('fp32');
+        expect(report.indexSizes).toEqual({ i: 4, j: 8, k: 2 });
+        expect(report.errors).toEqual([]);
+    });
+
+    test('reads the data type from JSON input and lets the option override it', () => {
+        const input = { expression: '[i,j],[j,k]->[i,k]', indexSizes: { i: 4, j: 8, k: 2 }, dataType: 'fp64' };
+
+        expect(runWithFile(input).dataType).toBe('fp64');
+        expect(runWithFile(input, ['-d', 'fp16']).dataType).toBe('fp16');
+    });
+
+    test('rejects index sizes that are not positive integers', () => {
+        const file = join(directory, 'input.json');
+        const run = (args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+        ['"abc"', 'null', '0', '1.5'].forEach(size => {
+            writeFileSync(file, `{"expression": "[i,j],[j,k]->[i,k]", "indexSizes": {"i": ${size}}}`);
+            const result = run(['-f', file]);
+
+            expect(result.status).toBe(2);
+            expect(result.stderr).toContain(`Invalid index size 'i=${size}'`);
+            expect(result.stderr).toContain('Usage: einsum-report');
+            expect(result.stdout).toBe('');
+        });
+
+        const result = run(['-s', 'i=0', '[i,j],[j,k]->[i,k]']);
+        expect(result.status).toBe(2);
+        expect(result.stderr).toContain("Invalid index size 'i=0'");
+    });
+
+    test('prints no table for an expression that fails to parse', () => {
+        const result = spawnSync(process.execPath, [CLI, '[i,j],[j,k->[i,k]'], { encoding: 'utf8' });
+
+        expect(result.status).toBe(1);
+        expect(result.stdout).toBe('Error: Failed to parse expression\n\n');
+    });
+});
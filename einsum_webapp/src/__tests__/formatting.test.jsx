@@ -0,0 +1,25 @@
+import { formatNumber } from '../components/utils/formatting.jsx';
+
+describe('Number Formatting', () => {
+    test('keeps the locale format for safe integers', () => {
+        expect(formatNumber(1234567, { minimumFractionDigits: 0, maximumFractionDigits: 0 })).toBe('1,234,567');
+        expect(formatNumber(12.5)).toBe('12.50');
+    });
+
+    test('uses scientific notation beyond the safe integer range', () => {
+        expect(formatNumber(2 ** 60, { minimumFractionDigits: 0, maximumFractionDigits: 0 })).toBe('1.15e+18');
+        expect(formatNumber(-(2 ** 60))).toBe('-1.15e+18');
+    });
+
+    test('formats big integers beyond the range of numbers', () => {
+        expect(formatNumber(10n ** 400n)).toBe('1.00e+400');
+        expect(formatNumber(3n * 2n ** 1101n)).toBe('8.15e+331');
+        expect(formatNumber(10n ** 20n - 1n)).toBe('1.00e+20');
+        expect(formatNumber(42n)).toBe('42.00');
+    });
+
+    test('formats exact integers given as decimal strings', () => {
+        expect(formatNumber((10n ** 400n).toString())).toBe('1.00e+400');
+        expect(formatNumber('120', { minimumFractionDigits: 0, maximumFractionDigits: 0 })).toBe('120');
+    });
+});
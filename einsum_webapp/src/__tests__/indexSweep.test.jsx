@@ -0,0 +1,73 @@
+import { parseTree } from '../components/utils/einsumContractionTree.jsx';
+import { SweepScale, MAX_SWEEP_VALUES, createSweepValues, runSweep, sweepToCsv } from '../components/utils/indexSweep.jsx';
+
+const indexSizes = { a: 4, b: 8, c: 2, d: 3 };
+
+const createTree = () => parseTree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+
+describe('Sweep Values', () => {
+    test('creates linear values including the end', () => {
+        expect(createSweepValues({ start: 2, end: 10, step: 4 })).toEqual([2, 6, 10]);
+    });
+
+    test('creates powers of two starting at the first power not below the start', () => {
+        expect(createSweepValues({ start: 5, end: 64, scale: SweepScale.POWERS_OF_TWO })).toEqual([8, 16, 32, 64]);
+    });
+
+    test('caps the number of values', () => {
+        expect(createSweepValues({ start: 1, end: 1000 })).toHaveLength(MAX_SWEEP_VALUES);
+    });
+
+    test('returns no values for an empty range', () => {
+        expect(createSweepValues({ start: 10, end: 5 })).toEqual([]);
+    });
+});
+
+describe('Index Sweep', () => {
+    test('recomputes the operations for every size of one index', () => {
+        const root = createTree();
+        const sweep = runSweep(root, indexSizes, 'fp32', [{ index: 'a', values: [4, 8] }]);
+
+        expect(sweep.indices).toEqual(['a']);
+        expect(sweep.points.map(point => point.sizes)).toEqual([{ a: 4 }, { a: 8 }]);
+        expect(sweep.points[1].totalOperations).toBe(2 * sweep.points[0].totalOperations);
+        expect(sweep.points[0].faulty).toBe(false);
+    });
+
+    test('does not change the swept tree', () => {
+        const root = createTree();
+        runSweep(root, indexSizes, 'fp32', [{ index: 'a', values: [16] }]);
+
+        expect(root.operations).toBeUndefined();
+    });
+
+    test('creates one point per combination of two indices', () => {
+        const sweep = runSweep(createTree(), indexSizes, 'fp32', [
+            { index: 'a', values: [2, 4, 8] },
+            { index: 'd', values: [1, 100] }
+        ]);
+
+        expect(sweep.points).toHaveLength(6);
+        expect(sweep.points[5].sizes).toEqual({ a: 8, d: 100 });
+    });
+
+    test('reports the peak tensor size and the node doing most of the work', () => {
+        const root = createTree();
+        const [small, large] = runSweep(root, indexSizes, 'fp32', [{ index: 'd', values: [1, 1000] }]).points;
+
+        expect(small.dominantNode.value).toEqual(['a', 'c']);
+        expect(large.dominantNode.value).toEqual(['a', 'd']);
+        expect(large.dominantNode.share).toBeGreaterThan(50);
+        expect(large.peakTensorSize).toBe(4 * 1000 * 4);
+    });
+
+    test('exports one CSV row per point', () => {
+        const sweep = runSweep(createTree(), indexSizes, 'fp32', [{ index: 'a', values: [4, 8] }]);
+        const lines = sweepToCsv(sweep).trim().split('\n');
+
+        expect(lines[0]).toBe('a,total_operations,peak_tensor_size_bytes,dominant_node,dominant_share_percent,faulty');
+        expect(lines).toHaveLength(3);
+        expect(lines[1].startsWith(`4,${sweep.points[0].totalOperations},`)).toBe(true);
+        expect(lines[1]).toContain('"[');
+    });
+});
@@ -0,0 +1,110 @@
+import { parseTree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import buildVisualizationTree, { executionStep, summarizeSubtree } from '../components/utils/layout.jsx';
+import { LayoutOptionType } from '../components/utils/constants.jsx';
+
+const indexSizes = { i: 2, j: 3, k: 4, l: 5 };
+
+const createTree = () => {
+    const root = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+    calculateNodeMetrics(indexSizes, root, 'fp32');
+    return root;
+};
+
+describe('Subtree Summary', () => {
+    test('aggregates the operations, largest intermediate and leaves', () => {
+        const root = createTree();
+
+        expect(summarizeSubtree(root)).toEqual({
+            operations: root.operations + root.left.operations,
+            largestIntermediate: Math.max(root.tensorSize, root.left.tensorSize),
+            leafCount: 3
+        });
+    });
+
+    test('counts a leaf as a single input', () => {
+        expect(summarizeSubtree(createTree().right)).toEqual({ operations: 0, largestIntermediate: 0, leafCount: 1 });
+    });
+});
+
+describe('Collapsed Subtrees', () => {
+    test('hides the descendants of collapsed nodes', () => {
+        const root = createTree();
+        const { nodes, edges } = buildVisualizationTree(root, [], 'tree', new Set([root.left.id]));
+        const collapsed = nodes.find(node => node.id === root.left.id);
+
+        expect(nodes).toHaveLength(3);
+        expect(edges).toHaveLength(2);
+        expect(collapsed.data.collapsed).toEqual(summarizeSubtree(root.left));
+        expect(nodes.find(node => node.id === root.id).data.collapsed).toBeNull();
+    });
+
+    test('marks collapsed nodes hiding a faulty node as faulty', () => {
+        const root = createTree();
+        const { nodes } = buildVisualizationTree(root, [root.left.left], 'tree', new Set([root.left.id]));
+
+        expect(nodes.find(node => node.id === root.left.id).data.isFaulty).toBe(true);
+        expect(nodes.find(node => node.id === root.id).data.isFaulty).toBe(false);
+    });
+
+    test('ignores unknown and leaf ids', () => {
+        const root = createTree();
+        const { nodes } = buildVisualizationTree(root, [], 'tree', new Set(['missing', root.right.id]));
+
+        expect(nodes).toHaveLength(5);
+        expect(nodes.every(node => node.data.collapsed === null)).toBe(true);
+    });
+});
+
+describe('Layouts', () => {
+    const createBushyTree = () => {
+        const root = parseTree('[[[i,j],[j,k]->[i,k]],[[k,l],[l,j]->[k,j]]->[i,j]],[j,l]->[i,l]');
+        calculateNodeMetrics(indexSizes, root, 'fp32');
+        return root;
+    };
+    const positionOf = (nodes, id) => nodes.find(node => node.id === id).position;
+
+    test('places the children of left to right layouts to the right of their parent', () => {
+        const root = createTree();
+        const { nodes } = buildVisualizationTree(root, [], LayoutOptionType.LeftToRight);
+
+        expect(positionOf(nodes, root.left.id).x).toBeGreaterThan(positionOf(nodes, root.id).x);
+        expect(positionOf(nodes, root.left.left.id).x).toBeGreaterThan(positionOf(nodes, root.left.id).x);
+        expect(nodes.every(node => node.sourcePosition === 'right' && node.targetPosition === 'left')).toBe(true);
+    });
+
+    test('puts all inputs of radial layouts on one circle around the root', () => {
+        const root = createBushyTree();
+        const { nodes, edges } = buildVisualizationTree(root, [], LayoutOptionType.Radial);
+        const radii = nodes
+            .filter(node => !node.data.left)
+            .map(({ position }) => Math.hypot(position.x, position.y));
+
+        expect(positionOf(nodes, root.id)).toEqual({ x: 0, y: 0 });
+        radii.forEach(radius => expect(radius).toBeCloseTo(radii[0]));
+        expect(edges.every(edge => edge.type === 'straight')).toBe(true);
+    });
+
+    test('places layered nodes by execution step', () => {
+        const root = createBushyTree();
+        const { nodes } = buildVisualizationTree(root, [], LayoutOptionType.Layered);
+        const inputs = nodes.filter(node => !node.data.left);
+
+        expect(executionStep(root)).toBe(3);
+        expect(new Set(inputs.map(node => node.position.y)).size).toBe(1);
+        expect(positionOf(nodes, root.right.id).y).toBe(inputs[0].position.y);
+        expect(positionOf(nodes, root.left.left.id).y).toBe(positionOf(nodes, root.left.right.id).y);
+        expect(positionOf(nodes, root.id).y).toBeLessThan(positionOf(nodes, root.left.id).y);
+    });
+
+    test('keeps layered nodes of one step apart', () => {
+        const { nodes } = buildVisualizationTree(createBushyTree(), [], LayoutOptionType.Layered);
+        const rows = new Map();
+        nodes.forEach(node => rows.set(node.position.y, [...(rows.get(node.position.y) || []), node.position.x]));
+
+        rows.forEach(row => {
+            const sorted = [...row].sort((a, b) => a - b);
+            sorted.slice(1).forEach((x, i) => expect(x - sorted[i]).toBeGreaterThan(149.99));
+        });
+    });
+});
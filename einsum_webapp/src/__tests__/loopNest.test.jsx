@@ -0,0 +1,55 @@
+import { dimensionTypes } from '../components/utils/dimensionClassifier.jsx';
+import { createLoopNest, formatLoopNest } from '../components/utils/loopNest.jsx';
+
+const loopNestFor = (node, left, right, indexSizes) =>
+    createLoopNest(node, left, right, dimensionTypes(node, left, right), indexSizes);
+
+describe('Loop Nest', () => {
+    test('maps a column-major contraction to a single GEMM', () => {
+        const loopNest = loopNestFor(['n', 'm'], ['k', 'm'], ['n', 'k'], { m: 4, n: 5, k: 6 });
+
+        expect(loopNest.loops).toEqual([]);
+        expect(loopNest.primitive).toMatchObject({ batch: 1, m: 4, n: 5, k: 6, lda: 4, ldb: 6, ldc: 4 });
+    });
+
+    test('emits loops over the loop dimensions with their strides', () => {
+        const loopNest = loopNestFor(['i', 'k'], ['i', 'j'], ['j', 'k'], { i: 10, j: 20, k: 30 });
+
+        expect(loopNest.loops.map(loop => [loop.index, loop.type, loop.size])).toEqual([
+            ['i', 'bm', 10],
+            ['j', 'bk', 20]
+        ]);
+        expect(loopNest.loops[0].strides).toEqual({ C: 30, A: 20, B: 0 });
+        expect(loopNest.loops[1].strides).toEqual({ C: 0, A: 1, B: 30 });
+        expect(loopNest.primitive).toMatchObject({ m: 1, n: 30, k: 1, ldb: 1, ldc: 1 });
+    });
+
+    test('uses a batched primitive for common batch dimensions', () => {
+        const loopNest = loopNestFor(['n', 'm', 'c'], ['k', 'm', 'c'], ['n', 'k', 'c'], { c: 2, m: 3, n: 4, k: 5 });
+
+        expect(loopNest.primitive).toMatchObject({ batch: 2, m: 3, n: 4, k: 5, lda: 6, ldb: 10, ldc: 6 });
+        expect(loopNest.primitive.strides.A).toEqual({ c: 1, m: 2, k: 6 });
+        expect(formatLoopNest(loopNest)).toContain('batched_gemm(');
+    });
+
+    test('formats loops and the primitive call as pseudo code', () => {
+        const code = formatLoopNest(loopNestFor(['i', 'k'], ['i', 'j'], ['j', 'k'], { i: 10, j: 20, k: 30 }));
+
+        expect(code).toBe([
+            '// C[i,k] += A[i,j] * B[j,k]',
+            'C = 0',
+            'for i in 0..10:  // bm, strides C:30 A:20',
+            '  for j in 0..20:  // bk, strides A:1 B:30',
+            '    gemm(',
+            '      M=1, N=30 (k), K=1,',
+            '      A=&A[i*20 + j], lda=1,',
+            '      B=&B[j*30], ldb=1,',
+            '      C=&C[i*30], ldc=1)'
+        ].join('\n'));
+    });
+
+    test('returns nothing without a classification', () => {
+        expect(createLoopNest(['i'], ['i'], null, null, {})).toBeNull();
+        expect(formatLoopNest(null)).toBe('');
+    });
+});
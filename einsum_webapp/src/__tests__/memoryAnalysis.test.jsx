@@ -0,0 +1,55 @@
+import { Tree, Node } from '../components/utils/einsumContractionTree.jsx';
+import { simulateMemory, EvaluationOrder } from '../components/utils/memoryAnalysis.jsx';
+
+describe('MemoryAnalysis', () => {
+    test('walks binary nodes in post-order', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const { steps } = simulateMemory(tree.getRoot(), { a: 2, b: 2, c: 2, d: 2 }, 4);
+
+        expect(steps.map(step => step.value)).toEqual([['a', 'c'], ['a', 'd']]);
+    });
+
+    test('tracks inputs, live intermediates and the produced tensor', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const sizes = { a: 10, b: 1, c: 10, d: 1 };
+        const { steps, peakBytes, peakStep, peakNodeId } = simulateMemory(tree.getRoot(), sizes, 1);
+
+        // Inputs: ab=10, bc=10, cd=10; first step produces ac=100
+        expect(steps[0].liveBytes).toBe(130);
+        // ab and bc are freed, ac and cd are live, ad=10 is produced
+        expect(steps[1].liveBytes).toBe(120);
+        expect(peakBytes).toBe(130);
+        expect(peakStep).toBe(0);
+        expect(peakNodeId).toBe(tree.getRoot().left.id);
+    });
+
+    test('accepts a data type size per node', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const sizes = { a: 10, b: 1, c: 10, d: 1 };
+        // Intermediates are twice as wide as the inputs
+        const { steps } = simulateMemory(tree.getRoot(), sizes, (node) => (node.isLeaf() ? 1 : 2));
+
+        expect(steps[0].bytes).toBe(200);
+        expect(steps[0].liveBytes).toBe(230);
+    });
+
+    test('memory minimizing order is never worse than fixed orders', () => {
+        const tree = new Tree('[[[a,b],[b,c]->[a,c]],[c,d]->[a,d]],[[d,e],[e,f]->[d,f]]->[a,f]');
+        const sizes = { a: 64, b: 2, c: 64, d: 2, e: 64, f: 2 };
+        const root = tree.getRoot();
+
+        const left = simulateMemory(root, sizes, 4, EvaluationOrder.LEFT_FIRST).peakBytes;
+        const right = simulateMemory(root, sizes, 4, EvaluationOrder.RIGHT_FIRST).peakBytes;
+        const minimal = simulateMemory(root, sizes, 4, EvaluationOrder.MEMORY_MINIMIZING).peakBytes;
+
+        expect(minimal).toBeLessThanOrEqual(Math.min(left, right));
+    });
+
+    test('handles missing trees and single tensors', () => {
+        expect(simulateMemory(null, {}, 4).peakNodeId).toBeNull();
+
+        const result = simulateMemory(new Node(['a', 'b']), { a: 2, b: 3 }, 4);
+        expect(result.steps).toHaveLength(0);
+        expect(result.peakBytes).toBe(24);
+    });
+});
@@ -0,0 +1,147 @@
+import { parseTree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics, calculateDataMovement, collectSymbolicIndices } from '../components/utils/metricCalculation.jsx';
+import { evaluatePolynomial, formatPolynomial } from '../components/utils/polynomial.jsx';
+
+const indexSizes = { a: 4, b: 8, c: 2 };
+
+const createTree = () => parseTree('[[b,a]->[a,b]],[b,c]->[a,c]');
+
+describe('Permutation Cost Accounting', () => {
+    test('counts a read and a write of the full tensor', () => {
+        expect(calculateDataMovement(['a', 'b'], ['b', 'a'], indexSizes)).toEqual({
+            byteAccesses: 64,
+            dataMovement: 64,
+            accessedBytes: 64,
+            dataMovementBytes: 64
+        });
+    });
+
+    test('applies the stride penalty only if the fastest index changes', () => {
+        expect(calculateDataMovement(['a', 'b'], ['b', 'a'], indexSizes, 3).dataMovement).toBe(192);
+        expect(calculateDataMovement(['c', 'a', 'b'], ['a', 'c', 'b'], indexSizes, 3).dataMovement).toBe(128);
+    });
+
+    test('keeps percentages compute only by default', () => {
+        const root = createTree();
+        const result = calculateNodeMetrics(indexSizes, root, 4);
+        const permutation = root.left;
+
+        expect(result.totalOperations).toBe(2 * 4 * 2 * 8 - 4 * 2);
+        expect(result.totalDataMovement).toBe(64);
+        expect(result.totalCost).toBe(result.totalOperations);
+        expect(permutation.dataMovement).toBe(64);
+        expect(permutation.operationsPercentage).toBeNull();
+        expect(root.operationsPercentage).toBe(100);
+    });
+
+    test('includes data movement in percentages and edge coloring', () => {
+        const root = createTree();
+        const result = calculateNodeMetrics(indexSizes, root, 4, { includeDataMovement: true, stridePenalty: 2 });
+        const permutation = root.left;
+
+        expect(result.totalDataMovement).toBe(128);
+        expect(result.totalCost).toBe(result.totalOperations + 128);
+        expect(permutation.operationsPercentage).toBeCloseTo(128 / result.totalCost * 100);
+        expect(root.operationsPercentage).toBeCloseTo(result.totalOperations / result.totalCost * 100);
+        expect(permutation.normalizedPercentage + root.normalizedPercentage).toBe(100);
+    });
+
+    test('clears permutation percentages when switching back to compute only', () => {
+        const root = createTree();
+        calculateNodeMetrics(indexSizes, root, 4, { includeDataMovement: true, stridePenalty: 1 });
+        calculateNodeMetrics(indexSizes, root, 4);
+
+        expect(root.left.operationsPercentage).toBeNull();
+        expect(root.left.normalizedPercentage).toBeNull();
+    });
+
+    test('sums the data movement of all permutations in bytes', () => {
+        const root = parseTree('[[b,a]->[a,b]],[[c,b]->[b,c]]->[a,c]');
+        const result = calculateNodeMetrics(indexSizes, root, 'fp32');
+
+        expect(result.totalDataMovement).toBe(64 + 32);
+        expect(result.totalDataMovementBytes).toBe(4 * (64 + 32));
+        expect(result.totalDataMovementBytes).toBe(root.left.dataMovementBytes + root.right.dataMovementBytes);
+    });
+});
+
+describe('Symbolic Metrics', () => {
+    test('annotates the cost formulas of a contraction', () => {
+        const root = parseTree('[a,b],[b,c]->[a,c]');
+        calculateNodeMetrics(indexSizes, root, 'fp32');
+
+        expect(formatPolynomial(root.symbolicOperations)).toBe('2*a*b*c - a*c');
+        expect(formatPolynomial(root.symbolicTensorSize)).toBe('4*a*c');
+        expect(formatPolynomial(root.symbolicAccessedBytes)).toBe('4*a*b + 4*a*c + 4*b*c');
+    });
+
+    test('evaluates to the numeric metrics', () => {
+        const root = createTree();
+        calculateNodeMetrics(indexSizes, root, 'complex64');
+
+        expect(evaluatePolynomial(root.symbolicOperations, indexSizes)).toBe(root.operations);
+        expect(evaluatePolynomial(root.symbolicAccessedBytes, indexSizes)).toBe(root.accessedBytes);
+        expect(evaluatePolynomial(root.left.symbolicAccessedBytes, indexSizes)).toBe(root.left.accessedBytes);
+        expect(evaluatePolynomial(root.left.left.symbolicTensorSize, indexSizes)).toBe(root.left.left.tensorSize);
+    });
+
+    test('keeps the formulas of indices left symbolic', () => {
+        const root = parseTree('[a,b],[b,c]->[a,c]');
+        calculateNodeMetrics({ a: 4, b: null, c: 2 }, root, 'fp32');
+
+        expect(evaluatePolynomial(root.symbolicOperations, { a: 4, b: null, c: 2 })).toBeNull();
+        expect(evaluatePolynomial(root.symbolicOperations, { a: 4, b: 8, c: 2 })).toBe(2 * 4 * 8 * 2 - 4 * 2);
+    });
+
+    test('lists the indices of the tree left symbolic', () => {
+        const root = createTree();
+
+        expect(collectSymbolicIndices(root, { a: null, b: 8, c: null, d: null })).toEqual(['a', 'c']);
+        expect(collectSymbolicIndices(root, indexSizes)).toEqual([]);
+        expect(collectSymbolicIndices(null, indexSizes)).toEqual([]);
+    });
+});
+
+describe('Exact Arithmetic', () => {
+    const manyIndices = (count) => Array.from({ length: count }, (_, i) => `i${i}`);
+    const binarySizes = (indices) => Object.fromEntries([...indices, 'x', 'y', 'z'].map(index => [index, 2]));
+
+    test('keeps percentages finite when the counts overflow numbers', () => {
+        const indices = manyIndices(1100).join(',');
+        const root = parseTree(`[[${indices},x],[x,y]->[${indices},y]],[y,z]->[${indices},z]`);
+        const result = calculateNodeMetrics(binarySizes(manyIndices(1100)), root, 'fp32');
+
+        expect(result.totalOperations).toBe(Infinity);
+        expect(result.exactTotalOperations).toBe((3n * 2n ** 1102n).toString());
+        expect(result.exactTotalCost).toBe(result.exactTotalOperations);
+        expect(root.exactOperations).toBe((3n * 2n ** 1101n).toString());
+        expect(root.exactTensorSize).toBe((4n * 2n ** 1101n).toString());
+        expect(result.exceedsSafeInteger).toBe(true);
+        expect(root.operationsPercentage).toBeCloseTo(50);
+        expect(root.left.operationsPercentage).toBeCloseTo(50);
+        expect(root.normalizedPercentage).toBe(0);
+        expect(Number.isFinite(root.sizePercentage)).toBe(true);
+    });
+
+    test('sums the exact counts of the nodes', () => {
+        const indices = manyIndices(60).join(',');
+        const root = parseTree(`[[${indices},x],[x,y]->[${indices},y]],[y,z]->[${indices},z]`);
+        const result = calculateNodeMetrics(binarySizes(manyIndices(60)), root, 'fp32');
+
+        expect(result.totalOperations).toBe(Number(2n * 3n * 2n ** 61n));
+        expect(result.exceedsSafeInteger).toBe(true);
+    });
+
+    test('counts sizes that are not finite numbers as 1', () => {
+        const root = parseTree('[a,b],[b,c]->[a,c]');
+        const result = calculateNodeMetrics({ a: NaN, b: Infinity, c: 'abc' }, root, 'fp32');
+
+        expect(root.tensorSize).toBe(4);
+        expect(result.totalOperations).toBe(1);
+        expect(result.exactTotalOperations).toBe('1');
+    });
+
+    test('reports counts within the safe integer range', () => {
+        expect(calculateNodeMetrics(indexSizes, createTree(), 'fp32').exceedsSafeInteger).toBe(false);
+    });
+});
@@ -0,0 +1,76 @@
+import { createMetricReport, formatMetricReportTable } from '../components/utils/metricReport.jsx';
+
+describe('Metric Report', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('reports total and per-node metrics', () => {
+        const report = createMetricReport('[i,j],[j,k]->[i,k]', { i: 4, j: 8, k: 2 }, 8);
+
+        expect(report.errors).toEqual([]);
+        expect(report.warnings).toEqual([]);
+        expect(report.totalOperations).toBe(2 * 4 * 2 * 8 - 4 * 2);
+        expect(report.nodes).toHaveLength(3);
+
+        const [root, left, right] = report.nodes;
+        expect(root.indices).toEqual(['i', 'k']);
+        expect(root.operations).toBe(report.totalOperations);
+        expect(root.tensorSize).toBe(4 * 2 * 8);
+        expect(root.dimensionTypes.loop.bk).toEqual(['j']);
+        expect(left.depth).toBe(1);
+        expect(left.operations).toBeNull();
+        expect(right.dimensionTypes).toBeNull();
+    });
+
+    test('defaults missing index sizes with a warning', () => {
+        const report = createMetricReport('[i,j],[j,k]->[i,k]', { i: 4, j: 8 });
+
+        expect(report.indexSizes.k).toBe(2);
+        expect(report.warnings).toEqual(["No size given for index 'k', using 2"]);
+    });
+
+    test('reports parse errors', () => {
+        const report = createMetricReport('[i,j],[j,k->[i,k]');
+
+        expect(report.errors).toEqual(['Failed to parse expression']);
+        expect(report.nodes).toEqual([]);
+    });
+
+    test('rejects index sizes that are not positive integers', () => {
+        const report = createMetricReport('[i,j],[j,k]->[i,k]', { i: 'abc', j: 0, k: 1.5, x: null });
+
+        expect(report.errors).toEqual([
+            'Invalid size "abc" for index \'i\', sizes must be positive integers',
+            'Invalid size 1.5 for index \'k\', sizes must be positive integers',
+            'Invalid size 0 for index \'j\', sizes must be positive integers'
+        ]);
+        expect(report.nodes).toEqual([]);
+        expect(createMetricReport('[i,j]->[j,i]', { i: null }).errors).toHaveLength(1);
+    });
+
+    test('reports faulty nodes and classification errors', () => {
+        const report = createMetricReport('[i,j],[j,k]->[i,x]');
+
+        expect(report.faultyNodes).toEqual(['i,x']);
+        expect(report.totalOperations).toBe(0);
+        expect(report.errors).toHaveLength(1);
+        expect(report.errors[0]).toMatch(/^Classification error at \[i,x\]/);
+    });
+
+    test('formats the report as a table', () => {
+        const table = formatMetricReportTable(createMetricReport('[i,j],[j,k]->[i,k]', { i: 4, j: 8, k: 2 }));
+
+        expect(table).toContain('Total Operations: 120');
+        expect(table).toMatch(/\[i,k\]\s+32\s+120\s+\d+\s+nb=k bm=i bk=j/);
+        expect(table).toMatch(/ {2}\[i,j\]\s+128\s+-\s+-\s+-/);
+    });
+
+    test('formats a report without metrics as its errors only', () => {
+        expect(formatMetricReportTable(createMetricReport('[i,j],[j,k->[i,k]'))).toBe('Error: Failed to parse expression\n');
+    });
+});
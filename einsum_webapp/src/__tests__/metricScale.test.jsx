@@ -0,0 +1,44 @@
+import { SizeScale, createMetricScale, legendValues } from '../components/utils/metricScale.jsx';
+
+const range = [10, 110];
+
+describe('Metric Scale', () => {
+    test('maps values linearly from zero', () => {
+        const size = createMetricScale([0, 50, 100], SizeScale.LINEAR, range);
+
+        expect(size(100)).toBe(110);
+        expect(size(50)).toBe(60);
+    });
+
+    test('maps orders of magnitude to equal steps on a log scale', () => {
+        const size = createMetricScale([1, 10, 100], SizeScale.LOG, range);
+
+        expect(size(1)).toBe(10);
+        expect(size(10)).toBeCloseTo(60);
+        expect(size(100)).toBe(110);
+    });
+
+    test('gives the smallest size to values that cannot be scaled', () => {
+        const size = createMetricScale([0, 4, Infinity], SizeScale.LOG, range);
+
+        expect(size(0)).toBe(10);
+        expect(size(Infinity)).toBe(10);
+        expect(size(4)).toBe(110);
+    });
+
+    test('handles trees without nonzero values', () => {
+        expect(createMetricScale([0, 0], SizeScale.LINEAR, range)(0)).toBe(10);
+        expect(legendValues([0, 0], SizeScale.LINEAR)).toEqual([]);
+    });
+});
+
+describe('Size Legend', () => {
+    test('shows the smallest, middle and largest value', () => {
+        expect(legendValues([0, 2, 8, 32], SizeScale.LINEAR)).toEqual([2, 17, 32]);
+        expect(legendValues([0, 2, 8, 32], SizeScale.LOG)).toEqual([2, 8, 32]);
+    });
+
+    test('does not repeat a single value', () => {
+        expect(legendValues([5, 5], SizeScale.LOG)).toEqual([5]);
+    });
+});
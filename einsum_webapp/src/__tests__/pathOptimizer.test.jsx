@@ -0,0 +1,85 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import {
+    OptimizerType,
+    greedyOptimizer,
+    optimalOptimizer,
+    randomGreedyOptimizer,
+    optimizeTree
+} from '../components/utils/pathOptimizer.jsx';
+import { calculateNodeMetrics, calculateContractionOperations } from '../components/utils/metricCalculation.jsx';
+
+describe('PathOptimizer', () => {
+    // Matrix chain where contracting the right pair first is much cheaper
+    const operands = [['a', 'b'], ['b', 'c'], ['c', 'd']];
+    const output = ['a', 'd'];
+    const indexSizes = { a: 100, b: 100, c: 100, d: 2 };
+
+    test('counts contraction operations from index lists', () => {
+        expect(calculateContractionOperations(['a', 'c'], ['a', 'b'], ['b', 'c'], { a: 2, b: 3, c: 4 }))
+            .toBe(2 * 8 * 3 - 8);
+    });
+
+    test('greedy optimizer contracts the cheapest pair first', () => {
+        const { path, operations } = greedyOptimizer(operands, output, indexSizes);
+        expect(path).toEqual([[1, 2], [0, 1]]);
+        expect(operations).toBe((2 * 200 * 100 - 200) * 2);
+    });
+
+    test('optimal optimizer matches the cheapest path', () => {
+        const { path, operations } = optimalOptimizer(operands, output, indexSizes);
+        expect(path).toEqual([[1, 2], [0, 1]]);
+        expect(operations).toBe((2 * 200 * 100 - 200) * 2);
+    });
+
+    test('optimal optimizer is never worse than greedy', () => {
+        const ring = [['a', 'b'], ['b', 'c'], ['c', 'd'], ['d', 'e'], ['e', 'a'], ['a', 'c']];
+        const sizes = { a: 8, b: 2, c: 16, d: 4, e: 32 };
+        const greedy = greedyOptimizer(ring, ['b', 'd'], sizes);
+        const optimal = optimalOptimizer(ring, ['b', 'd'], sizes);
+        expect(optimal.operations).toBeLessThanOrEqual(greedy.operations);
+        expect(optimal.path).toHaveLength(ring.length - 1);
+    });
+
+    test('randomized greedy is reproducible and never worse than greedy', () => {
+        const first = randomGreedyOptimizer(operands, output, indexSizes, { seed: 7 });
+        const second = randomGreedyOptimizer(operands, output, indexSizes, { seed: 7 });
+        expect(first).toEqual(second);
+        expect(first.operations).toBeLessThanOrEqual(greedyOptimizer(operands, output, indexSizes).operations);
+    });
+
+    test('optimal optimizer rejects too many operands', () => {
+        const many = Array.from({ length: 13 }, (_, i) => [`${i}`, `${i + 1}`]);
+        expect(() => optimalOptimizer(many, ['0', '13'], {})).toThrow(/at most/);
+    });
+
+    test('rewrites a tree and lowers total operations', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        const before = calculateNodeMetrics(indexSizes, tree.getRoot(), 4).totalOperations;
+
+        const { root } = optimizeTree(tree.getRoot(), indexSizes, OptimizerType.OPTIMAL);
+        const after = calculateNodeMetrics(indexSizes, root, 4).totalOperations;
+
+        expect(root.value).toEqual(['a', 'd']);
+        expect(after).toBeLessThan(before);
+    });
+
+    test('keeps the data types of the input tensors and the result', () => {
+        const tree = new Tree('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+        tree.getRoot().dataType = 'fp64';
+        tree.getRoot().right.dataType = 'fp16';
+
+        const { root } = optimizeTree(tree.getRoot(), indexSizes, OptimizerType.OPTIMAL);
+        const leaves = [];
+        const collect = (node) => {
+            if (!node) return;
+            if (node.isLeaf()) leaves.push(node);
+            collect(node.left);
+            collect(node.right);
+        };
+        collect(root);
+
+        expect(root.dataType).toBe('fp64');
+        expect(leaves.find(leaf => leaf.value.join() === 'c,d').dataType).toBe('fp16');
+        expect(leaves.filter(leaf => leaf.dataType !== null)).toHaveLength(1);
+    });
+});
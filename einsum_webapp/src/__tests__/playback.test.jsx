@@ -0,0 +1,46 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import { simulateMemory } from '../components/utils/memoryAnalysis.jsx';
+import { PlaybackNodeState, createPlayback, playbackNodeState } from '../components/utils/playback.jsx';
+
+const sizes = { a: 10, b: 1, c: 10, d: 1 };
+
+const createPlaybackOf = (expression) => {
+    const tree = new Tree(expression);
+    calculateNodeMetrics(sizes, tree.getRoot(), 1);
+    return { root: tree.getRoot(), playback: createPlayback(tree.getRoot(), simulateMemory(tree.getRoot(), sizes, 1)) };
+};
+
+describe('Playback', () => {
+    test('steps through the contractions with running totals', () => {
+        const { root, playback } = createPlaybackOf('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+
+        expect(playback.steps.map(step => step.nodeId)).toEqual([root.left.id, root.id]);
+        expect(playback.steps[0].cumulativeOperations).toBe(root.left.operations);
+        expect(playback.steps[1].cumulativeOperations).toBe(root.left.operations + root.operations);
+        expect(playback.steps.map(step => step.allocatedBytes)).toEqual([130, 120]);
+    });
+
+    test('includes permutation nodes', () => {
+        const { root, playback } = createPlaybackOf('[[a,b]->[b,a]],[a,c]->[b,c]');
+
+        expect(playback.steps.map(step => step.nodeId)).toEqual([root.left.id, root.id]);
+    });
+
+    test('tracks which tensors are computed, consumed and still pending', () => {
+        const { root, playback } = createPlaybackOf('[[a,b],[b,c]->[a,c]],[c,d]->[a,d]');
+
+        expect(playbackNodeState(playback, root.left.id, 0)).toBe(PlaybackNodeState.ACTIVE);
+        expect(playbackNodeState(playback, root.left.left.id, 0)).toBe(PlaybackNodeState.INPUT);
+        expect(playbackNodeState(playback, root.right.id, 0)).toBe(PlaybackNodeState.LIVE);
+        expect(playbackNodeState(playback, root.id, 0)).toBe(PlaybackNodeState.PENDING);
+
+        expect(playbackNodeState(playback, root.left.left.id, 1)).toBe(PlaybackNodeState.CONSUMED);
+        expect(playbackNodeState(playback, root.left.id, 1)).toBe(PlaybackNodeState.INPUT);
+        expect(playbackNodeState(playback, root.id, 1)).toBe(PlaybackNodeState.ACTIVE);
+    });
+
+    test('has no steps without a tree', () => {
+        expect(createPlayback(null, { steps: [] }).steps).toEqual([]);
+    });
+});
@@ -0,0 +1,63 @@
+import {
+    addPolynomials,
+    constantPolynomial,
+    evaluatePolynomial,
+    formatPolynomial,
+    formulasToLatex,
+    multiplyPolynomials,
+    polynomialToLatex,
+    productPolynomial,
+    scalePolynomial,
+    substitutePolynomial
+} from '../components/utils/polynomial.jsx';
+
+describe('Polynomial Arithmetic', () => {
+    test('sorts the indices of a product', () => {
+        expect(productPolynomial(['c', 'a', 'b'], 2)).toEqual({ 'a,b,c': 2 });
+    });
+
+    test('adds like terms and drops terms that cancel', () => {
+        const sum = addPolynomials(productPolynomial(['a', 'b'], 2), productPolynomial(['b', 'a'], -2), constantPolynomial(3));
+        expect(sum).toEqual({ '': 3 });
+    });
+
+    test('multiplies into powers', () => {
+        const a = addPolynomials(productPolynomial(['a']), constantPolynomial(1));
+        expect(multiplyPolynomials(a, a)).toEqual({ 'a,a': 1, a: 2, '': 1 });
+        expect(scalePolynomial(a, 0)).toEqual({});
+    });
+});
+
+describe('Polynomial Evaluation', () => {
+    const polynomial = addPolynomials(productPolynomial(['a', 'b', 'c'], 2), productPolynomial(['a', 'c'], -1));
+
+    test('evaluates once all sizes are known', () => {
+        expect(evaluatePolynomial(polynomial, { a: 2, b: 3, c: 4 })).toBe(2 * 24 - 8);
+    });
+
+    test('keeps indices without a numeric size symbolic', () => {
+        expect(evaluatePolynomial(polynomial, { a: 2, b: null, c: 4 })).toBeNull();
+        expect(substitutePolynomial(polynomial, { a: 2, c: 4 })).toEqual({ b: 16, '': -8 });
+    });
+});
+
+describe('Polynomial Formatting', () => {
+    test('formats terms by descending degree', () => {
+        const polynomial = addPolynomials(productPolynomial(['a', 'c'], -1), productPolynomial(['a', 'b', 'b'], 2), constantPolynomial(-4));
+        expect(formatPolynomial(polynomial)).toBe('2*a*b^2 - a*c - 4');
+        expect(formatPolynomial({})).toBe('0');
+    });
+
+    test('formats LaTeX with escaped multi-character indices', () => {
+        const polynomial = productPolynomial(['seq_len', 'seq_len', 'h'], 8);
+        expect(polynomialToLatex(polynomial)).toBe('8 \\cdot h \\cdot \\mathit{seq\\_len}^{2}');
+    });
+
+    test('creates an align environment with one line per formula', () => {
+        const latex = formulasToLatex([
+            { label: 'Operations', polynomial: productPolynomial(['a', 'b'], 2) },
+            { label: 'Tensor Size', polynomial: productPolynomial(['a'], 4) }
+        ]);
+        expect(latex).toBe('\\begin{align*}\n\\text{Operations} &= 2 \\cdot a \\cdot b \\\\\n\\text{Tensor Size} &= 4 \\cdot a\n\\end{align*}');
+    });
+});
@@ -0,0 +1,89 @@
+import { parseTree, Tree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import {
+    DEFAULT_HARDWARE_PROFILES,
+    loadHardwareProfiles,
+    saveHardwareProfiles,
+    effectiveBandwidth,
+    peakFlopsFor,
+    rooflinePoint,
+    analyzeRoofline
+} from '../components/utils/roofline.jsx';
+
+const profile = {
+    id: 'test',
+    name: 'Test Machine',
+    peakFlops: { fp32: 100, fp64: 50 },
+    memoryBandwidth: 10,
+    caches: [
+        { name: 'L2', size: 1024 * 1024, bandwidth: 100 },
+        { name: 'L1', size: 1024, bandwidth: 1000 }
+    ]
+};
+
+describe('Roofline Model', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('selects the bandwidth of the smallest fitting memory level', () => {
+        expect(effectiveBandwidth(profile, 512)).toBe(1000e9);
+        expect(effectiveBandwidth(profile, 4096)).toBe(100e9);
+        expect(effectiveBandwidth(profile, 1024 * 1024 * 2)).toBe(10e9);
+    });
+
+    test('classifies memory and compute bound operations', () => {
+        const memoryBound = rooflinePoint(1e9, 1e9, 1e9, profile, 'fp32');
+        expect(memoryBound.intensity).toBe(1);
+        expect(memoryBound.bound).toBe('memory');
+        expect(memoryBound.attainable).toBe(10e9);
+        expect(memoryBound.runtime).toBeCloseTo(0.1);
+
+        const computeBound = rooflinePoint(1e12, 1e9, 1e9, profile, 'fp64');
+        expect(computeBound.bound).toBe('compute');
+        expect(computeBound.attainable).toBe(50e9);
+        expect(computeBound.runtime).toBeCloseTo(20);
+    });
+
+    test('uses the peak of the real type for complex types', () => {
+        expect(peakFlopsFor(profile, 'complex64')).toBe(100e9);
+        expect(peakFlopsFor(profile, 'complex128')).toBe(50e9);
+        expect(peakFlopsFor(profile, 'int8')).toBe(0);
+    });
+
+    test('places every contraction of a tree on the roofline', () => {
+        const tree = new Tree();
+        tree.setRoot(parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]'));
+        const indexSizes = { i: 64, j: 64, k: 64, l: 64 };
+        calculateNodeMetrics(indexSizes, tree.getRoot(), 'fp32');
+
+        const { points, totalRuntime } = analyzeRoofline(tree.getRoot(), profile, 'fp32', 4);
+
+        expect(points).toHaveLength(2);
+        points.forEach(point => {
+            expect(point.bytes).toBeGreaterThan(0);
+            expect(point.intensity).toBeCloseTo(point.operations / point.bytes);
+        });
+        expect(totalRuntime).toBeCloseTo(points[0].runtime + points[1].runtime);
+    });
+
+    test('returns no points without a tree', () => {
+        expect(analyzeRoofline(null, profile, 'fp32', 4)).toEqual({ points: [], totalRuntime: 0 });
+    });
+
+    test('persists hardware profiles in local storage', () => {
+        expect(loadHardwareProfiles()).toEqual(DEFAULT_HARDWARE_PROFILES);
+
+        saveHardwareProfiles([profile]);
+        expect(loadHardwareProfiles()).toEqual([profile]);
+
+        // Profiles saved before named data types were keyed by the size in bytes
+        saveHardwareProfiles([{ ...profile, peakFlops: { '4': 100, '8': 50 } }]);
+        expect(loadHardwareProfiles()).toEqual([profile]);
+
+        localStorage.setItem('einsumHardwareProfiles', '{broken');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(loadHardwareProfiles()).toEqual(DEFAULT_HARDWARE_PROFILES);
+        console.warn.mockRestore();
+    });
+});
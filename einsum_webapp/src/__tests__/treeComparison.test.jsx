@@ -0,0 +1,66 @@
+import { parseTree } from '../components/utils/einsumContractionTree.jsx';
+import { summarizeTree, findSharedSubtrees, compareTrees } from '../components/utils/treeComparison.jsx';
+
+const indexSizes = { i: 10, j: 20, k: 30, l: 40 };
+
+describe('Tree Comparison', () => {
+    test('summarizes operations, peak tensor size and permutation nodes', () => {
+        const root = parseTree('[[i,j]->[j,i]],[j,k]->[i,k]');
+        const summary = summarizeTree(root, indexSizes, 4);
+
+        expect(summary.totalOperations).toBe(2 * 10 * 20 * 30 - 10 * 30);
+        expect(summary.peakTensorSize).toBe(20 * 30 * 4);
+        expect(summary.permutationNodes).toBe(1);
+        expect(summary.faulty).toBe(false);
+    });
+
+    test('does not annotate the compared tree', () => {
+        const root = parseTree('[i,j],[j,k]->[i,k]');
+        summarizeTree(root, indexSizes, 4);
+        expect(root.operations).toBeUndefined();
+    });
+
+    test('finds the shared contraction of two different paths', () => {
+        const rootA = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const rootB = parseTree('[k,l],[[i,j],[j,k]->[i,k]]->[i,l]');
+        const shared = findSharedSubtrees(rootA, rootB);
+
+        expect(shared.count).toBe(1);
+        expect(shared.a.has(rootA.left.id)).toBe(true);
+        expect(shared.a.has(rootA.left.left.id)).toBe(true);
+        expect(shared.a.has(rootA.id)).toBe(false);
+        expect(shared.a.has(rootA.right.id)).toBe(false);
+        expect(shared.b.has(rootB.right.id)).toBe(true);
+        expect(shared.b.has(rootB.id)).toBe(false);
+    });
+
+    test('marks identical trees completely', () => {
+        const rootA = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const rootB = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const shared = findSharedSubtrees(rootA, rootB);
+
+        expect(shared.count).toBe(1);
+        expect(shared.a.size).toBe(5);
+        expect(shared.b.size).toBe(5);
+    });
+
+    test('treats swapped children as different and ignores shared leaves', () => {
+        const rootA = parseTree('[i,j],[j,k]->[i,k]');
+        const rootB = parseTree('[j,k],[i,j]->[i,k]');
+        const shared = findSharedSubtrees(rootA, rootB);
+
+        expect(shared.count).toBe(0);
+        expect(shared.a.size).toBe(0);
+        expect(shared.b.size).toBe(0);
+    });
+
+    test('compares the summaries of both trees', () => {
+        const rootA = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const rootB = parseTree('[i,j],[[j,k],[k,l]->[j,l]]->[i,l]');
+        const comparison = compareTrees(rootA, rootB, indexSizes, 4);
+
+        expect(comparison.a.totalOperations).toBe((2 * 10 * 20 * 30 - 10 * 30) + (2 * 10 * 30 * 40 - 10 * 40));
+        expect(comparison.b.totalOperations).toBe((2 * 20 * 30 * 40 - 20 * 40) + (2 * 10 * 20 * 40 - 10 * 40));
+        expect(comparison.shared.count).toBe(0);
+    });
+});
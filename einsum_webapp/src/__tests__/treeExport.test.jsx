@@ -0,0 +1,59 @@
+import { parseTree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import buildVisualizationTree from '../components/utils/layout.jsx';
+import { LayoutOptionType } from '../components/utils/constants.jsx';
+import { getColorForPercentage } from '../components/utils/colors.jsx';
+import { treeToDot, treeToSvg } from '../components/utils/treeExport.jsx';
+
+describe('Tree Export', () => {
+    let nodes;
+    let edges;
+
+    beforeEach(() => {
+        const root = parseTree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        calculateNodeMetrics({ i: 8, j: 8, k: 8, l: 8 }, root, 4);
+        ({ nodes, edges } = buildVisualizationTree(root));
+    });
+
+    test('exports DOT with per-node metrics and colored edges', () => {
+        const dot = treeToDot(nodes, edges, { metricType: 'operations' });
+        const root = nodes.find(node => node.data.depth === 0);
+
+        expect(dot.startsWith('digraph EinsumTree {')).toBe(true);
+        expect(dot).toContain(`"${root.id}" [label="i,l\\n`);
+        expect(dot).toContain(`operations=${root.data.operations}`);
+        expect(dot).toContain(`tensorSize=${root.data.tensorSize}`);
+        expect(getColorForPercentage(root.data.normalizedPercentage)).toBe('rgb(173, 216, 230)');
+        expect(dot).toContain(`"${root.id}" -> "${edges[0].target}" [color="#add8e6"]`);
+        expect(dot.match(/->/g)).toHaveLength(edges.length);
+    });
+
+    test('marks faulty nodes in DOT', () => {
+        nodes[0].data.isFaulty = true;
+        expect(treeToDot(nodes, edges)).toContain('faulty=true, color="red"');
+    });
+
+    test('exports a standalone SVG containing every node label', () => {
+        const { svg, width, height } = treeToSvg(nodes, edges, { metricType: 'tensorSize', showPercentages: true });
+
+        expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+        expect(width).toBeGreaterThan(0);
+        expect(height).toBeGreaterThan(0);
+        expect(svg.match(/<rect x=/g)).toHaveLength(nodes.length);
+        expect(svg.match(/<path /g)).toHaveLength(edges.length);
+        ['i,j', 'j,k', 'k,l', 'i,k', 'i,l'].forEach(label => {
+            expect(svg).toContain(`>${label}</text>`);
+        });
+        expect(svg).toContain('%</text>');
+    });
+
+    test('draws SVG edges along the direction of the layout', () => {
+        const root = parseTree('[i,j],[j,k]->[i,k]');
+        calculateNodeMetrics({ i: 8, j: 8, k: 8 }, root, 4);
+        const horizontal = buildVisualizationTree(root, [], LayoutOptionType.LeftToRight);
+        const radial = buildVisualizationTree(root, [], LayoutOptionType.Radial);
+
+        expect(treeToSvg(horizontal.nodes, horizontal.edges).svg).toMatch(/<path d="M [\d.]+ [\d.]+ H /);
+        expect(treeToSvg(radial.nodes, radial.edges).svg.match(/<line /g)).toHaveLength(2);
+    });
+});
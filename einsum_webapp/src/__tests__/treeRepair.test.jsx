@@ -0,0 +1,109 @@
+import { Tree } from '../components/utils/einsumContractionTree.jsx';
+import { calculateNodeMetrics } from '../components/utils/metricCalculation.jsx';
+import { dataTypeSize } from '../components/utils/dataTypes.jsx';
+import { findRepairs, applyRepairs, RepairKind } from '../components/utils/treeRepair.jsx';
+
+const indexSizes = { i: 2, j: 3, k: 4, l: 5 };
+
+describe('Tree Repair', () => {
+    test('leaves classifiable trees unchanged', () => {
+        const tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const plan = findRepairs(tree.getRoot(), indexSizes, 4);
+
+        expect(plan.repairs).toEqual([]);
+        expect(plan.unrepairable).toEqual([]);
+        expect(plan.totalCost).toBe(0);
+    });
+
+    test('sums out indices that occur in a single operand', () => {
+        const tree = new Tree('[i,j],[i,k]->[i,k]');
+        expect(calculateNodeMetrics(indexSizes, tree.getRoot(), 4).faultyNodes).toHaveLength(1);
+
+        const plan = findRepairs(tree.getRoot(), indexSizes, 4);
+        expect(plan.repairs).toEqual([expect.objectContaining({
+            side: 'left',
+            kind: RepairKind.REDUCE,
+            from: ['i', 'j'],
+            to: ['i'],
+            cost: (2 * 3 + 2) * 4
+        })]);
+
+        applyRepairs(tree, plan.repairs);
+        expect(tree.treeToString()).toBe('[[i,j]->[i]],[i,k]->[i,k]');
+        expect(calculateNodeMetrics(indexSizes, tree.getRoot(), 4).faultyNodes).toHaveLength(0);
+    });
+
+    test('keeps the data types of the repaired copy', () => {
+        const tree = new Tree('[i,j],[i,k]->[i,k]');
+        tree.getRoot().dataType = 'fp64';
+        tree.getRoot().right.dataType = 'fp16';
+        const plan = findRepairs(tree.getRoot(), indexSizes, 4);
+
+        const repaired = applyRepairs(tree.clone(), plan.repairs).getRoot();
+        expect(repaired.dataType).toBe('fp64');
+        expect(repaired.right.dataType).toBe('fp16');
+    });
+
+    test('costs repairs in the element types of the nodes', () => {
+        const tree = new Tree('[i,j],[i,k]->[i,k]');
+        tree.getRoot().left.dataType = 'fp16';
+        calculateNodeMetrics(indexSizes, tree.getRoot(), 'fp32');
+
+        const plan = findRepairs(tree.getRoot(), indexSizes, (node) => dataTypeSize(node.elementType));
+        expect(plan.repairs).toEqual([expect.objectContaining({ kind: RepairKind.REDUCE, cost: 2 * (2 * 3 + 2) })]);
+        expect(findRepairs(tree.getRoot(), indexSizes, 4).totalCost).toBe(4 * (2 * 3 + 2));
+    });
+
+    test('changes an existing unary node instead of adding one', () => {
+        const tree = new Tree('[[i,j,l]->[l,j,i]],[i,k]->[i,k]');
+        const plan = findRepairs(tree.getRoot(), indexSizes, 4);
+
+        expect(plan.repairs).toEqual([expect.objectContaining({
+            kind: RepairKind.REORDER,
+            to: ['i'],
+            cost: 0
+        })]);
+        expect(applyRepairs(tree, plan.repairs).treeToString()).toBe('[[i,j,l]->[i]],[i,k]->[i,k]');
+    });
+
+    test('reports contractions no index order can fix', () => {
+        const tree = new Tree('[i,j],[j,k]->[i,l]');
+        const plan = findRepairs(tree.getRoot(), indexSizes, 4);
+
+        expect(plan.repairs).toEqual([]);
+        expect(plan.unrepairable).toEqual([expect.objectContaining({ value: ['i', 'l'] })]);
+        expect(plan.unrepairable[0].reason).toContain('l');
+    });
+
+    test('prefers the cheapest operand reordering', () => {
+        // Classifier that only accepts a contraction index in front of the right operand
+        const classify = (node, left, right) => (right[0] === 'j' ? {} : null);
+        const tree = new Tree('[i,j],[k,j]->[i,k]');
+        const plan = findRepairs(tree.getRoot(), indexSizes, 4, classify);
+
+        expect(plan.repairs).toEqual([expect.objectContaining({
+            side: 'right',
+            kind: RepairKind.PERMUTE,
+            from: ['k', 'j'],
+            to: ['j', 'k'],
+            cost: 2 * 12 * 4
+        })]);
+
+        applyRepairs(tree, plan.repairs);
+        expect(tree.treeToString()).toBe('[i,j],[[k,j]->[j,k]]->[i,k]');
+        expect(tree.getRoot().right.deleteAble).toBe(true);
+    });
+
+    test('reorders inner nodes for free before adding permutations', () => {
+        const classify = (node, left) => (node.join() !== 'i,l' || left[0] === 'k' ? {} : null);
+        const tree = new Tree('[[i,j],[j,k]->[i,k]],[k,l]->[i,l]');
+        const plan = findRepairs(tree.getRoot(), indexSizes, 4, classify);
+
+        expect(plan.repairs).toEqual([expect.objectContaining({
+            side: 'left',
+            kind: RepairKind.REORDER,
+            to: ['k', 'i'],
+            cost: 0
+        })]);
+    });
+});
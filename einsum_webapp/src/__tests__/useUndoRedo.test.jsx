@@ -0,0 +1,67 @@
+import { renderHook } from '@testing-library/react';
+import { act } from 'react';
+import { useUndoRedo } from '../components/common/useUndoRedo.jsx';
+import { Tree, Node } from '../components/utils/einsumContractionTree.jsx';
+
+describe('useUndoRedo', () => {
+    it('walks back and forth through recorded snapshots', () => {
+        const { result } = renderHook(() => useUndoRedo());
+        expect(result.current.canUndo).toBe(false);
+
+        act(() => {
+            result.current.push('first');
+            result.current.push('second');
+        });
+        expect(result.current.canUndo).toBe(true);
+        expect(result.current.canRedo).toBe(false);
+
+        let snapshot;
+        act(() => { snapshot = result.current.undo('third'); });
+        expect(snapshot).toBe('second');
+        expect(result.current.canRedo).toBe(true);
+
+        act(() => { snapshot = result.current.undo('second'); });
+        expect(snapshot).toBe('first');
+        expect(result.current.canUndo).toBe(false);
+        act(() => { snapshot = result.current.undo('first'); });
+        expect(snapshot).toBeNull();
+
+        act(() => { snapshot = result.current.redo('first'); });
+        expect(snapshot).toBe('second');
+        act(() => { snapshot = result.current.redo('second'); });
+        expect(snapshot).toBe('third');
+        expect(result.current.canRedo).toBe(false);
+    });
+
+    it('drops the redo stack on a new edit and respects the limit', () => {
+        const { result } = renderHook(() => useUndoRedo(2));
+
+        act(() => {
+            result.current.push(1);
+            result.current.push(2);
+            result.current.push(3);
+            result.current.undo(4);
+        });
+        expect(result.current.canRedo).toBe(true);
+
+        act(() => { result.current.push(5); });
+        expect(result.current.canRedo).toBe(false);
+
+        let snapshots = [];
+        act(() => {
+            snapshots.push(result.current.undo(6));
+            snapshots.push(result.current.undo(5));
+            snapshots.push(result.current.undo(2));
+        });
+        expect(snapshots).toEqual([5, 2, null]);
+    });
+
+    it('reserves node ids of a restored tree', () => {
+        const restored = new Tree('[i,j],[j,k]->[i,k]');
+        new Tree();
+        restored.reserveNodeIds();
+
+        const ids = [restored.getRoot().id, restored.getRoot().left.id, restored.getRoot().right.id];
+        expect(ids).not.toContain(new Node(['x']).id);
+    });
+});
@@ -1,5 +1,5 @@
 // React and core imports
-import React, { useState, useCallback, useRef, useEffect } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 
 // Third-party component imports
 import { Panel, PanelGroup } from 'react-resizable-panels';
@@ -12,25 +12,46 @@ import {
 import 'reactflow/dist/style.css';
 
 // Local component imports
-import { Tree } from './utils/einsumContractionTree.jsx';
+import { Tree, parseTree, parseEinsumPath } from './utils/einsumContractionTree.jsx';
 import Flow from './visual/Flow.jsx';
 import HistoryPanel from './visual/HistoryPanel.jsx';
 import IndexSizeInput from './visual/IndexSizeInput.jsx';
+import EinsumImportPanel from './visual/EinsumImportPanel.jsx';
+import PathOptimizerPanel from './visual/PathOptimizerPanel.jsx';
+import MemoryAnalysisPanel from './visual/MemoryAnalysisPanel.jsx';
+import RooflinePanel from './visual/RooflinePanel.jsx';
+import CodeExportDialog from './visual/CodeExportDialog.jsx';
+import CompareTreesPanel from './visual/CompareTreesPanel.jsx';
+import TreeRepairPanel from './visual/TreeRepairPanel.jsx';
+import CostModelPanel from './visual/CostModelPanel.jsx';
+import SymbolicSizesNote from './visual/SymbolicSizesNote.jsx';
 import CollapsiblePanel from './common/CollapsiblePanel.jsx';
 import CustomPanelResizeHandle from './common/CustomPanelResizeHandle.jsx';
 import { Toast } from './common/Toast.jsx';
 
 // Utility imports
-import buildVisualizationTree from './utils/layout.jsx';
+import buildVisualizationTree, { summarizeSubtree } from './utils/layout.jsx';
 import { LayoutOptionType } from './utils/constants.jsx';
-import { calculateNodeMetrics } from './utils/metricCalculation.jsx';
-import { createShareableUrl } from './utils/compression.jsx';
-import { formatNumber } from './utils/formatting.jsx';
+import { calculateNodeMetrics, collectSymbolicIndices, exactPercentage, DEFAULT_COST_MODEL } from './utils/metricCalculation.jsx';
+import { DEFAULT_DATA_TYPE, DATA_TYPES, dataTypeSize } from './utils/dataTypes.jsx';
+import { createShareableUrl, resolveSharedNodeIds } from './utils/compression.jsx';
+import { simulateMemory, EvaluationOrder } from './utils/memoryAnalysis.jsx';
+import { createPlayback } from './utils/playback.jsx';
+import { optimizeTree, OptimizerType, MAX_OPTIMAL_OPERANDS, collectLeafIndices } from './utils/pathOptimizer.jsx';
+import { formatNumber, formatDuration } from './utils/formatting.jsx';
+import { analyzeRoofline } from './utils/roofline.jsx';
+import { compareTrees } from './utils/treeComparison.jsx';
+import { findRepairs, applyRepairs } from './utils/treeRepair.jsx';
+import { runSweep } from './utils/indexSweep.jsx';
 import { useContainerDimensions } from './common/useContainerDimensions.jsx';
+import { useHardwareProfiles } from './common/useHardwareProfiles.jsx';
+import { useUndoRedo } from './common/useUndoRedo.jsx';
 
 // Constants
-const DEFAULT_DATA_TYPE = '4';
 const DEFAULT_SIZE_UNIT = 'KiB';
+const EMPTY_TREE_METRICS = { ...calculateNodeMetrics({}, null), root: null };
+const DATA_TYPE_OPTIONS = Object.keys(DATA_TYPES);
+const SIZE_UNIT_OPTIONS = ['KiB', 'MiB'];
 const DEFAULT_EXPRESSION = "[[[8,0,9,4],[[2,8,6,9]->[8,2,6,9]]->[0,8,2,6,4]]->[6,2,0,4,8]],[[[3,7],[[[3,2,1,0]->[2,0,1,3]],[[1,5]->[5,1]]->[2,0,5,3]]->[2,0,5,7]]->[7,5,2,0]]->[7,6,5,4,8]";
 
 /**
@@ -38,8 +59,13 @@ const DEFAULT_EXPRESSION = "[[[8,0,9,4],[[2,8,6,9]->[8,2,6,9]]->[0,8,2,6,4]]->[6
  * @param {Object} props - Component props
  * @param {string} props.initialExpression - Initial einsum expression
  * @param {Object} props.initialSizes - Initial index sizes
+ * @param {Object} props.initialView - Shared view state restored after the initial tree is parsed
  */
-const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
+const EinsumTreeVisualizer = ({ initialExpression, initialSizes, initialView }) => {
+  /**
+   * Shared view state with its node paths resolved to the ids of the parsed initial expression
+   */
+  const sharedView = useMemo(() => resolveSharedNodeIds(initialView), [initialView]);
   const containerRef = useRef(null);
   const { width } = useContainerDimensions(containerRef);
   const getMinSizePercentage = useCallback((minPixels) => {
@@ -66,7 +92,13 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
    */
   const [nodes1, setNodes1, onNodesChange1] = useNodesState();
   const [edges1, setEdges1, onEdgesChange1] = useEdgesState();
-  const fitViewFunctions = useRef({ tree1: null });
+  const [nodes2, setNodes2, onNodesChange2] = useNodesState();
+  const [edges2, setEdges2, onEdgesChange2] = useEdgesState();
+  const fitViewFunctions = useRef({ tree1: null, tree2: null });
+  // Highlight set and metric mode of the main Flow, only read when sharing
+  const flowViewState = useRef({});
+  // Nodes of the main tree shown as a summary of their subtree, kept across relayouts
+  const collapsedNodeIds = useRef(new Set());
 
   /**
    * Tree State - Manages the einsum tree data structure
@@ -76,6 +108,11 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
   const [selectedNode, setSelectedNode] = useState(null);
   const [indexSizes, setIndexSizes] = useState({});
 
+  /**
+   * Compare State - Second tree shown next to the first one, sharing index sizes and data type
+   */
+  const [compareTree, setCompareTree] = useState(null);
+
   /**
    * UI State - Controls interface elements
    */
@@ -83,14 +120,82 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
   const [dataType, setDataType] = useState(DEFAULT_DATA_TYPE);
   const [sizeUnit, setSizeUnit] = useState(DEFAULT_SIZE_UNIT);
   const [layoutOption, setLayoutOption] = useState(LayoutOptionType.Tree);
+  const [evaluationOrder, setEvaluationOrder] = useState(EvaluationOrder.LEFT_FIRST);
+  const [costModel, setCostModel] = useState(DEFAULT_COST_MODEL);
+  const [showCodeExport, setShowCodeExport] = useState(false);
   const [initStep, setInitStep] = useState(0);
 
   /**
-   * Calculation State - Stores computation results
+   * Calculation State - Stores computation results. The metrics of the tree keep the root
+   * they annotated, a new metrics object signals that the node metrics have been recalculated.
    */
-  const [totalOperations, setTotalOperations] = useState(0);
+  const [treeMetrics, setTreeMetrics] = useState(EMPTY_TREE_METRICS);
+  const totalOperations = treeMetrics.totalOperations;
   const [selectedNodeOperations, setSelectedNodeOperations] = useState(0);
 
+  /**
+   * Totals over the whole tree, including nodes hidden in collapsed subtrees
+   */
+  const totalDataMovementBytes = treeMetrics.totalDataMovementBytes;
+  const isBeyondSafeInteger = treeMetrics.exceedsSafeInteger;
+
+  /**
+   * Indices of the tree left symbolic, numeric totals count them as 1 and are partial
+   */
+  const symbolicIndices = useMemo(
+    () => collectSymbolicIndices(tree?.getRoot(), indexSizes),
+    [tree, indexSizes]
+  );
+
+  useEffect(() => {
+    if (isBeyondSafeInteger) {
+      Toast.show('Some values exceed the safe integer range and are shown rounded');
+    }
+  }, [isBeyondSafeInteger]);
+
+  /**
+   * Live memory over the execution order, recomputed whenever the tree or sizes change
+   */
+  const memoryAnalysis = useMemo(
+    () => simulateMemory(tree?.getRoot(), indexSizes, (node) => dataTypeSize(node.elementType ?? dataType), evaluationOrder),
+    [tree, indexSizes, dataType, evaluationOrder]
+  );
+
+  /**
+   * Execution steps of the playback in the main Flow, in the order of the memory simulation.
+   * Built from the root annotated by the current metrics, so recalculated metrics renew it.
+   */
+  const playback = useMemo(
+    () => createPlayback(treeMetrics.root, memoryAnalysis),
+    [treeMetrics, memoryAnalysis]
+  );
+
+  /**
+   * Roofline placement of every contraction on the selected hardware profile,
+   * read from the node metrics written into the tree by calculateNodeMetrics
+   */
+  const hardware = useHardwareProfiles();
+  const rooflineAnalysis = useMemo(
+    () => analyzeRoofline(treeMetrics.root, hardware.selectedProfile, dataType, dataTypeSize(dataType)),
+    [treeMetrics, dataType, hardware.selectedProfile]
+  );
+  /**
+   * Summary diff and shared subtrees of the compared trees, calculated on copies of both trees
+   */
+  const comparison = useMemo(
+    () => (compareTree ? compareTrees(tree?.getRoot(), compareTree.getRoot(), indexSizes, dataType) : null),
+    [tree, compareTree, indexSizes, dataType]
+  );
+
+  const selectedRooflinePoint = selectedNode
+    ? rooflineAnalysis.points.find(point => point.id === selectedNode.id)
+    : null;
+
+  // The metrics of a node depend on its own indices and those of its operands
+  const selectedTreeNode = selectedNode ? tree?.findNode(selectedNode.id) : null;
+  const selectedSymbolicIndices = symbolicIndices.filter(index =>
+    [selectedTreeNode, selectedTreeNode?.left, selectedTreeNode?.right].some(node => node?.value.includes(index)));
+
   // ============= History Management =============
   /**
     * updating and deleting history
@@ -121,8 +226,9 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
         expression: item.expression,
         nodes: item.nodes,
         edges: item.edges,
-        indexSizes: item.indexSizes
-        // Note: we don't save the tree instance as it's not serializable
+        indexSizes: item.indexSizes,
+        // Note: we don't save the tree instance as it's not serializable, only its data types
+        nodeDataTypes: item.tree ? item.tree.nodeDataTypes() : item.nodeDataTypes
       }));
 
       localStorage.setItem('einsumHistory', JSON.stringify(serializableHistory));
@@ -136,17 +242,103 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     localStorage.removeItem('einsumHistory');
   }, []);
 
+  // ============= Undo / Redo =============
+
+  const undoRedo = useUndoRedo();
+
+  /**
+   * Captures everything an edit can change: tree, index sizes, selection and layout
+   */
+  const captureSnapshot = useCallback(() => ({
+    tree,
+    expression: einsumExpression,
+    indexSizes,
+    nodes: nodes1,
+    edges: edges1,
+    layoutOption,
+    selectedNodeId: selectedNode?.id ?? null,
+    collapsedNodeIds: collapsedNodeIds.current
+  }), [tree, einsumExpression, indexSizes, nodes1, edges1, layoutOption, selectedNode]);
+
+  /**
+   * Records the current state on the undo stack, called before every edit
+   */
+  const recordUndo = useCallback(() => {
+    if (tree) {
+      undoRedo.push(captureSnapshot());
+    }
+  }, [tree, undoRedo, captureSnapshot]);
+
+  /**
+   * Restores a snapshot taken by captureSnapshot
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  const restoreSnapshot = useCallback((snapshot) => {
+    const { tree: restoredTree, indexSizes: restoredSizes } = snapshot;
+    restoredTree.reserveNodeIds();
+    restoredTree.updateIndexSizes(restoredSizes);
+    const metrics = calculateNodeMetrics(restoredSizes, restoredTree.getRoot(), dataType, costModel);
+
+    setTree(restoredTree);
+    setEinsumExpression(snapshot.expression);
+    setIndexSizes(restoredSizes);
+    setTreeMetrics({ ...metrics, root: restoredTree.getRoot() });
+    setLayoutOption(snapshot.layoutOption);
+    setNodes1(snapshot.nodes);
+    setEdges1(snapshot.edges);
+    collapsedNodeIds.current = snapshot.collapsedNodeIds;
+
+    const restoredSelection = snapshot.nodes.find(node => node.id === snapshot.selectedNodeId) || null;
+    setSelectedNode(restoredSelection);
+    setSelectedNodeOperations(restoredSelection?.data?.left && restoredSelection?.data?.right
+      ? restoredSelection.data.operations
+      : 0);
+  }, [dataType, costModel, setNodes1, setEdges1]);
+
+  const handleUndo = useCallback(() => {
+    const snapshot = undoRedo.undo(captureSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  }, [undoRedo, captureSnapshot, restoreSnapshot]);
+
+  const handleRedo = useCallback(() => {
+    const snapshot = undoRedo.redo(captureSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  }, [undoRedo, captureSnapshot, restoreSnapshot]);
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), text inputs keep their own undo
+   */
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      event.preventDefault();
+      if (event.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
   // ============= Core Tree Operations =============
 
   /**
    * Parses an einsum expression and initializes the tree
    * @param {string} einsumExpression - The expression to parse
+   * @param {Object} [providedIndexSizes] - Index sizes to use instead of the current ones
+   * @param {Object} [nodeDataTypes] - Data type overrides by node path, see Tree.nodeDataTypes
    * @returns {Promise<Tree>} The initialized tree
    */
-  const parseInput = useCallback(async (einsumExpression, providedIndexSizes = null) => {
+  const parseInput = useCallback(async (einsumExpression, providedIndexSizes = null, nodeDataTypes = null) => {
     return new Promise((resolve) => {
       const input = einsumExpression || DEFAULT_EXPRESSION;
       const tree = new Tree(input);
+      tree.applyNodeDataTypes(nodeDataTypes ?? {});
       setEinsumExpression(einsumExpression);
       const unorderedTree = tree.getRoot();
 
@@ -155,6 +347,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
         return;
       }
 
+      recordUndo();
       setTree(tree);
 
       let newIndexSizes = {};
@@ -181,10 +374,12 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setIndexSizes(newIndexSizes);
       tree.updateIndexSizes(newIndexSizes);
 
-      const { totalOperations, faultyNodes } = calculateNodeMetrics(newIndexSizes, unorderedTree, parseInt(dataType, 10));
-      setTotalOperations(totalOperations);
+      const metrics = calculateNodeMetrics(newIndexSizes, unorderedTree, dataType, costModel);
+      setTreeMetrics({ ...metrics, root: unorderedTree });
 
-      const { nodes, edges } = buildVisualizationTree(unorderedTree, faultyNodes, layoutOption);
+      // Node ids restart with every parsed tree
+      collapsedNodeIds.current = new Set();
+      const { nodes, edges } = buildVisualizationTree(unorderedTree, metrics.faultyNodes, layoutOption);
 
       setNodes1(nodes);
       setEdges1(edges);
@@ -222,7 +417,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
         resolve(tree);
       }, 0);
     });
-  }, [setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, layoutOption, indexSizes, dataType]);
+  }, [setNodes1, setEdges1, updateHistory, setTree, layoutOption, indexSizes, dataType, costModel, recordUndo]);
 
   /**
    * Updates tree structure and recalculates operations after changes
@@ -241,6 +436,8 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
         return;
       }
 
+      recordUndo();
+
       // Important: Get the updated root after updateIndices
       const updatedRoot = newTree.getRoot();
 
@@ -249,11 +446,11 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setEinsumExpression(treeString);
 
       // Recalculate operations with the new root
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, updatedRoot, parseInt(dataType, 10));
-      setTotalOperations(newTotalOps);
+      const metrics = calculateNodeMetrics(indexSizes, updatedRoot, dataType, costModel);
+      setTreeMetrics({ ...metrics, root: updatedRoot });
 
       // Build visualization with the new root
-      const { nodes, edges } = buildVisualizationTree(updatedRoot, faultyNodes, layoutOption);
+      const { nodes, edges } = buildVisualizationTree(updatedRoot, metrics.faultyNodes, layoutOption, collapsedNodeIds.current);
       setNodes1(nodes);
       setEdges1(edges);
 
@@ -285,7 +482,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       console.error('Error updating tree:', error);
       Toast.show('Error updating indices');
     }
-  }, [tree, indexSizes, layoutOption, setNodes1, setEdges1, selectedNode, updateHistory, dataType]);
+  }, [tree, indexSizes, layoutOption, setNodes1, setEdges1, selectedNode, updateHistory, dataType, costModel, recordUndo]);
 
   // ============= Tree Manipulation =============
 
@@ -318,6 +515,8 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       // Create a new tree instance using the clone method
       const newTree = tree.clone();
 
+      recordUndo();
+
       // Swap children in the new tree
       newTree.swapChildren(nodeToSwap.id);
 
@@ -329,11 +528,11 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       setEinsumExpression(treeString);
 
       // Calculate new operations
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10));
-      setTotalOperations(newTotalOps);
+      const metrics = calculateNodeMetrics(indexSizes, newTree.getRoot(), dataType, costModel);
+      setTreeMetrics({ ...metrics, root: newTree.getRoot() });
 
       // Rebuild visualization with new tree structure
-      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes);
+      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), metrics.faultyNodes, layoutOption, collapsedNodeIds.current);
 
       // Update nodes and edges
       setNodes1(nodes);
@@ -362,7 +561,103 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       // Resolve with the updated tree
       resolve(newTree);
     });
-  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, dataType]);
+  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, layoutOption, dataType, costModel, recordUndo]);
+
+  /**
+   * Shows a restructured copy of the tree, undo restores the current one
+   * @param {Tree} newTree - Edited copy of the tree
+   */
+  const commitTreeEdit = useCallback((newTree) => {
+    recordUndo();
+    setTree(newTree);
+
+    const treeString = newTree.treeToString();
+    setEinsumExpression(treeString);
+
+    // New intermediates are classified and costed from scratch
+    const metrics = calculateNodeMetrics(indexSizes, newTree.getRoot(), dataType, costModel);
+    setTreeMetrics({ ...metrics, root: newTree.getRoot() });
+
+    const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), metrics.faultyNodes, layoutOption, collapsedNodeIds.current);
+    setNodes1(nodes);
+    setEdges1(edges);
+
+    updateHistory(prevHistory => {
+      const newItem = { expression: treeString, nodes, edges, indexSizes: indexSizes, tree: newTree };
+      const otherItems = prevHistory.filter(item => item.expression !== treeString);
+      return [newItem, ...otherItems].slice(0, 5);
+    });
+  }, [indexSizes, setNodes1, setEdges1, updateHistory, setTree, layoutOption, dataType, costModel, recordUndo]);
+
+  /**
+   * Rotates a node to change which tensors are contracted first
+   * @param {Object} nodeToRotate - Node to rotate
+   * @param {string} direction - One of RotationDirection
+   * @returns {Promise<Tree>} Updated tree
+   */
+  const rotateNode = useCallback((nodeToRotate, direction) => {
+    return new Promise((resolve) => {
+      if (!nodeToRotate || !tree || !tree.canRotate(nodeToRotate.id, direction)) {
+        resolve(null);
+        return;
+      }
+
+      const newTree = tree.clone();
+      newTree.rotate(nodeToRotate.id, direction);
+      commitTreeEdit(newTree);
+      resolve(newTree);
+    });
+  }, [tree, commitTreeEdit]);
+
+  /**
+   * Computes the cost of contracting a subtree with another node, without changing the tree
+   * @param {string} nodeId - Root of the moved subtree
+   * @param {string} targetId - Node the subtree would be contracted with
+   * @returns {Object} Costs before and after the move, or the reason it is rejected
+   */
+  const previewMove = useCallback((nodeId, targetId) => {
+    if (!tree) return { valid: false, reason: 'No tree loaded' };
+
+    const counter = Tree.nodeIdCounter;
+    try {
+      const before = calculateNodeMetrics(indexSizes, tree.clone().getRoot(), dataType, costModel);
+      const moved = tree.clone();
+      moved.moveSubtree(nodeId, targetId);
+      const after = calculateNodeMetrics(indexSizes, moved.getRoot(), dataType, costModel);
+      return {
+        valid: after.faultyNodes.length === 0,
+        reason: after.faultyNodes.length > 0 ? 'The move would create a malformed contraction' : null,
+        costBefore: before.totalCost,
+        costAfter: after.totalCost
+      };
+    } catch (error) {
+      return { valid: false, reason: error.message };
+    } finally {
+      // Previews must not use up node ids
+      Tree.nodeIdCounter = counter;
+    }
+  }, [tree, indexSizes, dataType, costModel]);
+
+  /**
+   * Detaches a subtree and contracts it with another node
+   * @param {string} nodeId - Root of the moved subtree
+   * @param {string} targetId - Node the subtree is contracted with
+   * @returns {Tree|null} Updated tree, null if the move is rejected
+   */
+  const moveSubtree = useCallback((nodeId, targetId) => {
+    if (!tree) return null;
+
+    const newTree = tree.clone();
+    try {
+      newTree.moveSubtree(nodeId, targetId);
+    } catch (error) {
+      console.error('Error moving subtree:', error);
+      Toast.show(error.message);
+      return null;
+    }
+    commitTreeEdit(newTree);
+    return newTree;
+  }, [tree, commitTreeEdit]);
 
   /**
    * Adds a permutation node to the tree
@@ -379,6 +674,8 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       // Create a new tree instance using the clone method
       const newTree = tree.clone();
 
+      recordUndo();
+
       // Add permutation node in the new tree
       newTree.addPermutationNode(nodeToAddPerm.id);
 
@@ -389,11 +686,11 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       const treeString = newTree.treeToString();
       setEinsumExpression(treeString);
 
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10));
-      setTotalOperations(newTotalOps);
+      const metrics = calculateNodeMetrics(indexSizes, newTree.getRoot(), dataType, costModel);
+      setTreeMetrics({ ...metrics, root: newTree.getRoot() });
 
       // Rebuild visualization with new tree structure
-      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes);
+      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), metrics.faultyNodes, layoutOption, collapsedNodeIds.current);
 
       // Update nodes and edges
       setNodes1(nodes);
@@ -408,7 +705,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       // Resolve with the updated tree
       resolve(newTree);
     });
-  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, dataType]);
+  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, layoutOption, dataType, costModel, recordUndo]);
 
   /**
    * Removes a permutation node from the tree
@@ -425,6 +722,8 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       // Create a new tree instance using the clone method
       const newTree = tree.clone();
 
+      recordUndo();
+
       // Remove permutation node in the new tree
       newTree.removePermutationNode(nodeToRemovePerm.id);
 
@@ -435,11 +734,11 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       const treeString = newTree.treeToString();
       setEinsumExpression(treeString);
 
-      const { totalOperations: newTotalOps, faultyNodes } = calculateNodeMetrics(indexSizes, newTree.getRoot(), parseInt(dataType, 10));
-      setTotalOperations(newTotalOps);
+      const metrics = calculateNodeMetrics(indexSizes, newTree.getRoot(), dataType, costModel);
+      setTreeMetrics({ ...metrics, root: newTree.getRoot() });
 
       // Rebuild visualization with new tree structure
-      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), faultyNodes);
+      const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), metrics.faultyNodes, layoutOption, collapsedNodeIds.current);
 
       // Update nodes and edges
       setNodes1(nodes);
@@ -454,7 +753,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       // Resolve with the updated tree
       resolve(newTree);
     });
-  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, setTotalOperations, dataType]);
+  }, [indexSizes, tree, setNodes1, setEdges1, updateHistory, setTree, layoutOption, dataType, costModel, recordUndo]);
 
   // ============= Calculations =============
 
@@ -466,7 +765,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
   const tensorSizes = (indices) => {
     if (!Array.isArray(indices)) return 0;
 
-    let size = dataType === '4' ? 4 : 8; // Base size in bytes
+    let size = dataTypeSize(dataType); // Base size in bytes
 
     indices.forEach(index => {
       if (indexSizes[index]) {
@@ -478,8 +777,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
   };
 
   const calcByteAccess = (bytes) => {
-    let size = dataType === '4' ? 4 : 8;
-    return size * bytes;
+    return dataTypeSize(dataType) * bytes;
   };
 
   /**
@@ -506,14 +804,15 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
    * @param {Object} indexSizes - Updated index sizes
    */
   const recalculateOperations = useCallback((indexSizes) => {
+    recordUndo();
     setIndexSizes(indexSizes);
     tree.updateIndexSizes(indexSizes);
 
-    const { totalOperations, faultyNodes } = calculateNodeMetrics(indexSizes, tree.getRoot(), parseInt(dataType, 10));
-    setTotalOperations(totalOperations);
+    const metrics = calculateNodeMetrics(indexSizes, tree.getRoot(), dataType, costModel);
+    setTreeMetrics({ ...metrics, root: tree.getRoot() });
 
     const updatedNodes = nodes1.map(node => {
-      const isFaulty = faultyNodes.some(faultyNode => faultyNode.id === node.id);
+      const isFaulty = metrics.faultyNodes.some(faultyNode => faultyNode.id === node.id);
       if (node.data) {
         const nodeInTree = findNodeInTree(tree.getRoot(), node.id);
         if (nodeInTree) {
@@ -523,6 +822,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
               ...node.data,
               isFaulty: isFaulty,
               ...nodeInTree,
+              collapsed: node.data.collapsed ? summarizeSubtree(nodeInTree) : null
             }
           };
 
@@ -558,7 +858,7 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       }
       return prevHistory;
     });
-  }, [nodes1, selectedNode, tree, setNodes1, edges1, findNodeInTree, updateHistory, dataType]);
+  }, [nodes1, selectedNode, tree, setNodes1, edges1, findNodeInTree, updateHistory, dataType, costModel, recordUndo]);
 
   // ============= Event Handlers =============
 
@@ -601,6 +901,116 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     setSizeUnit(event.target.value);
   };
 
+  /**
+   * Overrides the data type of a node, null makes it inherit the type again
+   * @param {string} nodeId - Id of the node
+   * @param {string|null} nodeDataType - Data type name or null
+   */
+  const handleNodeDataTypeChange = (nodeId, nodeDataType) => {
+    if (!tree) return;
+
+    const newTree = tree.clone();
+    const node = newTree.findNode(nodeId);
+    if (!node) return;
+
+    recordUndo();
+    node.dataType = nodeDataType;
+    setTree(newTree);
+
+    const metrics = calculateNodeMetrics(indexSizes, newTree.getRoot(), dataType, costModel);
+    setTreeMetrics({ ...metrics, root: newTree.getRoot() });
+
+    const { nodes, edges } = buildVisualizationTree(newTree.getRoot(), metrics.faultyNodes, layoutOption, collapsedNodeIds.current);
+    setNodes1(nodes);
+    setEdges1(edges);
+
+    // Reopening the tree from the history keeps the new data type
+    const treeString = newTree.treeToString();
+    updateHistory(prevHistory => prevHistory.map(item => (
+      item.expression === treeString ? { ...item, nodes, edges, tree: newTree } : item
+    )));
+
+    const updatedSelection = nodes.find(flowNode => flowNode.id === nodeId) || null;
+    setSelectedNode(updatedSelection);
+    setSelectedNodeOperations(updatedSelection?.data?.operations || 0);
+  };
+
+  /**
+   * Relayouts the tree with the given subtrees collapsed into summary nodes
+   * @param {Set<string>} collapsed - Roots of the collapsed subtrees
+   */
+  const applyCollapsedNodes = useCallback((collapsed) => {
+    collapsedNodeIds.current = collapsed;
+    if (!tree) return;
+
+    const { faultyNodes } = calculateNodeMetrics(indexSizes, tree.getRoot(), dataType, costModel);
+    const { nodes, edges } = buildVisualizationTree(tree.getRoot(), faultyNodes, layoutOption, collapsed);
+
+    setNodes1(nodes);
+    setEdges1(edges);
+    // A selection inside a collapsed subtree is no longer shown
+    setSelectedNode(prev => (prev ? nodes.find(node => node.id === prev.id) || null : null));
+    setTimeout(() => fitView('tree1'), 0);
+  }, [tree, indexSizes, dataType, costModel, layoutOption, setNodes1, setEdges1]);
+
+  /**
+   * Collapses a subtree into a summary node or expands it again
+   * @param {string|null} nodeId - Root of the subtree, null expands all subtrees
+   */
+  const handleToggleCollapse = useCallback((nodeId) => {
+    const collapsed = new Set(nodeId === null ? [] : collapsedNodeIds.current);
+    if (nodeId !== null && !collapsed.delete(nodeId)) {
+      collapsed.add(nodeId);
+    }
+    applyCollapsedNodes(collapsed);
+  }, [applyCollapsedNodes]);
+
+  /**
+   * Handles cost model changes and recolors the tree with the new percentages
+   * @param {Object} changes - Changed cost model fields
+   */
+  const handleCostModelChange = (changes) => {
+    const newCostModel = { ...costModel, ...changes };
+    setCostModel(newCostModel);
+    if (!tree) return;
+
+    const metrics = calculateNodeMetrics(indexSizes, tree.getRoot(), dataType, newCostModel);
+    setTreeMetrics({ ...metrics, root: tree.getRoot() });
+    const { nodes, edges } = buildVisualizationTree(tree.getRoot(), metrics.faultyNodes, layoutOption, collapsedNodeIds.current);
+
+    setNodes1(nodes);
+    setEdges1(edges);
+    if (selectedNode) {
+      setSelectedNode(nodes.find(node => node.id === selectedNode.id) || null);
+    }
+  };
+
+  /**
+   * Runs an index size sweep on the current tree
+   * @param {Object[]} sweeps - One or two sweeps {index, values}
+   * @returns {Object|null} - Result of runSweep, null if the sweep is invalid
+   */
+  const handleRunSweep = useCallback((sweeps) => {
+    if (!tree?.getRoot()) {
+      Toast.show('No contraction tree to sweep');
+      return null;
+    }
+    const unknown = sweeps.find(sweep => !(sweep.index in indexSizes));
+    if (unknown) {
+      Toast.show(`Unknown index '${unknown.index}'`);
+      return null;
+    }
+    if (sweeps.length === 2 && sweeps[0].index === sweeps[1].index) {
+      Toast.show('Choose two different indices to sweep');
+      return null;
+    }
+    if (sweeps.some(sweep => sweep.values.length === 0)) {
+      Toast.show('The sweep range contains no sizes');
+      return null;
+    }
+    return runSweep(tree.getRoot(), indexSizes, dataType, sweeps);
+  }, [tree, indexSizes, dataType]);
+
   /**
    * Handles layout option changes
    */
@@ -608,11 +1018,12 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     // Validate that option is one of the defined layout types
     if (Object.values(LayoutOptionType).includes(option)) {
       console.log('Setting layout option:', option);
+      recordUndo();
       setLayoutOption(option);
       if (!tree) return;
 
-      const { faultyNodes } = calculateNodeMetrics(indexSizes, tree.getRoot(), parseInt(dataType, 10));
-      const { nodes, edges } = buildVisualizationTree(tree.getRoot(), faultyNodes, option);
+      const { faultyNodes } = calculateNodeMetrics(indexSizes, tree.getRoot(), dataType, costModel);
+      const { nodes, edges } = buildVisualizationTree(tree.getRoot(), faultyNodes, option, collapsedNodeIds.current);
 
       setNodes1(nodes);
       setEdges1(edges);
@@ -620,6 +1031,126 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     }
   };
 
+  /**
+   * Imports a NumPy-style einsum equation with a contraction path
+   * @param {string} equation - Einsum equation such as "ab,bc->ac"
+   * @param {string} path - Contraction path such as "[(0,1)]"
+   */
+  const handleImportEinsum = useCallback((equation, path) => {
+    const root = parseEinsumPath(equation, path);
+    if (!root) return;
+
+    const treeString = new Tree().setRoot(root).treeToString();
+    parseInput(treeString);
+  }, [parseInput]);
+
+  /**
+   * Searches for a cheaper contraction order of the current tree
+   * @param {string} optimizer - One of OptimizerType
+   * @returns {Object|null} Operations before and after plus the optimized expression
+   */
+  const handleOptimizePath = useCallback((optimizer) => {
+    if (!tree || !tree.getRoot()) {
+      Toast.show('No contraction tree to optimize');
+      return null;
+    }
+
+    const leafCount = collectLeafIndices(tree.getRoot()).length;
+    if (optimizer === OptimizerType.OPTIMAL && leafCount > MAX_OPTIMAL_OPERANDS) {
+      Toast.show(`Optimal search supports at most ${MAX_OPTIMAL_OPERANDS} tensors, use a greedy optimizer instead`);
+      return null;
+    }
+
+    // Clone to keep the node id counter of the current tree intact
+    const optimizedTree = tree.clone();
+    optimizedTree.setRoot(optimizeTree(tree.getRoot(), indexSizes, optimizer).root);
+    const { totalOperations: optimizedOperations, faultyNodes } = calculateNodeMetrics(indexSizes, optimizedTree.getRoot(), dataType, costModel);
+
+    return {
+      before: totalOperations,
+      after: optimizedOperations,
+      faultyNodes: faultyNodes.length,
+      tree: optimizedTree,
+      expression: optimizedTree.treeToString()
+    };
+  }, [tree, indexSizes, dataType, costModel, totalOperations]);
+
+  /**
+   * Plans the operand reorderings that make every node of the tree classifiable
+   * @returns {Object|null} Planned repairs, their cost, the repaired tree and its expression
+   */
+  const handleFindRepairs = useCallback(() => {
+    if (!tree || !tree.getRoot()) {
+      Toast.show('No contraction tree to repair');
+      return null;
+    }
+
+    // Costs use the element types of the nodes, annotated by calculateNodeMetrics
+    const plan = findRepairs(tree.getRoot(), indexSizes, (node) => dataTypeSize(node.elementType ?? dataType));
+
+    // Clone to keep the node id counter of the current tree intact
+    const repairedTree = applyRepairs(tree.clone(), plan.repairs);
+
+    return { ...plan, tree: repairedTree, expression: repairedTree.treeToString() };
+  }, [tree, indexSizes, dataType]);
+
+  /**
+   * Adopts an optimized or repaired tree, these copies keep the data types of the nodes
+   * @param {Tree} plannedTree - Tree planned by handleOptimizePath or handleFindRepairs
+   */
+  const handleApplyTree = useCallback((plannedTree) => {
+    plannedTree.updateIndexSizes(indexSizes);
+    commitTreeEdit(plannedTree);
+  }, [indexSizes, commitTreeEdit]);
+
+  /**
+   * Parses the tree compared against the current one. Missing index sizes are
+   * added to the shared index sizes.
+   * @param {string} expression - Expression of tree B
+   */
+  const handleCompare = useCallback((expression) => {
+    if (!tree) {
+      Toast.show('Parse a tree before comparing');
+      return;
+    }
+
+    // Keep ids unique across both trees, new Tree() would reset the counter
+    const idCounter = Tree.nodeIdCounter;
+    const newCompareTree = new Tree();
+    Tree.nodeIdCounter = idCounter;
+    newCompareTree.setRoot(parseTree(expression));
+    if (!newCompareTree.getRoot()) return;
+
+    const newIndexSizes = { ...indexSizes };
+    const addIndices = (node) => {
+      if (!node) return;
+      node.value.forEach(index => {
+        if (!(index in newIndexSizes)) newIndexSizes[index] = 2;
+      });
+      addIndices(node.left);
+      addIndices(node.right);
+    };
+    addIndices(newCompareTree.getRoot());
+
+    setIndexSizes(newIndexSizes);
+    tree.updateIndexSizes(newIndexSizes);
+    setCompareTree(newCompareTree);
+  }, [tree, indexSizes]);
+
+  const handleCloseCompare = useCallback(() => {
+    setCompareTree(null);
+    setNodes2([]);
+    setEdges2([]);
+  }, [setNodes2, setEdges2]);
+
+  /**
+   * Tree B cannot be edited, edits are made on tree A
+   */
+  const readOnlyEdit = useCallback(() => {
+    Toast.show('Tree B is read-only, edit tree A instead');
+    return Promise.resolve(null);
+  }, []);
+
   /**
    * Handles share button clicks
    */
@@ -629,7 +1160,22 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
       return;
     }
 
-    const url = createShareableUrl(einsumExpression, indexSizes);
+    // Nodes are shared by their path in the current tree, its ids change with every edit
+    const toPaths = (ids) => ids.map(id => tree?.nodePath(id)).filter(path => path != null);
+    const { highlightedNodeIds = [], ...flowView } = flowViewState.current;
+    const selectedNodePath = selectedNode ? tree?.nodePath(selectedNode.id) : null;
+    const nodeDataTypes = tree?.nodeDataTypes() ?? {};
+
+    const url = createShareableUrl(tree ? tree.treeToString() : einsumExpression, indexSizes, {
+      dataType,
+      sizeUnit,
+      layoutOption,
+      selectedNodePath,
+      highlightedNodePaths: highlightedNodeIds.length > 0 ? toPaths(highlightedNodeIds) : undefined,
+      collapsedNodePaths: collapsedNodeIds.current.size > 0 ? toPaths([...collapsedNodeIds.current]) : undefined,
+      nodeDataTypes: Object.keys(nodeDataTypes).length > 0 ? nodeDataTypes : undefined,
+      ...flowView
+    });
     if (!url) {
       Toast.show("Failed to create share URL");
       return;
@@ -641,7 +1187,11 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
         console.error('Failed to copy URL:', err);
         Toast.show('Failed to copy URL to clipboard');
       });
-  }, [einsumExpression, indexSizes]);
+  }, [tree, einsumExpression, indexSizes, dataType, sizeUnit, layoutOption, selectedNode]);
+
+  const handleFlowViewStateChange = useCallback((viewState) => {
+    flowViewState.current = viewState;
+  }, []);
 
   // ============= UI Helpers =============
 
@@ -649,6 +1199,13 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
    * Formats size values with appropriate units
    */
   const formatSize = (size) => {
+    // Exact sizes are divided as integers, as numbers they may have become Infinity
+    if (typeof size === 'string') {
+      const bytes = BigInt(size);
+      if (bytes <= BigInt(Number.MAX_SAFE_INTEGER)) return formatSize(Number(bytes));
+      const divisor = { MiB: 1024n * 1024n, KiB: 1024n }[sizeUnit] ?? 1n;
+      return `${formatNumber(bytes / divisor)} ${divisor === 1n ? 'Bytes' : sizeUnit}`;
+    }
     if (sizeUnit === 'MiB') {
       return `${formatNumber(Number((size / (1024 * 1024)).toFixed(2)))} MiB`;
     } else if (sizeUnit === 'KiB') {
@@ -687,8 +1244,18 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
    * Loads a tree from history
    */
   const selectTreeFromHistory = (item) => {
-    // First create a new tree instance from the expression
-    const newTree = new Tree(item.expression);
+    recordUndo();
+
+    // Reuse the stored tree, items read from local storage only keep its data types
+    let newTree;
+    if (item.tree) {
+      newTree = item.tree.clone();
+      newTree.reserveNodeIds();
+    } else {
+      newTree = new Tree(item.expression);
+      newTree.applyNodeDataTypes(item.nodeDataTypes);
+    }
+    collapsedNodeIds.current = new Set(item.nodes.filter(node => node.data?.collapsed).map(node => node.id));
 
     // Set all the states
     setNodes1(item.nodes);
@@ -701,14 +1268,28 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     newTree.updateIndexSizes(item.indexSizes);
 
     // Calculate operations for the new tree
-    const { totalOperations: newTotalOps } = calculateNodeMetrics(item.indexSizes, newTree.getRoot(), parseInt(dataType, 10));
-    setTotalOperations(newTotalOps);
+    const metrics = calculateNodeMetrics(item.indexSizes, newTree.getRoot(), dataType, costModel);
+    setTreeMetrics({ ...metrics, root: newTree.getRoot() });
 
     setTimeout(() => fitView('tree1'), 10);
   };
 
   // ============= Effects =============
 
+  /**
+   * Rebuilds the visualization of tree B whenever it or the shared settings change
+   */
+  useEffect(() => {
+    if (!compareTree) return;
+
+    compareTree.updateIndexSizes(indexSizes);
+    const { faultyNodes } = calculateNodeMetrics(indexSizes, compareTree.getRoot(), dataType, costModel);
+    const { nodes, edges } = buildVisualizationTree(compareTree.getRoot(), faultyNodes, layoutOption);
+    setNodes2(nodes);
+    setEdges2(edges);
+    setTimeout(() => fitView('tree2'), 0);
+  }, [compareTree, indexSizes, dataType, costModel, layoutOption, setNodes2, setEdges2]);
+
   /**
    * Initializes the component with initial expression and sizes
    */
@@ -716,17 +1297,31 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
     const initialize = async () => {
       if (initStep === 0 && initialExpression && initialSizes) {
         setIndexSizes(initialSizes);
+        // Settings used by parseInput have to be in place before step 1
+        if (DATA_TYPE_OPTIONS.includes(sharedView?.dataType)) setDataType(sharedView.dataType);
+        if (SIZE_UNIT_OPTIONS.includes(sharedView?.sizeUnit)) setSizeUnit(sharedView.sizeUnit);
+        if (Object.values(LayoutOptionType).includes(sharedView?.layoutOption)) setLayoutOption(sharedView.layoutOption);
         setInitStep(1);
       } else if (initStep === 1) {
         setEinsumExpression(initialExpression);
-        // Pass initialSizes to parseInput
-        await parseInput(initialExpression, initialSizes);
+        // Pass initialSizes and the known data type overrides to parseInput
+        const sharedDataTypes = Object.fromEntries(Object.entries(sharedView?.nodeDataTypes ?? {})
+          .filter(([, nodeDataType]) => DATA_TYPE_OPTIONS.includes(nodeDataType)));
+        await parseInput(initialExpression, initialSizes, sharedDataTypes);
         setInitStep(2);
+      } else if (initStep === 2) {
+        // Shared nodes were resolved on a parse of the same expression, which assigns the same ids
+        if (sharedView?.collapsedNodeIds?.length > 0) {
+          applyCollapsedNodes(new Set(sharedView.collapsedNodeIds));
+        }
+        const sharedSelection = nodes1.find(node => node.id === sharedView?.selectedNodeId);
+        if (sharedSelection) onNodeClick(null, sharedSelection);
+        setInitStep(3);
       }
     };
 
     initialize();
-  }, [initStep, initialExpression, initialSizes]);
+  }, [initStep, initialExpression, initialSizes, sharedView]);
 
   // ============= Render =============
   return (
@@ -736,27 +1331,75 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
           <div className="h-full border border-gray-200 overflow-hidden shadow-lg">
             <PanelGroup direction="vertical" className="h-full overflow-hidden">
               <Panel defaultSize={70} minSize={10}>
-                <div className="h-full overflow-hidden">
-                  <ReactFlowProvider>
-                    <Flow
-                      nodes={nodes1}
-                      edges={edges1}
-                      onNodesChange={onNodesChange1}
-                      onEdgesChange={onEdgesChange1}
-                      onConnect={onConnect1}
-                      onNodeClick={onNodeClick}
-                      tree={tree}
-                      indexSizes={indexSizes}
-                      totalOperations={totalOperations}
-                      fitViewFunction={(fn) => (fitViewFunctions.current.tree1 = fn)}
-                      handleOptionClick={handleOptionClick}
-                      swapChildren={swapChildren}
-                      recalculateTreeAndOperations={recalculateTreeAndOperations}
-                      addPermutationNode={addPermutationNode}
-                      removePermutationNode={removePermutationNode}
-                    />
-                  </ReactFlowProvider>
-                </div>
+                <PanelGroup direction="horizontal" className="h-full overflow-hidden">
+                  <Panel minSize={20}>
+                    <div className="h-full overflow-hidden relative">
+                      {compareTree && (
+                        <div className="absolute top-2 right-2 z-10 px-2 py-1 bg-white rounded-md shadow text-sm font-semibold">Tree A</div>
+                      )}
+                      <ReactFlowProvider>
+                        <Flow
+                          nodes={nodes1}
+                          edges={edges1}
+                          onNodesChange={onNodesChange1}
+                          onEdgesChange={onEdgesChange1}
+                          onConnect={onConnect1}
+                          onNodeClick={onNodeClick}
+                          tree={tree}
+                          indexSizes={indexSizes}
+                          totalOperations={totalOperations}
+                          symbolicIndices={symbolicIndices}
+                          peakMemoryNodeId={memoryAnalysis.peakNodeId}
+                          fitViewFunction={(fn) => (fitViewFunctions.current.tree1 = fn)}
+                          handleOptionClick={handleOptionClick}
+                          swapChildren={swapChildren}
+                          rotateNode={rotateNode}
+                          previewMove={previewMove}
+                          moveSubtree={moveSubtree}
+                          recalculateTreeAndOperations={recalculateTreeAndOperations}
+                          addPermutationNode={addPermutationNode}
+                          removePermutationNode={removePermutationNode}
+                          onUndo={handleUndo}
+                          onRedo={handleRedo}
+                          canUndo={undoRedo.canUndo}
+                          canRedo={undoRedo.canRedo}
+                          sharedNodeIds={comparison?.shared.a}
+                          initialViewState={sharedView}
+                          onViewStateChange={handleFlowViewStateChange}
+                          onToggleCollapse={handleToggleCollapse}
+                          formatSize={formatSize}
+                          playback={playback}
+                        />
+                      </ReactFlowProvider>
+                    </div>
+                  </Panel>
+                  {compareTree && (
+                    <>
+                      <CustomPanelResizeHandle />
+                      <Panel minSize={20}>
+                        <div className="h-full overflow-hidden relative border-l border-gray-200">
+                          <div className="absolute top-2 right-2 z-10 px-2 py-1 bg-white rounded-md shadow text-sm font-semibold">Tree B</div>
+                          <ReactFlowProvider>
+                            <Flow
+                              nodes={nodes2}
+                              edges={edges2}
+                              onNodesChange={onNodesChange2}
+                              onEdgesChange={onEdgesChange2}
+                              tree={compareTree}
+                              indexSizes={indexSizes}
+                              fitViewFunction={(fn) => (fitViewFunctions.current.tree2 = fn)}
+                              handleOptionClick={handleOptionClick}
+                              swapChildren={readOnlyEdit}
+                              addPermutationNode={readOnlyEdit}
+                              removePermutationNode={readOnlyEdit}
+                              sharedNodeIds={comparison?.shared.b}
+                            />
+                          </ReactFlowProvider>
+                        </div>
+                      </Panel>
+                    </>
+                  )}
+                </PanelGroup>
               </Panel>
               <CustomPanelResizeHandle />
               <Panel minSize={10}>
@@ -773,8 +1416,9 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                           onChange={handleDataTypeChange}
                           className="mt-1 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                         >
-                          <option value="4">4 Bytes</option>
-                          <option value="8">8 Bytes</option>
+                          {DATA_TYPE_OPTIONS.map(type => (
+                            <option key={type} value={type}>{DATA_TYPES[type].label} ({DATA_TYPES[type].bytes} Bytes)</option>
+                          ))}
                         </select>
                       </div>
                       <div className="flex-1">
@@ -784,21 +1428,68 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                           onChange={handleSizeUnitChange}
                           className="mt-1 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                         >
-                          <option value="KiB">KiB</option>
-                          <option value="MiB">MiB</option>
+                          {SIZE_UNIT_OPTIONS.map(unit => (
+                            <option key={unit} value={unit}>{unit}</option>
+                          ))}
                         </select>
                       </div>
                     </div>
                   </div>
+                  {tree && (
+                    <MemoryAnalysisPanel
+                      analysis={memoryAnalysis}
+                      order={evaluationOrder}
+                      onOrderChange={setEvaluationOrder}
+                      formatSize={formatSize}
+                      symbolicIndices={symbolicIndices}
+                    />
+                  )}
+                  {tree && (
+                    <CostModelPanel
+                      costModel={costModel}
+                      onChange={handleCostModelChange}
+                      totalOperations={treeMetrics.exactTotalOperations}
+                      totalCost={treeMetrics.exactTotalCost}
+                      dataMovementBytes={totalDataMovementBytes}
+                      formatSize={formatSize}
+                      exceedsSafeInteger={isBeyondSafeInteger}
+                      symbolicIndices={symbolicIndices}
+                    />
+                  )}
+                  {tree && (
+                    <RooflinePanel
+                      analysis={rooflineAnalysis}
+                      hardware={hardware}
+                      dataType={dataType}
+                      selectedNodeId={selectedNode?.id ?? null}
+                      symbolicIndices={symbolicIndices}
+                    />
+                  )}
                   {selectedNode && (
                     <CollapsiblePanel title="Selected Node Data">
+                      <SymbolicSizesNote indices={selectedSymbolicIndices} />
                       <div className="text-lg mb-2 flex flex-wrap">
                         <span className="font-medium">Indices and Stride:&nbsp;</span>
                         {renderIndices(selectedNode.data.label)}
                       </div>
                       <div className="text-lg mb-2">
                         <span className="font-medium">Tensor Size:&nbsp;</span>
-                        {formatSize(tensorSizes(selectedNode.data.label))}
+                        {formatSize(selectedNode.data.exactTensorSize ?? selectedNode.data.tensorSize ?? tensorSizes(selectedNode.data.label))}
+                      </div>
+                      <div className="text-lg mb-2">
+                        <span className="font-medium">Data Type:&nbsp;</span>
+                        <select
+                          value={selectedNode.data.dataType ?? ''}
+                          onChange={(e) => handleNodeDataTypeChange(selectedNode.id, e.target.value || null)}
+                          className="p-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">
+                            Inherited ({DATA_TYPES[selectedNode.data.elementType ?? dataType]?.label})
+                          </option>
+                          {DATA_TYPE_OPTIONS.map(type => (
+                            <option key={type} value={type}>{DATA_TYPES[type].label}</option>
+                          ))}
+                        </select>
                       </div>
                       {selectedNode?.data?.label && (
                         <div className="text-lg mb-2">
@@ -811,17 +1502,38 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                       {selectedNodeOperations > 0 && (
                         <div className="text-lg mb-2">
                           <span className="font-medium">#Ops/#Ops per Tree:&nbsp;</span>
-                          {formatNumber(selectedNodeOperations * 100 / totalOperations)} %
+                          {formatNumber(selectedNode.data.exactOperations
+                            ? exactPercentage(BigInt(selectedNode.data.exactOperations), BigInt(treeMetrics.exactTotalOperations))
+                            : selectedNodeOperations * 100 / totalOperations)} %
+                        </div>
+                      )}
+                      {selectedNode?.data?.dataMovement > 0 && (
+                        <div className="text-lg mb-2">
+                          <span className="font-medium">Data Movement:&nbsp;</span>
+                          {formatSize(selectedNode.data.dataMovementBytes ?? calcByteAccess(selectedNode.data.dataMovement))}
+                        </div>
+                      )}
+                      {costModel.includeDataMovement && selectedNode?.data?.operationsPercentage != null && (
+                        <div className="text-lg mb-2">
+                          <span className="font-medium">Cost/Cost per Tree:&nbsp;</span>
+                          {formatNumber(selectedNode.data.operationsPercentage)} %
                         </div>
                       )}
                       {selectedNodeOperations > 0 && selectedNode?.data?.label && (
                         <div className="text-lg mb-2">
                           <span className="font-medium">Arithemtic Intensity:&nbsp;</span>
                           {(() => {
-                            return formatNumber(selectedNodeOperations / calcByteAccess(selectedNode.data.byteAccesses));
+                            const bytes = selectedNode.data.accessedBytes ?? calcByteAccess(selectedNode.data.byteAccesses);
+                            return formatNumber(selectedNodeOperations / bytes);
                           })()}
                         </div>
                       )}
+                      {selectedRooflinePoint && (
+                        <div className="text-lg mb-2">
+                          <span className="font-medium">Roofline:&nbsp;</span>
+                          {selectedRooflinePoint.bound} bound, {formatDuration(selectedRooflinePoint.runtime)}
+                        </div>
+                      )}
                     </CollapsiblePanel>
                   )}
                 </div>
@@ -853,6 +1565,12 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                 >
                   Share
                 </button>
+                <button
+                  onClick={() => tree ? setShowCodeExport(true) : Toast.show("No tree to export")}
+                  className="px-5 py-2 bg-[#282c34] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb] focus:ring-offset-2"
+                >
+                  Code
+                </button>
               </div>
             </div>
             <div
@@ -864,11 +1582,36 @@ const EinsumTreeVisualizer = ({ initialExpression, initialSizes }) => {
                 onSelectTree={selectTreeFromHistory}
                 onClear={handleClearHistory}
               />
-              <IndexSizeInput indexSizes={indexSizes} setIndexSizes={setIndexSizes} onUpdate={recalculateOperations} />
+              <EinsumImportPanel onImport={handleImportEinsum} />
+              <PathOptimizerPanel tree={tree} onOptimize={handleOptimizePath} onApply={handleApplyTree} />
+              <TreeRepairPanel tree={tree} onFindRepairs={handleFindRepairs} onApply={handleApplyTree} formatSize={formatSize} />
+              <CompareTreesPanel
+                active={!!compareTree}
+                currentExpression={einsumExpression}
+                comparison={comparison}
+                onCompare={handleCompare}
+                onClose={handleCloseCompare}
+                formatSize={formatSize}
+              />
+              <IndexSizeInput
+                indexSizes={indexSizes}
+                setIndexSizes={setIndexSizes}
+                onUpdate={recalculateOperations}
+                onRunSweep={handleRunSweep}
+                formatSize={formatSize}
+              />
             </div>
           </div>
         </Panel>
       </PanelGroup>
+      {showCodeExport && tree && (
+        <CodeExportDialog
+          tree={tree}
+          indexSizes={indexSizes}
+          dataType={dataType}
+          onClose={() => setShowCodeExport(false)}
+        />
+      )}
     </div>
   );
 };
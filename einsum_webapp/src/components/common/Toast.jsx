@@ -1,5 +1,10 @@
 // toast.js
 export const Toast = (function() {
+  // Outside the browser (e.g. the command-line report) errors are only logged
+  if (typeof document === 'undefined') {
+    return { show: () => {} };
+  }
+
   const style = document.createElement('style');
   style.textContent = `
     .toast-container {
@@ -0,0 +1,53 @@
+import { useState, useCallback } from 'react';
+import {
+    DEFAULT_HARDWARE_PROFILES,
+    loadHardwareProfiles,
+    saveHardwareProfiles
+} from '../utils/roofline.jsx';
+
+/**
+ * Custom hook managing the locally stored hardware profiles
+ * @returns {Object} Profiles, the selected profile and functions to edit them
+ */
+export const useHardwareProfiles = () => {
+    const [profiles, setProfiles] = useState(loadHardwareProfiles);
+    const [selectedProfileId, setSelectedProfileId] = useState(() => profiles[0]?.id);
+
+    const selectedProfile = profiles.find(profile => profile.id === selectedProfileId) || profiles[0];
+
+    const updateProfiles = useCallback((newProfiles) => {
+        setProfiles(newProfiles);
+        saveHardwareProfiles(newProfiles);
+    }, []);
+
+    /**
+     * Inserts or replaces a profile (matched by id) and selects it
+     */
+    const saveProfile = useCallback((profile) => {
+        const exists = profiles.some(p => p.id === profile.id);
+        updateProfiles(exists
+            ? profiles.map(p => (p.id === profile.id ? profile : p))
+            : [...profiles, profile]);
+        setSelectedProfileId(profile.id);
+    }, [profiles, updateProfiles]);
+
+    const deleteProfile = useCallback((id) => {
+        const remaining = profiles.filter(p => p.id !== id);
+        updateProfiles(remaining.length > 0 ? remaining : DEFAULT_HARDWARE_PROFILES);
+        setSelectedProfileId(remaining[0]?.id ?? DEFAULT_HARDWARE_PROFILES[0].id);
+    }, [profiles, updateProfiles]);
+
+    const resetProfiles = useCallback(() => {
+        updateProfiles(DEFAULT_HARDWARE_PROFILES);
+        setSelectedProfileId(DEFAULT_HARDWARE_PROFILES[0].id);
+    }, [updateProfiles]);
+
+    return {
+        profiles,
+        selectedProfile,
+        selectProfile: setSelectedProfileId,
+        saveProfile,
+        deleteProfile,
+        resetProfiles
+    };
+};
@@ -0,0 +1,63 @@
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * Custom hook providing undo and redo stacks of editor snapshots
+ * @param {number} limit - Maximum number of undo steps kept
+ * @returns {Object} Functions to record, undo and redo snapshots and their availability
+ */
+export const useUndoRedo = (limit = 50) => {
+    const past = useRef([]);
+    const future = useRef([]);
+    // Stacks live in refs so undo/redo can return a snapshot synchronously,
+    // the version only triggers a re-render for canUndo/canRedo
+    const [, setVersion] = useState(0);
+    const refresh = useCallback(() => setVersion(version => version + 1), []);
+
+    /**
+     * Records the state before an edit and drops the redo stack
+     */
+    const push = useCallback((snapshot) => {
+        past.current = [...past.current, snapshot].slice(-limit);
+        future.current = [];
+        refresh();
+    }, [limit, refresh]);
+
+    /**
+     * Returns the previous snapshot and keeps the current one for redo
+     */
+    const undo = useCallback((current) => {
+        if (past.current.length === 0) return null;
+        const snapshot = past.current[past.current.length - 1];
+        past.current = past.current.slice(0, -1);
+        future.current = [...future.current, current];
+        refresh();
+        return snapshot;
+    }, [refresh]);
+
+    /**
+     * Returns the next snapshot and keeps the current one for undo
+     */
+    const redo = useCallback((current) => {
+        if (future.current.length === 0) return null;
+        const snapshot = future.current[future.current.length - 1];
+        future.current = future.current.slice(0, -1);
+        past.current = [...past.current, current];
+        refresh();
+        return snapshot;
+    }, [refresh]);
+
+    const clear = useCallback(() => {
+        past.current = [];
+        future.current = [];
+        refresh();
+    }, [refresh]);
+
+    return {
+        push,
+        undo,
+        redo,
+        clear,
+        canUndo: past.current.length > 0,
+        canRedo: future.current.length > 0
+    };
+};
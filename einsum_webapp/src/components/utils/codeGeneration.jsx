@@ -0,0 +1,218 @@
+import { DataType, promoteDataTypes, resolveDataType } from './dataTypes.jsx';
+
+/**
+ * Libraries the contraction tree can be exported to
+ */
+export const CodeTarget = {
+    NUMPY: 'numpy',
+    TORCH: 'torch'
+};
+
+const isComplex = (dataType) => dataType === DataType.COMPLEX64 || dataType === DataType.COMPLEX128;
+
+/**
+ * Python tuple literal of a shape, e.g. (2, 3,)
+ */
+const shapeTuple = (shape) => (shape ? `(${shape},)` : '()');
+
+/**
+ * Library specific pieces of the generated code. Without a data type the
+ * library default is used.
+ */
+const TARGETS = {
+    [CodeTarget.NUMPY]: {
+        extension: 'py',
+        header: 'import numpy as np',
+        dtypes: {
+            [DataType.INT8]: 'np.int8',
+            [DataType.FP16]: 'np.float16',
+            // NumPy has no bfloat16, the closest wider type keeps the exponent range
+            [DataType.BF16]: 'np.float32',
+            [DataType.FP32]: 'np.float32',
+            [DataType.FP64]: 'np.float64',
+            [DataType.COMPLEX64]: 'np.complex64',
+            [DataType.COMPLEX128]: 'np.complex128'
+        },
+        input: (shape, dataType, dtype) => {
+            if (!dtype) return `np.random.rand(${shape})`;
+            if (dataType === DataType.INT8) return `np.random.randint(-128, 128, size=${shapeTuple(shape)}, dtype=${dtype})`;
+            if (isComplex(dataType)) return `(np.random.rand(${shape}) + 1j * np.random.rand(${shape})).astype(${dtype})`;
+            return `np.random.rand(${shape}).astype(${dtype})`;
+        },
+        einsum: (subscripts, operands) => `np.einsum('${subscripts}', ${operands})`,
+        permute: (operand, axes) => `np.transpose(${operand}, (${axes}))`,
+        cast: (operand, dtype) => `${operand}.astype(${dtype})`
+    },
+    [CodeTarget.TORCH]: {
+        extension: 'py',
+        header: 'import torch',
+        dtypes: {
+            [DataType.INT8]: 'torch.int8',
+            [DataType.FP16]: 'torch.float16',
+            [DataType.BF16]: 'torch.bfloat16',
+            [DataType.FP32]: 'torch.float32',
+            [DataType.FP64]: 'torch.float64',
+            [DataType.COMPLEX64]: 'torch.complex64',
+            [DataType.COMPLEX128]: 'torch.complex128'
+        },
+        input: (shape, dataType, dtype) => {
+            if (!dtype) return `torch.rand(${shape})`;
+            if (dataType === DataType.INT8) return `torch.randint(-128, 128, ${shapeTuple(shape)}, dtype=${dtype})`;
+            return `torch.rand(${shapeTuple(shape)}, dtype=${dtype})`;
+        },
+        einsum: (subscripts, operands) => `torch.einsum('${subscripts}', ${operands})`,
+        permute: (operand, axes) => `${operand}.permute(${axes})`,
+        cast: (operand, dtype) => `${operand}.to(${dtype})`
+    }
+};
+
+const SUBSCRIPT_LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Maps every index of the tree to a single letter einsum subscript. Single letter
+ * indices keep their name, longer ones get the first unused letter.
+ * @param {Object} root - Tree root
+ * @returns {Object} - Mapping from index to subscript letter
+ */
+const createSubscriptMap = (root) => {
+    const indices = new Set();
+    const collect = (node) => {
+        if (!node) return;
+        node.value.forEach(index => indices.add(index));
+        collect(node.left);
+        collect(node.right);
+    };
+    collect(root);
+
+    if (indices.size > SUBSCRIPT_LETTERS.length) {
+        throw new Error(`Code generation supports at most ${SUBSCRIPT_LETTERS.length} distinct indices`);
+    }
+
+    const mapping = {};
+    const used = new Set();
+    indices.forEach(index => {
+        if (index.length === 1 && SUBSCRIPT_LETTERS.includes(index)) {
+            mapping[index] = index;
+            used.add(index);
+        }
+    });
+    const free = [...SUBSCRIPT_LETTERS].filter(letter => !used.has(letter));
+    indices.forEach(index => {
+        if (!(index in mapping)) {
+            mapping[index] = free.shift();
+        }
+    });
+    return mapping;
+};
+
+/**
+ * Generates runnable code executing the contraction tree as a sequence of
+ * einsum calls, one per binary node. Unary nodes that only reorder the
+ * indices of their child become transposes. Data type overrides of nodes are
+ * followed as in calculateNodeMetrics: operands are cast to their promoted
+ * type before a contraction and results to the type of their node.
+ * @param {Object} root - Tree root
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string} target - One of CodeTarget
+ * @param {string} [dataType] - Data type of nodes without an override, library default if not given
+ * @returns {string} - Generated source code
+ */
+export const generateCode = (root, indexSizes, target = CodeTarget.NUMPY, dataType) => {
+    const library = TARGETS[target];
+    if (!library) {
+        throw new Error(`Unknown code target '${target}'`);
+    }
+    if (!root) {
+        throw new Error('No contraction tree to generate code for');
+    }
+
+    // Types of the library, null leaves the choice to the library
+    const dtypeOf = (type) => {
+        if (!type) return null;
+        if (!library.dtypes[type]) {
+            throw new Error(`Unknown data type '${type}'`);
+        }
+        return library.dtypes[type];
+    };
+    dtypeOf(dataType);
+    const overrideOf = (node) => (node.dataType ? resolveDataType(node.dataType) : null);
+
+    const subscripts = createSubscriptMap(root);
+    const toSubscripts = (indices) => indices.map(index => subscripts[index]).join('');
+    const shapeOf = (indices) => indices.map(index => indexSizes[index] ?? 1).join(', ');
+    const describe = (indices) => `[${indices.join(',')}] shape (${shapeOf(indices)}${indices.length === 1 ? ',' : ''})`;
+
+    const inputs = [];
+    const steps = [];
+    let inputCount = 0;
+    let intermediateCount = 0;
+
+    // Casts an operand unless it already has the type, unknown types are not cast
+    const castTo = (operand, type) => {
+        const dtype = dtypeOf(type);
+        return dtype && dtype !== dtypeOf(operand.type) ? library.cast(operand.name, dtype) : operand.name;
+    };
+
+    const emit = (node) => {
+        if (node.isLeaf()) {
+            const name = `in${inputCount++}`;
+            const type = overrideOf(node) ?? dataType;
+            inputs.push(`${name} = ${library.input(shapeOf(node.value), type, dtypeOf(type))}  # ${describe(node.value)}`);
+            return { name, type };
+        }
+
+        const left = emit(node.left);
+        const right = node.right ? emit(node.right) : null;
+        const name = node === root ? 'result' : `t${intermediateCount++}`;
+        const output = toSubscripts(node.value);
+
+        let computeType = left.type;
+        if (right) {
+            computeType = left.type && right.type ? promoteDataTypes(left.type, right.type) : null;
+        }
+
+        let expression;
+        if (!right && node.value.length === node.left.value.length &&
+            node.value.every(index => node.left.value.includes(index))) {
+            const axes = node.value.map(index => node.left.value.indexOf(index));
+            expression = library.permute(left.name, axes.join(', ') + (axes.length === 1 ? ',' : ''));
+        } else if (!right) {
+            expression = library.einsum(`${toSubscripts(node.left.value)}->${output}`, left.name);
+        } else {
+            expression = library.einsum(
+                `${toSubscripts(node.left.value)},${toSubscripts(node.right.value)}->${output}`,
+                `${castTo(left, computeType)}, ${castTo(right, computeType)}`
+            );
+        }
+
+        const type = overrideOf(node) ?? computeType;
+        if (overrideOf(node)) {
+            expression = castTo({ name: expression, type: computeType }, type);
+        }
+        steps.push(`${name} = ${expression}  # ${describe(node.value)}`);
+        return { name, type };
+    };
+    const resultName = emit(root).name;
+
+    const sizes = Object.entries(indexSizes).map(([index, size]) => `${index}=${size}`).join(', ');
+    return [
+        library.header,
+        '',
+        `# Index sizes: ${sizes}`,
+        ...(dataType ? [`# Data type: ${dataType}`] : []),
+        '',
+        '# Input tensors',
+        ...inputs,
+        '',
+        '# Contractions',
+        ...(steps.length > 0 ? steps : [`result = ${resultName}`]),
+        ''
+    ].join('\n');
+};
+
+/**
+ * Returns the file name used when downloading the generated code
+ * @param {string} target - One of CodeTarget
+ * @returns {string} - File name
+ */
+export const codeFileName = (target) => `einsum_tree_${target}.${TARGETS[target].extension}`;
@@ -0,0 +1,13 @@
+import { scaleLinear } from 'd3-scale';
+
+/**
+ * Generates a color based on a percentage value using d3 scale
+ * @param {number} percentage - Value between 0 and 100
+ * @returns {string} Color in hex format
+ */
+export const getColorForPercentage = (percentage) => {
+    const colorScale = scaleLinear()
+        .domain([0, 100])
+        .range(['#add8e6', '#00008b']);
+    return colorScale(percentage);
+};
@@ -1,7 +1,40 @@
 import pako from 'pako';
+import { migrateLegacyDataType } from './dataTypes.jsx';
+import { Tree } from './einsumContractionTree.jsx';
 
 /**
- * Compresses data using gzip and converts it to a base64 string
+ * Version of the share payload schema. Increment it when the payload changes
+ * and extend migrateSharePayload so older links keep working.
+ */
+export const SHARE_SCHEMA_VERSION = 3;
+
+/**
+ * Converts a byte array to URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} URL-safe base64 string
+ */
+const toBase64Url = (bytes) =>
+    btoa(String.fromCharCode.apply(null, bytes))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+/**
+ * Converts standard or URL-safe base64 to padded standard base64. Spaces are
+ * read as '+', which is what an unencoded '+' turns into in a query string.
+ * @param {string} encoded - Base64 string in either alphabet
+ * @returns {string} Standard base64 string
+ */
+const fromBase64Url = (encoded) => {
+    const base64 = encoded
+        .replace(/ /g, '+')
+        .replace(/-/g, '+')
+        .replace(/_/g, '/');
+    return base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+};
+
+/**
+ * Compresses data using gzip and converts it to a URL-safe base64 string
  * @param {any} data - The data to compress
  * @returns {string|null} Base64 encoded compressed string or null if compression fails
  */
@@ -10,7 +43,7 @@ export const compressData = (data) => {
     try {
         const jsonString = JSON.stringify(data);
         const compressed = pako.gzip(jsonString);
-        return btoa(String.fromCharCode.apply(null, compressed));
+        return toBase64Url(compressed);
     } catch (e) {
         console.error('Failed to compress data:', e);
         return null;
@@ -18,7 +51,8 @@ export const compressData = (data) => {
 };
 
 /**
- * Decompresses a base64 encoded gzipped string back to its original form
+ * Decompresses a base64 encoded gzipped string back to its original form.
+ * Accepts both the URL-safe and the standard base64 alphabet.
  * @param {string} compressed - Base64 encoded compressed string
  * @returns {any|null} Original data object or null if decompression fails
  */
@@ -26,7 +60,7 @@ export const decompressData = (compressed) => {
     if (!compressed) return null;
     try {
         // Convert base64 to binary
-        const binary = atob(compressed);
+        const binary = atob(fromBase64Url(compressed));
         const bytes = new Uint8Array(binary.length);
 
         // Convert binary to byte array
@@ -44,25 +78,148 @@ export const decompressData = (compressed) => {
 };
 
 /**
- * Creates a shareable URL containing compressed expression and index sizes
- * @param {Object} expression - The tensor expression to share
+ * Creates the versioned share payload. Fields that are not set are left out.
+ * @param {string} expression - The einsum expression to share
  * @param {Object} indexSizes - The index sizes configuration
+ * @param {Object} [viewState] - View state to restore on opening the link
+ * @param {string} [viewState.dataType] - Data type name
+ * @param {string} [viewState.sizeUnit] - Unit sizes are shown in
+ * @param {string} [viewState.layoutOption] - Layout of the tree
+ * @param {string} [viewState.selectedNodePath] - Structural path of the selected node, see Tree.nodePath
+ * @param {string[]} [viewState.highlightedNodePaths] - Paths of the highlighted nodes
+ * @param {string} [viewState.metricType] - Metric shown as node percentages
+ * @param {boolean} [viewState.showPercentages] - Whether node percentages are shown
+ * @param {string[]} [viewState.collapsedNodePaths] - Paths of the nodes shown as a summary of their subtree
+ * @param {string} [viewState.encoding] - 'size' if nodes and edges are sized by the metric
+ * @param {string} [viewState.sizeScale] - Scale of the size encoding, 'log' or 'linear'
+ * @param {Object} [viewState.nodeDataTypes] - Data type overrides by node path, see Tree.nodeDataTypes
+ * @returns {Object} Share payload
+ */
+export const createSharePayload = (expression, indexSizes, viewState = {}) => {
+    const payload = { version: SHARE_SCHEMA_VERSION, expression, indexSizes };
+    Object.entries(viewState).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            payload[key] = value;
+        }
+    });
+    return payload;
+};
+
+/**
+ * Upgrades a share payload of an older schema version to the current one
+ * @param {Object} payload - Decoded share payload
+ * @returns {Object|null} Payload in the current schema or null if it is unusable
+ */
+export const migrateSharePayload = (payload) => {
+    if (!payload || typeof payload !== 'object' || typeof payload.expression !== 'string') {
+        return null;
+    }
+
+    if (payload.version > SHARE_SCHEMA_VERSION) {
+        console.warn(`Share link uses schema version ${payload.version}, restoring known fields only`);
+    }
+
+    // Version 0 are the links carrying only e and s parameters
+    const migrated = {
+        ...payload,
+        version: SHARE_SCHEMA_VERSION,
+        indexSizes: payload.indexSizes || {}
+    };
+
+    // Version 1 stored the data type as its size in bytes
+    if (payload.version < 2 && payload.dataType !== undefined) {
+        migrated.dataType = migrateLegacyDataType(String(payload.dataType));
+    }
+
+    // Versions before 3 referenced nodes by the ids of the parsed expression
+    if (payload.version < 3) {
+        const { selectedNodeId, highlightedNodeIds, collapsedNodeIds } = migrated;
+        delete migrated.selectedNodeId;
+        delete migrated.highlightedNodeIds;
+        delete migrated.collapsedNodeIds;
+
+        if (selectedNodeId !== undefined || highlightedNodeIds || collapsedNodeIds) {
+            const tree = new Tree(payload.expression);
+            const toPaths = (ids) => ids.map(id => tree.nodePath(id)).filter(path => path !== null);
+            const [selectedNodePath] = toPaths(selectedNodeId !== undefined ? [selectedNodeId] : []);
+            if (selectedNodePath !== undefined) migrated.selectedNodePath = selectedNodePath;
+            if (highlightedNodeIds) migrated.highlightedNodePaths = toPaths(highlightedNodeIds);
+            if (collapsedNodeIds) migrated.collapsedNodePaths = toPaths(collapsedNodeIds);
+        }
+    }
+
+    return migrated;
+};
+
+/**
+ * Resolves the node paths of a share payload to the ids of its parsed expression.
+ * Parsing the same expression again assigns the same ids, so they match the tree
+ * built from the payload.
+ * @param {Object|null} payload - Share payload in the current schema
+ * @returns {Object|null} Payload with selectedNodeId, highlightedNodeIds and collapsedNodeIds
+ */
+export const resolveSharedNodeIds = (payload) => {
+    if (!payload) return payload;
+
+    const { selectedNodePath, highlightedNodePaths, collapsedNodePaths } = payload;
+    if (selectedNodePath === undefined && !highlightedNodePaths && !collapsedNodePaths) return payload;
+
+    const tree = new Tree(payload.expression);
+    const toIds = (paths = []) => paths.map(path => tree.findNodeByPath(path)?.id).filter(Boolean);
+    return {
+        ...payload,
+        selectedNodeId: selectedNodePath !== undefined ? tree.findNodeByPath(selectedNodePath)?.id : undefined,
+        highlightedNodeIds: toIds(highlightedNodePaths),
+        collapsedNodeIds: toIds(collapsedNodePaths)
+    };
+};
+
+/**
+ * Creates a shareable URL containing the compressed share payload
+ * @param {string} expression - The einsum expression to share
+ * @param {Object} indexSizes - The index sizes configuration
+ * @param {Object} [viewState] - View state to restore, see createSharePayload
  * @returns {string|null} URL containing compressed data or null if creation fails
  */
-export const createShareableUrl = (expression, indexSizes) => {
-    const compressedExpression = compressData(expression);
-    const compressedSizes = compressData(indexSizes);
+export const createShareableUrl = (expression, indexSizes, viewState = {}) => {
+    if (!expression || !indexSizes) {
+        console.error('Error: Failed to create shareable URL');
+        return null;
+    }
 
-    if (!compressedExpression || !compressedSizes) {
+    const compressedPayload = compressData(createSharePayload(expression, indexSizes, viewState));
+    if (!compressedPayload) {
         console.error('Error: Failed to create shareable URL');
         return null;
     }
 
     const baseUrl = window.location.origin + window.location.pathname;
-    const params = new URLSearchParams({
-        e: compressedExpression,
-        s: compressedSizes
-    });
+    const params = new URLSearchParams({ p: compressedPayload });
 
     return `${baseUrl}?${params.toString()}`;
 };
+
+/**
+ * Reads the share payload from URL search parameters. Besides the versioned
+ * p parameter, links with separate e (expression) and s (sizes) parameters
+ * are still understood.
+ * @param {URLSearchParams} searchParams - Search parameters of the opened URL
+ * @returns {Object|null} Share payload in the current schema or null if there is none
+ */
+export const readSharePayload = (searchParams) => {
+    const compressedPayload = searchParams.get('p');
+    if (compressedPayload) {
+        return migrateSharePayload(decompressData(compressedPayload));
+    }
+
+    const compressedExpression = searchParams.get('e');
+    if (compressedExpression) {
+        return migrateSharePayload({
+            version: 0,
+            expression: decompressData(compressedExpression),
+            indexSizes: decompressData(searchParams.get('s'))
+        });
+    }
+
+    return null;
+};
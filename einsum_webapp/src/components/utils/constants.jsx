@@ -4,4 +4,7 @@ export const LayoutOptionType = {
   Wide: 'wide',
   Hierarchical: 'hierarchical',
   Compact: 'compact',
+  LeftToRight: 'left to right',
+  Radial: 'radial',
+  Layered: 'layered',
 };
\ No newline at end of file
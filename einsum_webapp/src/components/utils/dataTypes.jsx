@@ -0,0 +1,113 @@
+/**
+ * Names of the supported element data types
+ */
+export const DataType = {
+    INT8: 'int8',
+    FP16: 'fp16',
+    BF16: 'bf16',
+    FP32: 'fp32',
+    FP64: 'fp64',
+    COMPLEX64: 'complex64',
+    COMPLEX128: 'complex128'
+};
+
+export const DEFAULT_DATA_TYPE = DataType.FP32;
+
+/**
+ * Properties of the data types. Complex types run on the units of their real
+ * component type: a complex multiply takes 4 real multiplies and 2 real adds,
+ * a complex add 2 real adds.
+ */
+export const DATA_TYPES = {
+    [DataType.INT8]: { label: 'INT8', bytes: 1, realType: DataType.INT8, multiplyFlops: 1, addFlops: 1 },
+    [DataType.FP16]: { label: 'FP16', bytes: 2, realType: DataType.FP16, multiplyFlops: 1, addFlops: 1 },
+    [DataType.BF16]: { label: 'BF16', bytes: 2, realType: DataType.BF16, multiplyFlops: 1, addFlops: 1 },
+    [DataType.FP32]: { label: 'FP32', bytes: 4, realType: DataType.FP32, multiplyFlops: 1, addFlops: 1 },
+    [DataType.FP64]: { label: 'FP64', bytes: 8, realType: DataType.FP64, multiplyFlops: 1, addFlops: 1 },
+    [DataType.COMPLEX64]: { label: 'Complex64', bytes: 8, realType: DataType.FP32, multiplyFlops: 6, addFlops: 2 },
+    [DataType.COMPLEX128]: { label: 'Complex128', bytes: 16, realType: DataType.FP64, multiplyFlops: 6, addFlops: 2 }
+};
+
+/**
+ * Data types with their own peak performance, complex types use their real type
+ */
+export const REAL_DATA_TYPES = Object.keys(DATA_TYPES)
+    .filter(type => DATA_TYPES[type].realType === type);
+
+/**
+ * Data type keys used before named types, the size in bytes of a real type
+ */
+const LEGACY_DATA_TYPES = {
+    '4': DataType.FP32,
+    '8': DataType.FP64
+};
+
+/**
+ * Renames a legacy size key to its data type name, other keys are kept
+ * @param {string} key - Stored data type key
+ * @returns {string} - Data type name or the unchanged key
+ */
+export const migrateLegacyDataType = (key) => LEGACY_DATA_TYPES[key] ?? key;
+
+/**
+ * Resolves a data type name, a legacy size key ('4', '8') or a size in bytes
+ * @param {string|number} dataType - Data type to resolve
+ * @returns {string} - Data type name, the default for unknown values
+ */
+export const resolveDataType = (dataType) => {
+    if (DATA_TYPES[dataType]) return dataType;
+    if (LEGACY_DATA_TYPES[dataType]) return LEGACY_DATA_TYPES[dataType];
+    if (typeof dataType === 'number') {
+        return REAL_DATA_TYPES.find(type => DATA_TYPES[type].bytes === dataType) || DEFAULT_DATA_TYPE;
+    }
+    return DEFAULT_DATA_TYPE;
+};
+
+/**
+ * Size of one element in bytes
+ * @param {string|number} dataType - Data type, see resolveDataType
+ * @returns {number} - Size in bytes
+ */
+export const dataTypeSize = (dataType) => {
+    // Plain sizes are kept even without a matching type, e.g. for custom element sizes
+    if (typeof dataType === 'number') return dataType;
+    return DATA_TYPES[resolveDataType(dataType)].bytes;
+};
+
+/**
+ * Counts the real floating point operations of a contraction producing cmn
+ * elements, each the sum of k products
+ * @param {number|bigint} cmn - Number of output elements
+ * @param {number|bigint} k - Length of the contracted dimension, of the same type as cmn
+ * @param {string|number} dataType - Data type, see resolveDataType
+ * @returns {number|bigint} - Floating point operations, exact for bigint sizes
+ */
+export const contractionFlops = (cmn, k, dataType) => {
+    const { multiplyFlops, addFlops } = DATA_TYPES[resolveDataType(dataType)];
+    if (typeof cmn === 'bigint') {
+        return cmn * k * BigInt(multiplyFlops) + cmn * (k - 1n) * BigInt(addFlops);
+    }
+    return cmn * k * multiplyFlops + cmn * (k - 1) * addFlops;
+};
+
+/**
+ * Result type of an operation on two data types, following the promotion of
+ * NumPy and PyTorch: complex wins over real, wider wins over narrower, and the
+ * two 16 bit float formats promote to fp32.
+ * @param {string} a - First data type name
+ * @param {string} b - Second data type name
+ * @returns {string} - Promoted data type name
+ */
+export const promoteDataTypes = (a, b) => {
+    if (a === b) return a;
+    const typeA = DATA_TYPES[a];
+    const typeB = DATA_TYPES[b];
+
+    const isComplex = typeA.realType !== a || typeB.realType !== b;
+    if (isComplex) {
+        const realBytes = Math.max(DATA_TYPES[typeA.realType].bytes, DATA_TYPES[typeB.realType].bytes);
+        return realBytes > 4 ? DataType.COMPLEX128 : DataType.COMPLEX64;
+    }
+    if (typeA.bytes === typeB.bytes) return DataType.FP32;
+    return typeA.bytes > typeB.bytes ? a : b;
+};
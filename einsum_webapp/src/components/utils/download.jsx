@@ -0,0 +1,13 @@
+/**
+ * Lets the browser download a blob as a file
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -1,12 +1,13 @@
 import { Toast } from '../common/Toast.jsx';
 
 /**
- * Checks if a character is a letter or number
+ * Checks if a character can be part of an index name. Index names are
+ * identifier-style (e.g. "i", "batch", "i_1") or numbers (e.g. "12").
  * @param {string} char - The character to check
- * @returns {boolean} True if the character is alphanumeric
+ * @returns {boolean} True if the character is a letter, number or underscore
  */
-function isLetterOrNumber(char) {
-  return /^[a-zA-Z0-9]$/.test(char);
+function isIndexChar(char) {
+  return /^[a-zA-Z0-9_]$/.test(char);
 }
 
 /**
@@ -15,7 +16,7 @@ function isLetterOrNumber(char) {
  * @returns {boolean} True if the character is valid in array context
  */
 function isValidArrayChar(char) {
-  return /^[a-zA-Z0-9,\]]$/.test(char);
+  return /^[a-zA-Z0-9_,\]]$/.test(char);
 }
 
 /**
@@ -43,7 +44,7 @@ export function parseTree(str) {
       }
 
       let num = '';
-      while (index < str.length && isLetterOrNumber(str[index])) {
+      while (index < str.length && isIndexChar(str[index])) {
         num += str[index++];
       }
 
@@ -130,6 +131,7 @@ export function parseTree(str) {
  * @property {string} string - String representation of value
  * @property {number[]|null} sizes - Array of sizes
  * @property {boolean} deleteAble - Whether node can be deleted
+ * @property {string|null} dataType - Data type override, null inherits it
  */
 export class Node {
   constructor(value, left = null, right = null, deleteAble = false) {
@@ -140,6 +142,7 @@ export class Node {
     this.string = Array.isArray(value) ? value.join('') : value;
     this.sizes = null;
     this.deleteAble = deleteAble;
+    this.dataType = null;
   }
 
   isLeaf() {
@@ -162,6 +165,7 @@ export function reconstructNode(nodeData) {
   node.id = nodeData.id;
   node.string = nodeData.string;
   node.sizes = nodeData.sizes;
+  node.dataType = nodeData.dataType ?? null;
 
   // Recursively reconstruct child nodes
   node.left = reconstructNode(nodeData.left);
@@ -170,6 +174,53 @@ export function reconstructNode(nodeData) {
   return node;
 }
 
+/**
+ * Directions of an associativity rewrite of the contraction order
+ */
+export const RotationDirection = {
+  LEFT: 'left',
+  RIGHT: 'right'
+};
+
+/**
+ * Indices of the operands of a new intermediate that are still needed afterwards
+ * @param {Node[]} operands - Operands contracted into the intermediate
+ * @param {string[][]} remaining - Index lists of the node output and the operand contracted later
+ * @returns {string[]} Indices of the intermediate in order of their first occurrence
+ */
+const intermediateIndices = (operands, remaining) => {
+  const needed = new Set(remaining.flat());
+  return [...new Set(operands.flatMap(operand => operand.value))].filter(index => needed.has(index));
+};
+
+/**
+ * Finds the parent of a node
+ * @param {Node} root - Root of the searched tree
+ * @param {string} id - ID of the child
+ * @returns {Node|null} Parent node or null for the root and unknown ids
+ */
+const findParent = (root, id) => {
+  if (!root) return null;
+  if (root.left?.id === id || root.right?.id === id) return root;
+  return findParent(root.left, id) || findParent(root.right, id);
+};
+
+/**
+ * Path from the root to a node
+ * @param {Node} root - Root of the searched tree
+ * @param {string} id - ID of the node
+ * @returns {Node[]} Nodes from the root to the node, empty if it is not found
+ */
+const pathTo = (root, id) => {
+  if (!root) return [];
+  if (root.id === id) return [root];
+  for (const child of [root.left, root.right]) {
+    const path = pathTo(child, id);
+    if (path.length > 0) return [root, ...path];
+  }
+  return [];
+};
+
 /**
  * Class representing a contraction tree
  * @class Tree
@@ -278,6 +329,171 @@ export class Tree {
     swapNodesInTree(this.root);
   }
 
+  /**
+   * Checks whether a node can be rotated, the node and its child moving up have to be binary contractions
+   * @param {string} nodeId - ID of the node to rotate
+   * @param {string} direction - One of RotationDirection
+   * @returns {boolean} True if the rotation is possible
+   */
+  canRotate(nodeId, direction) {
+    const node = this.findNode(nodeId);
+    if (!node?.left || !node?.right) return false;
+
+    const pivot = direction === RotationDirection.RIGHT ? node.left : node.right;
+    return !!(pivot.left && pivot.right);
+  }
+
+  /**
+   * Changes which tensors are contracted first by associativity: rotating right turns
+   * (A·B)·C into A·(B·C), rotating left turns A·(B·C) into (A·B)·C. The node keeps its
+   * output, the new intermediate keeps the indices needed by that output or by the
+   * operand it is contracted with.
+   * @param {string} nodeId - ID of the node to rotate
+   * @param {string} direction - One of RotationDirection
+   * @returns {boolean} True if the node was rotated
+   */
+  rotate(nodeId, direction) {
+    if (!this.canRotate(nodeId, direction)) return false;
+
+    const node = this.findNode(nodeId);
+    let pivot;
+    if (direction === RotationDirection.RIGHT) {
+      pivot = node.left;
+      const [a, b, c] = [pivot.left, pivot.right, node.right];
+      pivot.left = b;
+      pivot.right = c;
+      pivot.value = intermediateIndices([b, c], [a.value, node.value]);
+      node.left = a;
+      node.right = pivot;
+    } else {
+      pivot = node.right;
+      const [a, b, c] = [node.left, pivot.left, pivot.right];
+      pivot.left = a;
+      pivot.right = b;
+      pivot.value = intermediateIndices([a, b], [c.value, node.value]);
+      node.left = pivot;
+      node.right = c;
+    }
+
+    pivot.string = pivot.value.join('');
+    if (pivot.sizes) {
+      pivot.sizes = pivot.value.map(char => this.indexSizes[char] || 2);
+    }
+    return true;
+  }
+
+  /**
+   * Detaches a subtree and contracts it with another node instead. The sibling of the
+   * subtree takes the place of its former parent, a new contraction of the target and
+   * the subtree takes the place of the target. Intermediates on the paths to both
+   * places keep the indices needed by the output or by the operands contracted later,
+   * the output of the tree does not change.
+   * @param {string} nodeId - ID of the root of the moved subtree
+   * @param {string} targetId - ID of the node the subtree is contracted with
+   * @returns {string} ID of the new contraction
+   * @throws {Error} If the move is not possible, the tree is left unchanged
+   */
+  moveSubtree(nodeId, targetId) {
+    const counter = Tree.nodeIdCounter;
+    const root = reconstructNode(this.root);
+    Tree.nodeIdCounter = counter;
+
+    const output = root?.value;
+    const node = pathTo(root, nodeId).pop();
+    const target = pathTo(root, targetId).pop();
+    if (!node || !target) {
+      throw new Error('Node not found');
+    }
+    if (node === root) {
+      throw new Error('The root cannot be moved');
+    }
+    if (pathTo(node, targetId).length > 0) {
+      throw new Error('A subtree cannot be moved into itself');
+    }
+    const parent = findParent(root, nodeId);
+    if (!parent.left || !parent.right) {
+      throw new Error('Only operands of binary contractions can be moved');
+    }
+    const sibling = parent.left === node ? parent.right : parent.left;
+    if (target === parent || target === sibling) {
+      throw new Error('The subtree is already contracted with this node');
+    }
+
+    // Replaces a node by another in its parent, or as the root
+    let newRoot = root;
+    const replace = (old, replacement) => {
+      const oldParent = findParent(newRoot, old.id);
+      if (!oldParent) {
+        newRoot = replacement;
+      } else if (oldParent.left === old) {
+        oldParent.left = replacement;
+      } else {
+        oldParent.right = replacement;
+      }
+    };
+
+    replace(parent, sibling);
+    const contraction = new Node([...target.value], target, node);
+    contraction.dataType = target.dataType;
+    replace(target, contraction);
+    newRoot.value = output;
+    newRoot.string = output.join('');
+
+    // Intermediates on the paths to the changed places, innermost first
+    const affected = [...new Set([...pathTo(newRoot, contraction.id), ...pathTo(newRoot, sibling.id)])]
+      .filter(affectedNode => affectedNode !== newRoot && affectedNode.left && affectedNode.right)
+      .reverse();
+
+    // Values depend on the operands contracted later, which may be affected themselves
+    for (let pass = 0; pass <= affected.length; pass++) {
+      let changed = false;
+      affected.forEach(affectedNode => {
+        const needed = new Set(output);
+        const path = pathTo(newRoot, affectedNode.id);
+        path.slice(0, -1).forEach((ancestor, i) => {
+          const other = ancestor.left === path[i + 1] ? ancestor.right : ancestor.left;
+          other?.value.forEach(index => needed.add(index));
+        });
+
+        const available = [...new Set([...affectedNode.left.value, ...affectedNode.right.value])];
+        const kept = available.filter(index => needed.has(index));
+        const value = [
+          ...affectedNode.value.filter(index => kept.includes(index)),
+          ...kept.filter(index => !affectedNode.value.includes(index))
+        ];
+        if (value.join(',') !== affectedNode.value.join(',')) {
+          affectedNode.value = value;
+          affectedNode.string = value.join('');
+          changed = true;
+        }
+      });
+      if (!changed) break;
+    }
+
+    // Every node has to get its indices from its operands, fixed outputs cannot be recomputed
+    const check = (checked) => {
+      if (!checked || checked.isLeaf()) return;
+      const available = new Set([...checked.left.value, ...(checked.right?.value ?? [])]);
+      const missing = checked.value.filter(index => !available.has(index));
+      if (missing.length > 0) {
+        throw new Error(checked === newRoot
+          ? `The move would drop the output indices ${missing.join(',')}`
+          : `The move would drop the indices ${missing.join(',')} of [${checked.value.join(',')}]`);
+      }
+      check(checked.left);
+      check(checked.right);
+    };
+    check(newRoot);
+
+    [contraction, ...affected].forEach(changedNode => {
+      if (changedNode.sizes) {
+        changedNode.sizes = changedNode.value.map(char => this.indexSizes[char] || 2);
+      }
+    });
+    this.root = newRoot;
+    return contraction.id;
+  }
+
   /**
    * Creates a deep copy of the tree
    * @returns {Tree} New tree instance with the same structure
@@ -291,6 +507,23 @@ export class Tree {
     return newTree;
   }
 
+  /**
+   * Advances the node id counter past every id in this tree, so that nodes
+   * created afterwards cannot collide with it (e.g. after restoring an older tree)
+   */
+  reserveNodeIds() {
+    const visit = (node) => {
+      if (!node) return;
+      const number = parseInt(String(node.id).replace('node_', ''), 10);
+      if (!isNaN(number) && number >= Tree.nodeIdCounter) {
+        Tree.nodeIdCounter = number + 1;
+      }
+      visit(node.left);
+      visit(node.right);
+    };
+    visit(this.root);
+  }
+
   /**
    * Updates indices of nodes in the tree
    * @param {Object} updatedNodes - Object containing nodes to update
@@ -354,6 +587,60 @@ export class Tree {
     return search(this.root);
   }
 
+  /**
+   * Structural path of a node, 'L' and 'R' steps from the root. Unlike node ids,
+   * paths stay valid when the expression of the tree is parsed again.
+   * @param {string} id - ID of the node
+   * @returns {string|null} Path of the node, '' for the root, null if the node is not found
+   */
+  nodePath(id) {
+    const nodes = pathTo(this.root, id);
+    if (nodes.length === 0) return null;
+    return nodes.slice(1).map((node, i) => (nodes[i].left === node ? 'L' : 'R')).join('');
+  }
+
+  /**
+   * Finds a node by its structural path
+   * @param {string} path - Path created by nodePath
+   * @returns {Node|null} Found node or null
+   */
+  findNodeByPath(path) {
+    let node = this.root;
+    for (const step of path) {
+      if (!node) return null;
+      node = step === 'L' ? node.left : step === 'R' ? node.right : null;
+    }
+    return node || null;
+  }
+
+  /**
+   * Data type overrides of the nodes by structural path, which survive
+   * rebuilding the tree from its expression
+   * @returns {Object} Mapping of node paths to data type names
+   */
+  nodeDataTypes() {
+    const dataTypes = {};
+    const visit = (node, path) => {
+      if (!node) return;
+      if (node.dataType) dataTypes[path] = node.dataType;
+      visit(node.left, `${path}L`);
+      visit(node.right, `${path}R`);
+    };
+    visit(this.root, '');
+    return dataTypes;
+  }
+
+  /**
+   * Sets data type overrides by structural path, paths without a node are skipped
+   * @param {Object} dataTypes - Mapping created by nodeDataTypes
+   */
+  applyNodeDataTypes(dataTypes = {}) {
+    Object.entries(dataTypes).forEach(([path, dataType]) => {
+      const node = this.findNodeByPath(path);
+      if (node) node.dataType = dataType;
+    });
+  }
+
   /**
    * Adds a permutation node to the tree
    * @param {string} nodeId - ID of the node where to add permutation
@@ -373,6 +660,7 @@ export class Tree {
         );
         // The Node constructor already calls Tree.getNextId()
         newLeftChild.sizes = node.sizes;
+        newLeftChild.dataType = node.dataType;
 
 
         // Update the current node
@@ -505,4 +793,174 @@ export class Tree {
     const result = buildString(startNode);
     return result.slice(1, -1);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Parses a NumPy-style einsum equation into operand and output index lists
+ * @param {string} equation - Equation such as "ab,bc,cd->ad"; without '->' the
+ *   output is inferred as in NumPy (indices occurring once, sorted)
+ * @returns {{operands: string[][], output: string[]}} Parsed index lists
+ * @throws {Error} If the equation is malformed
+ */
+export function parseEinsumEquation(equation) {
+  const str = (equation || '').replace(/\s/g, '');
+  if (!str) {
+    throw new Error('Error: Empty einsum equation');
+  }
+  if (str.includes('.')) {
+    throw new Error('Error: Ellipsis broadcasting is not supported');
+  }
+
+  const arrowIndex = str.indexOf('->');
+  const inputPart = arrowIndex === -1 ? str : str.slice(0, arrowIndex);
+  const outputPart = arrowIndex === -1 ? null : str.slice(arrowIndex + 2);
+
+  const invalid = (inputPart + (outputPart ?? '')).match(/[^a-zA-Z,]/);
+  if (invalid) {
+    throw new Error(`Error: Invalid character '${invalid[0]}' in einsum equation`);
+  }
+
+  const operands = inputPart.split(',').map(term => term.split(''));
+  if (operands.some(term => term.length === 0)) {
+    throw new Error('Error: Einsum equation contains an empty operand');
+  }
+  const repeated = operands.find(term => new Set(term).size !== term.length);
+  if (repeated) {
+    throw new Error(`Error: Operand '${repeated.join('')}' contains a repeated index, traces are not supported`);
+  }
+
+  let output;
+  if (outputPart === null) {
+    const counts = {};
+    operands.flat().forEach(index => { counts[index] = (counts[index] || 0) + 1; });
+    output = Object.keys(counts).filter(index => counts[index] === 1).sort();
+  } else {
+    output = outputPart.split('');
+    const inputIndices = new Set(operands.flat());
+    const missing = output.find(index => !inputIndices.has(index));
+    if (missing) {
+      throw new Error(`Error: Output index '${missing}' does not appear in any operand`);
+    }
+    if (new Set(output).size !== output.length) {
+      throw new Error('Error: Output contains repeated indices');
+    }
+  }
+
+  return { operands, output };
+}
+
+/**
+ * Parses a contraction path as printed by opt_einsum or numpy.einsum_path
+ * @param {string|number[][]} path - e.g. "[(0,1),(0,1)]", "['einsum_path', (0, 1)]" or [[0,1],[0,1]]
+ * @returns {number[][]} List of operand positions contracted at each step
+ * @throws {Error} If the path contains no contraction steps
+ */
+export function parseContractionPath(path) {
+  if (Array.isArray(path)) {
+    return path.filter(Array.isArray).map(step => step.map(Number));
+  }
+
+  const str = (path || '').replace(/\s/g, '');
+  if (!str) return [];
+
+  const steps = [];
+  const stepPattern = /[([](\d+(?:,\d+)*),?[)\]]/g;
+  let match;
+  while ((match = stepPattern.exec(str)) !== null) {
+    steps.push(match[1].split(',').map(Number));
+  }
+
+  if (steps.length === 0) {
+    throw new Error(`Error: Could not read contraction path '${str}'`);
+  }
+  return steps;
+}
+
+/**
+ * Builds a contraction tree from operand index lists and a contraction path.
+ * Each step removes the listed operands and appends their contraction to the end
+ * of the operand list, following the opt_einsum convention. Intermediates keep
+ * the indices still needed by the output or by operands that are not yet contracted.
+ * @param {string[][]} operands - Index lists of the input tensors
+ * @param {string[]} output - Index list of the result
+ * @param {number[][]} [path] - Contraction path, defaults to repeatedly contracting the first two operands
+ * @param {Array<string|null>} [dataTypes] - Data type overrides of the operands
+ * @returns {Node} Root node of the built tree
+ * @throws {Error} If the path does not match the operands
+ */
+export function buildTreeFromPath(operands, output, path = [], dataTypes = []) {
+  const steps = path.length > 0
+    ? path
+    : Array.from({ length: Math.max(operands.length - 1, 0) }, () => [0, 1]);
+  let remaining = operands.map((indices, i) => {
+    const leaf = new Node([...indices]);
+    leaf.dataType = dataTypes[i] ?? null;
+    return leaf;
+  });
+
+  const neededIndices = (pending) => {
+    const needed = new Set(output);
+    pending.forEach(node => node.value.forEach(index => needed.add(index)));
+    return needed;
+  };
+
+  steps.forEach((step, stepIndex) => {
+    const positions = [...step].sort((a, b) => a - b);
+    if (positions.length === 0 ||
+      new Set(positions).size !== positions.length ||
+      positions.some(pos => !Number.isInteger(pos) || pos < 0 || pos >= remaining.length)) {
+      throw new Error(
+        `Error: Invalid contraction (${step.join(',')}) at step ${stepIndex} with ${remaining.length} operands`
+      );
+    }
+
+    const picked = positions.map(pos => remaining[pos]);
+    remaining = remaining.filter((_, pos) => !positions.includes(pos));
+    const isFinal = remaining.length === 0 && stepIndex === steps.length - 1;
+
+    let result = picked[0];
+    if (picked.length === 1) {
+      const needed = neededIndices(remaining);
+      const value = isFinal ? [...output] : result.value.filter(index => needed.has(index));
+      result.deleteAble = true;
+      result = new Node(value, result, null, true);
+    }
+    for (let i = 1; i < picked.length; i++) {
+      const needed = neededIndices([...remaining, ...picked.slice(i + 1)]);
+      const combined = [...new Set([...result.value, ...picked[i].value])];
+      const isLastPair = isFinal && i === picked.length - 1;
+      const value = isLastPair ? [...output] : combined.filter(index => needed.has(index));
+      result = new Node(value, result, picked[i]);
+    }
+
+    remaining.push(result);
+  });
+
+  if (remaining.length !== 1) {
+    throw new Error(`Error: Contraction path leaves ${remaining.length} operands uncontracted`);
+  }
+
+  let root = remaining[0];
+  if (root.value.join(',') !== output.join(',')) {
+    root.deleteAble = true;
+    root = new Node([...output], root, null, true);
+  }
+  return root;
+}
+
+/**
+ * Imports a NumPy-style einsum equation together with a pairwise contraction path
+ * @param {string} equation - Einsum equation such as "ab,bc,cd->ad"
+ * @param {string|number[][]} [path] - Contraction path such as "[(0,1),(0,1)]"
+ * @returns {Node|null} The root node of the built tree, or null if the import fails
+ */
+export function parseEinsumPath(equation, path = '') {
+  try {
+    const { operands, output } = parseEinsumEquation(equation);
+    return buildTreeFromPath(operands, output, parseContractionPath(path));
+  } catch (error) {
+    console.error(error.message);
+    Toast.show(error.message);
+    return null;
+  }
+}
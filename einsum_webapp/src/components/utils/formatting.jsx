@@ -1,11 +1,29 @@
 
 /**
- * Formats a number with specified options
- * @param {number} number - The number to format
+ * Formats a number in scientific notation, e.g. 1.23e+20
+ * @param {number|bigint} number - The number to format
+ * @param {number} fractionDigits - Digits of the mantissa after the point
+ * @returns {string} Formatted number
+ */
+const formatScientific = (number, fractionDigits) => {
+    if (typeof number === 'number') return number.toExponential(fractionDigits);
+
+    // Round the leading digits as a number, the value itself may exceed the range of numbers
+    const digits = (number < 0n ? -number : number).toString();
+    const [mantissa, exponent] = Number(`${digits[0]}.${digits.slice(1, 17)}`).toExponential(fractionDigits).split('e');
+    return `${number < 0n ? '-' : ''}${mantissa}e+${digits.length - 1 + Number(exponent)}`;
+};
+
+/**
+ * Formats a number with specified options. Values beyond Number.MAX_SAFE_INTEGER
+ * are not exact as numbers and are shown in scientific notation.
+ * @param {number|bigint|string} number - The number to format, strings hold exact integers
  * @param {Object} options - Formatting options
  * @returns {string} Formatted number
  */
 export const formatNumber = (number, options = {}) => {
+    if (typeof number === 'string') return formatNumber(BigInt(number), options);
+
     const defaultOptions = {
         locale: 'en-US',
         minimumFractionDigits: 2,
@@ -14,8 +32,26 @@ export const formatNumber = (number, options = {}) => {
 
     const finalOptions = { ...defaultOptions, ...options };
 
+    const magnitude = typeof number === 'bigint' ? (number < 0n ? -number : number) : Math.abs(number);
+    if (magnitude > Number.MAX_SAFE_INTEGER) {
+        return formatScientific(number, Math.max(2, finalOptions.maximumFractionDigits));
+    }
+
     return number.toLocaleString(finalOptions.locale, {
         minimumFractionDigits: finalOptions.minimumFractionDigits,
         maximumFractionDigits: finalOptions.maximumFractionDigits
     });
+};
+
+/**
+ * Formats a duration in seconds with a fitting unit
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (seconds) => {
+    if (!isFinite(seconds)) return '-';
+    if (seconds >= 1) return `${formatNumber(seconds)} s`;
+    if (seconds >= 1e-3) return `${formatNumber(seconds * 1e3)} ms`;
+    if (seconds >= 1e-6) return `${formatNumber(seconds * 1e6)} µs`;
+    return `${formatNumber(seconds * 1e9)} ns`;
 };
\ No newline at end of file
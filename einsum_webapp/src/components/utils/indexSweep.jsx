@@ -0,0 +1,133 @@
+import { reconstructNode } from './einsumContractionTree.jsx';
+import { calculateNodeMetrics } from './metricCalculation.jsx';
+
+/**
+ * Ways the values of a swept index are spaced
+ */
+export const SweepScale = {
+    LINEAR: 'linear',
+    POWERS_OF_TWO: 'powers-of-two'
+};
+
+/**
+ * Upper bound for the values of one swept index, two indices give its square
+ */
+export const MAX_SWEEP_VALUES = 32;
+
+/**
+ * Creates the values a swept index takes
+ * @param {Object} range - Sweep range
+ * @param {number} range.start - First value
+ * @param {number} range.end - Last value (inclusive)
+ * @param {number} [range.step] - Distance of linear values
+ * @param {string} [range.scale] - One of SweepScale
+ * @returns {number[]} - Ascending values, at most MAX_SWEEP_VALUES
+ */
+export const createSweepValues = ({ start, end, step = 1, scale = SweepScale.LINEAR }) => {
+    const first = Math.max(1, Math.floor(start));
+    const last = Math.floor(end);
+    const values = [];
+
+    if (scale === SweepScale.POWERS_OF_TWO) {
+        // Start at the first power of two not below the start value
+        for (let value = 2 ** Math.ceil(Math.log2(first)); value <= last && values.length < MAX_SWEEP_VALUES; value *= 2) {
+            values.push(value);
+        }
+    } else {
+        const distance = Math.max(1, Math.floor(step));
+        for (let value = first; value <= last && values.length < MAX_SWEEP_VALUES; value += distance) {
+            values.push(value);
+        }
+    }
+    return values;
+};
+
+/**
+ * Collects the nodes of a tree in pre-order
+ */
+const collectNodes = (node, nodes = []) => {
+    if (!node) return nodes;
+    nodes.push(node);
+    collectNodes(node.left, nodes);
+    collectNodes(node.right, nodes);
+    return nodes;
+};
+
+/**
+ * Computes the metrics of a tree for one set of index sizes
+ * @param {Object} root - Tree root, not modified
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string} dataType - Data type of nodes without an override
+ * @returns {Object} - Total operations, peak tensor size and the node doing most of the work
+ */
+const evaluatePoint = (root, indexSizes, dataType) => {
+    // Work on a copy, calculateNodeMetrics annotates the nodes it visits
+    const copy = reconstructNode(root);
+    const { totalOperations, faultyNodes } = calculateNodeMetrics(indexSizes, copy, dataType);
+    const nodes = collectNodes(copy);
+
+    const dominant = nodes
+        .filter(node => node.left && node.right && node.operations)
+        .reduce((best, node) => (!best || node.operations > best.operations ? node : best), null);
+
+    return {
+        totalOperations,
+        peakTensorSize: Math.max(...nodes.map(node => node.tensorSize)),
+        dominantNode: dominant && {
+            id: dominant.id,
+            value: dominant.value,
+            share: totalOperations > 0 ? (dominant.operations / totalOperations) * 100 : 0
+        },
+        faulty: faultyNodes.length > 0
+    };
+};
+
+/**
+ * Recomputes the metrics of a tree while one or two indices take a range of sizes
+ * @param {Object} root - Tree root
+ * @param {Object} indexSizes - Sizes of the indices that are not swept
+ * @param {string} dataType - Data type of nodes without an override
+ * @param {Object[]} sweeps - One or two sweeps {index, values}
+ * @returns {Object} - Swept indices and one point per combination of values
+ */
+export const runSweep = (root, indexSizes, dataType, sweeps) => {
+    const [outer, inner] = sweeps;
+    const combinations = outer.values.flatMap(outerValue => (inner
+        ? inner.values.map(innerValue => ({ [outer.index]: outerValue, [inner.index]: innerValue }))
+        : [{ [outer.index]: outerValue }]));
+
+    return {
+        indices: sweeps.map(sweep => sweep.index),
+        points: combinations.map(sizes => ({
+            sizes,
+            ...evaluatePoint(root, { ...indexSizes, ...sizes }, dataType)
+        }))
+    };
+};
+
+/**
+ * Quotes a CSV field if needed
+ */
+const csvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats a sweep result as CSV with one row per point
+ * @param {Object} sweep - Result of runSweep
+ * @returns {string} - CSV text with a header row
+ */
+export const sweepToCsv = (sweep) => {
+    const header = [...sweep.indices, 'total_operations', 'peak_tensor_size_bytes', 'dominant_node', 'dominant_share_percent', 'faulty'];
+    const rows = sweep.points.map(point => [
+        ...sweep.indices.map(index => point.sizes[index]),
+        point.totalOperations,
+        point.peakTensorSize,
+        point.dominantNode ? `[${point.dominantNode.value.join(',')}]` : '',
+        point.dominantNode ? point.dominantNode.share.toFixed(2) : '',
+        point.faulty
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+};
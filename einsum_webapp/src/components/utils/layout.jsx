@@ -1,21 +1,91 @@
-import { hierarchy, tree } from 'd3-hierarchy';
+import { cluster, hierarchy, tree } from 'd3-hierarchy';
+
+/**
+ * Aggregates the metrics of a subtree shown as a single collapsed node
+ * @param {Object} node - Root of the subtree, annotated by calculateNodeMetrics
+ * @returns {Object} Operations of all contractions, largest intermediate tensor and number of inputs
+ */
+export const summarizeSubtree = (node) => {
+  if (!node.left) {
+    return { operations: 0, largestIntermediate: 0, leafCount: 1 };
+  }
+
+  const children = [node.left, node.right].filter(Boolean).map(summarizeSubtree);
+  return {
+    operations: children.reduce((sum, child) => sum + child.operations, node.operations || 0),
+    largestIntermediate: Math.max(node.tensorSize || 0, ...children.map(child => child.largestIntermediate)),
+    leafCount: children.reduce((sum, child) => sum + child.leafCount, 0)
+  };
+};
+
+/**
+ * Number of contractions that have to run before a node, inputs are at step 0
+ * @param {Object} node - Tree node
+ * @returns {number} Length of the longest path from an input to the node
+ */
+export const executionStep = (node) => {
+  const children = [node.left, node.right].filter(Boolean);
+  if (children.length === 0) return 0;
+  return 1 + Math.max(...children.map(executionStep));
+};
+
+/**
+ * Moves nodes to rows by execution step, nodes that can run at the same time share a row.
+ * The horizontal order of the tree layout is kept and nodes of a row are pushed apart.
+ * @param {Object[]} descendants - Laid out d3 hierarchy nodes
+ * @param {number} rowHeight - Vertical distance of two steps
+ * @param {number} minGap - Minimal horizontal distance of two nodes in a row
+ * @returns {Map} Position {x, y} per node id
+ */
+const layerByExecutionStep = (descendants, rowHeight, minGap) => {
+  const steps = new Map(descendants.map(d => [d.data.id, executionStep(d.data)]));
+  const lastStep = Math.max(...steps.values());
+  const rows = new Map();
+  descendants.forEach(d => {
+    const step = steps.get(d.data.id);
+    if (!rows.has(step)) rows.set(step, []);
+    rows.get(step).push(d);
+  });
+
+  const positions = new Map();
+  rows.forEach((row, step) => {
+    let previousX = -Infinity;
+    [...row].sort((a, b) => a.x - b.x).forEach(d => {
+      const x = Math.max(d.x, previousX + minGap);
+      positions.set(d.data.id, { x, y: (lastStep - step) * rowHeight });
+      previousX = x;
+    });
+  });
+  return positions;
+};
 
 /**
  * Builds a visualization tree for rendering expression trees using d3 hierarchy
  * @param {Object} root - The root node of the expression tree
  * @param {Array} faultyNodes - Array of nodes marked as faulty (default: [])
- * @param {string} layoutOption - Layout style ('tree', 'super_wide', 'hierarchical', 'compact', 'wide')
+ * @param {string} layoutOption - Layout style, one of LayoutOptionType
+ * @param {Set<string>} collapsedNodeIds - Nodes whose subtree is hidden and summarized (default: none)
  * @returns {Object} Object containing nodes, edges and dimensions for the visualization
  */
-const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') => {
+const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree', collapsedNodeIds = new Set()) => {
   /**
-   * Recursively counts total number of nodes in the tree
+   * Children that are shown, collapsed nodes hide their subtree
+   * @param {Object} node - Current tree node
+   * @returns {Object[]} Visible children of the node
+   */
+  const visibleChildren = (node) => {
+    if (collapsedNodeIds.has(node.id)) return [];
+    return [node.left, node.right].filter(child => child !== null && child !== undefined);
+  };
+
+  /**
+   * Recursively counts total number of visible nodes in the tree
    * @param {Object} node - Current tree node
    * @returns {number} Total count of nodes in the tree
    */
   const countNodes = (node) => {
     if (!node) return 0;
-    return 1 + countNodes(node.left) + countNodes(node.right);
+    return 1 + visibleChildren(node).reduce((sum, child) => sum + countNodes(child), 0);
   };
 
   /**
@@ -26,8 +96,9 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
    */
   const findMaxDepth = (node, currentDepth = 0) => {
     if (!node) return currentDepth - 1;
-    const leftDepth = findMaxDepth(node.left, currentDepth + 1);
-    const rightDepth = findMaxDepth(node.right, currentDepth + 1);
+    const [left, right] = visibleChildren(node);
+    const leftDepth = findMaxDepth(left, currentDepth + 1);
+    const rightDepth = findMaxDepth(right, currentDepth + 1);
     return Math.max(leftDepth, rightDepth);
   };
 
@@ -42,9 +113,7 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
   const height = Math.max(140, maxDepth * 110); // 80 pixels per level gives adequate vertical spacing
 
   // Create d3 hierarchy structure from the expression tree
-  const hierarchyRoot = hierarchy(root, d => {
-    return [d.left, d.right].filter(child => child !== null && child !== undefined);
-  });
+  const hierarchyRoot = hierarchy(root, visibleChildren);
 
   // Configure layout based on selected option
   let layout;
@@ -76,6 +145,18 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
         .size([width * 1.5, height])
         .separation((a, b) => (a.parent === b.parent ? 2 : 2.5));
       break;
+    case 'left to right':
+      // Breadth runs along y, nodes are wider than high so levels get more room
+      layout = tree()
+        .size([Math.max(140, totalNodes * 30), Math.max(300, maxDepth * 200)])
+        .separation((a, b) => (a.parent === b.parent ? 1 : 1.5));
+      break;
+    case 'radial':
+      // Angle and radius, all inputs end up on the outer circle
+      layout = cluster()
+        .size([2 * Math.PI, Math.max(150, totalNodes * 25)])
+        .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth);
+      break;
     default: // 'tree'
       layout = tree()
         .size([width, height])
@@ -85,9 +166,44 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
   // Apply layout to hierarchy
   const treeRoot = layout(hierarchyRoot);
 
+  // Layered rows keep the horizontal order of the default layout
+  const layers = layoutOption === 'layered' ? layerByExecutionStep(treeRoot.descendants(), 110, 150) : null;
+
+  /**
+   * Converts layout coordinates to a React Flow position
+   * @param {Object} d - Laid out d3 hierarchy node
+   * @returns {Object} Position {x, y}
+   */
+  const toPosition = (d) => {
+    switch (layoutOption) {
+      case 'left to right':
+        return { x: d.y, y: d.x };
+      case 'radial':
+        return { x: d.y * Math.sin(d.x), y: -d.y * Math.cos(d.x) };
+      case 'layered':
+        return layers.get(d.data.id);
+      default:
+        return { x: d.x, y: d.y };
+    }
+  };
+
+  /**
+   * Whether a node or one of its descendants is faulty
+   * @param {Object} node - Current tree node
+   * @returns {boolean} True if the subtree contains a faulty node
+   */
+  const containsFaulty = (node) => !!node && (
+    faultyNodes.some(faultyNode => faultyNode.id === node.id) ||
+    containsFaulty(node.left) ||
+    containsFaulty(node.right)
+  );
+
   // Transform tree data into React Flow compatible format
   const nodes = treeRoot.descendants().map((d, i) => {
-    const isFaulty = faultyNodes.some(faultyNode => faultyNode.id === d.data.id);
+    // Collapsed nodes stand in for the faulty nodes they hide
+    const isFaulty = collapsedNodeIds.has(d.data.id)
+      ? containsFaulty(d.data)
+      : faultyNodes.some(faultyNode => faultyNode.id === d.data.id);
     const { left, right, value, ...restData } = d.data;
     return {
       id: d.data.id,
@@ -98,9 +214,12 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
         left: left?.value,
         right: right?.value,
         depth: d.depth,
-        isFaulty
+        isFaulty,
+        collapsed: collapsedNodeIds.has(d.data.id) && left ? summarizeSubtree(d.data) : null
       },
-      position: { x: d.x, y: d.y }
+      position: toPosition(d),
+      // Edges leave a parent at its right and enter a child at its left
+      ...(layoutOption === 'left to right' && { sourcePosition: 'right', targetPosition: 'left' })
     };
   });
 
@@ -109,7 +228,8 @@ const buildVisualizationTree = (root, faultyNodes = [], layoutOption = 'tree') =
     id: `edge-${i}`,
     source: link.source.data.id,
     target: link.target.data.id,
-    type: 'smoothstep'
+    // Right angled edges only fit layouts with all children on one side
+    type: layoutOption === 'radial' ? 'straight' : 'smoothstep'
   }));
 
   // Return complete visualization data
@@ -0,0 +1,140 @@
+/**
+ * Loop dimension types in the order their loops are emitted, outermost first
+ */
+const LOOP_ORDER = ['bc', 'bm', 'bn', 'bk'];
+
+/**
+ * Row-major strides of the indices of a tensor, the last index has unit stride
+ * @param {string[]} indices - Indices of the tensor
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Object} - Stride per index
+ */
+const rowMajorStrides = (indices, indexSizes) => {
+    const strides = {};
+    let stride = 1;
+    for (let i = indices.length - 1; i >= 0; i--) {
+        strides[indices[i]] = stride;
+        stride *= Math.max(1, Math.floor(indexSizes[indices[i]] || 1));
+    }
+    return strides;
+};
+
+const extent = (indices, indexSizes) =>
+    indices.reduce((product, index) => product * (indexSizes[index] || 1), 1);
+
+/**
+ * Stride of a fused group of primitive dimensions, which is the stride of its
+ * fastest index. Empty groups have no stride.
+ */
+const groupStride = (group, strides) =>
+    group.length > 0 ? strides[group[group.length - 1]] ?? null : null;
+
+/**
+ * Builds the loop nest implied by the dimension classification of a binary
+ * contraction. The primitive is a column-major GEMM C(M,N) += A(M,K) * B(K,N)
+ * with the left operand as A, the right operand as B and an optional batch
+ * dimension C, matching the cb/mb/kb/nb order of the classifier.
+ * @param {string[]} node - Output indices
+ * @param {string[]} left - Left operand indices
+ * @param {string[]} right - Right operand indices
+ * @param {Object} dimTypes - Result of dimensionTypes for the contraction
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Object|null} - Loops and primitive call or null without a classification
+ */
+export const createLoopNest = (node, left, right, dimTypes, indexSizes) => {
+    if (!dimTypes || !left || !right) return null;
+
+    const strides = {
+        C: rowMajorStrides(node, indexSizes),
+        A: rowMajorStrides(left, indexSizes),
+        B: rowMajorStrides(right, indexSizes)
+    };
+
+    // Output loops follow the output layout, contraction loops the left operand
+    const position = (index, type) => (type === 'bk' ? node.length + left.indexOf(index) : node.indexOf(index));
+    const loops = LOOP_ORDER
+        .flatMap(type => dimTypes.loop[type].map(index => ({ index, type })))
+        .sort((a, b) => position(a.index, a.type) - position(b.index, b.type))
+        .map(({ index, type }) => ({
+            index,
+            type,
+            size: indexSizes[index] || 1,
+            strides: Object.fromEntries(
+                Object.entries(strides).map(([tensor, tensorStrides]) => [tensor, tensorStrides[index] ?? 0])
+            )
+        }));
+
+    const { cb, mb, nb, kb } = dimTypes.primitive;
+    const m = extent(mb, indexSizes);
+    const n = extent(nb, indexSizes);
+    const k = extent(kb, indexSizes);
+
+    const primitive = {
+        batch: extent(cb, indexSizes),
+        m,
+        n,
+        k,
+        lda: groupStride(kb, strides.A) ?? m,
+        ldb: groupStride(nb, strides.B) ?? k,
+        ldc: groupStride(nb, strides.C) ?? m,
+        strides: {
+            C: { c: groupStride(cb, strides.C), m: groupStride(mb, strides.C), n: groupStride(nb, strides.C) },
+            A: { c: groupStride(cb, strides.A), m: groupStride(mb, strides.A), k: groupStride(kb, strides.A) },
+            B: { c: groupStride(cb, strides.B), k: groupStride(kb, strides.B), n: groupStride(nb, strides.B) }
+        },
+        dims: { cb, mb, nb, kb }
+    };
+
+    return { node, left, right, loops, primitive };
+};
+
+/**
+ * Formats the address of a tensor inside the loop nest, e.g. &C[i*30 + j]
+ */
+const formatOffset = (tensor, loops) => {
+    const terms = loops
+        .filter(loop => loop.strides[tensor] !== 0)
+        .map(loop => (loop.strides[tensor] === 1 ? loop.index : `${loop.index}*${loop.strides[tensor]}`));
+    return terms.length > 0 ? `&${tensor}[${terms.join(' + ')}]` : tensor;
+};
+
+/**
+ * Renders a loop nest as pseudo code
+ * @param {Object} loopNest - Result of createLoopNest
+ * @returns {string} - Pseudo code of the loops and the primitive call
+ */
+export const formatLoopNest = (loopNest) => {
+    if (!loopNest) return '';
+
+    const { node, left, right, loops, primitive } = loopNest;
+    const lines = [
+        `// C[${node.join(',')}] += A[${left.join(',')}] * B[${right.join(',')}]`,
+        'C = 0'
+    ];
+
+    loops.forEach((loop, depth) => {
+        const strides = Object.entries(loop.strides)
+            .filter(([, stride]) => stride !== 0)
+            .map(([tensor, stride]) => `${tensor}:${stride}`)
+            .join(' ');
+        lines.push(`${'  '.repeat(depth)}for ${loop.index} in 0..${loop.size}:  // ${loop.type}, strides ${strides}`);
+    });
+
+    const indent = '  '.repeat(loops.length);
+    const { dims, strides } = primitive;
+    const dimLabel = (group) => (group.length > 0 ? ` (${group.join(',')})` : '');
+    const isBatched = dims.cb.length > 0;
+
+    lines.push(`${indent}${isBatched ? 'batched_gemm' : 'gemm'}(`);
+    if (isBatched) {
+        lines.push(`${indent}  batch=${primitive.batch}${dimLabel(dims.cb)},`);
+    }
+    lines.push(
+        `${indent}  M=${primitive.m}${dimLabel(dims.mb)}, N=${primitive.n}${dimLabel(dims.nb)}, K=${primitive.k}${dimLabel(dims.kb)},`,
+        `${indent}  A=${formatOffset('A', loops)}, lda=${primitive.lda}${isBatched ? `, stride_a=${strides.A.c ?? 0}` : ''},`,
+        `${indent}  B=${formatOffset('B', loops)}, ldb=${primitive.ldb}${isBatched ? `, stride_b=${strides.B.c ?? 0}` : ''},`,
+        `${indent}  C=${formatOffset('C', loops)}, ldc=${primitive.ldc}${isBatched ? `, stride_c=${strides.C.c ?? 0}` : ''})`
+    );
+
+    return lines.join('\n');
+};
@@ -0,0 +1,132 @@
+/**
+ * Orders in which the children of a binary node can be evaluated
+ */
+export const EvaluationOrder = {
+    LEFT_FIRST: 'left-first',
+    RIGHT_FIRST: 'right-first',
+    MEMORY_MINIMIZING: 'memory-minimizing'
+};
+
+/**
+ * Calculates the size of a tensor in bytes
+ * @param {string[]} indices - Tensor indices
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Size of the data type in bytes
+ * @returns {number} - Tensor size in bytes
+ */
+const tensorBytes = (indices = [], indexSizes, dataTypeSize) =>
+    indices.reduce((product, index) => product * (indexSizes[index] || 1), dataTypeSize);
+
+/**
+ * Calculates the size of the tensor of a node in bytes
+ * @param {Object} node - Tree node
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number|Function} dataTypeSize - Size of the data type in bytes or a function returning it per node
+ * @returns {number} - Tensor size in bytes
+ */
+const nodeBytes = (node, indexSizes, dataTypeSize) => tensorBytes(
+    node.value, indexSizes, typeof dataTypeSize === 'function' ? dataTypeSize(node) : dataTypeSize
+);
+
+/**
+ * Determines for every binary node which child to evaluate first so that the
+ * peak working set is minimal (Sethi-Ullman style, all inputs resident initially)
+ * @param {Object} root - Tree root
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number|Function} dataTypeSize - Size of the data type in bytes or a function returning it per node
+ * @returns {Set<string>} - Ids of nodes whose right child is evaluated first
+ */
+const findMemoryMinimizingOrder = (root, indexSizes, dataTypeSize) => {
+    const rightFirst = new Set();
+
+    // Returns the peak increase over the initial inputs while evaluating the subtree
+    // and the net change once its result exists and its inputs are freed
+    const analyze = (node) => {
+        if (node.isLeaf()) return { peak: 0, net: 0 };
+
+        const size = nodeBytes(node, indexSizes, dataTypeSize);
+        const freed = (child) => nodeBytes(child, indexSizes, dataTypeSize);
+
+        const left = analyze(node.left);
+        if (!node.right) {
+            return {
+                peak: Math.max(left.peak, left.net + size),
+                net: left.net + size - freed(node.left)
+            };
+        }
+
+        const right = analyze(node.right);
+        const leftFirstPeak = Math.max(left.peak, left.net + right.peak);
+        const rightFirstPeak = Math.max(right.peak, right.net + left.peak);
+        if (rightFirstPeak < leftFirstPeak) {
+            rightFirst.add(node.id);
+        }
+
+        const live = left.net + right.net;
+        return {
+            peak: Math.max(Math.min(leftFirstPeak, rightFirstPeak), live + size),
+            net: live + size - freed(node.left) - freed(node.right)
+        };
+    };
+
+    if (root) analyze(root);
+    return rightFirst;
+};
+
+/**
+ * Simulates the live memory while executing the contraction tree in post-order.
+ * All input tensors are resident at the start and freed once consumed, each
+ * intermediate lives from its creation until its parent has been computed.
+ * @param {Object} root - Tree root
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number|Function} dataTypeSize - Size of the data type in bytes or a function returning it per node
+ * @param {string} order - One of EvaluationOrder
+ * @returns {Object} - Steps with live bytes, peak bytes, peak step and node
+ */
+export const simulateMemory = (root, indexSizes, dataTypeSize, order = EvaluationOrder.LEFT_FIRST) => {
+    const result = { steps: [], peakBytes: 0, peakStep: -1, peakNodeId: null };
+    if (!root) return result;
+
+    const rightFirst = order === EvaluationOrder.MEMORY_MINIMIZING
+        ? findMemoryMinimizingOrder(root, indexSizes, dataTypeSize)
+        : null;
+    const evaluateRightFirst = (node) => order === EvaluationOrder.RIGHT_FIRST ||
+        (rightFirst !== null && rightFirst.has(node.id));
+
+    let liveBytes = 0;
+    const addLeaves = (node) => {
+        if (!node) return;
+        if (node.isLeaf()) {
+            liveBytes += nodeBytes(node, indexSizes, dataTypeSize);
+            return;
+        }
+        addLeaves(node.left);
+        addLeaves(node.right);
+    };
+    addLeaves(root);
+    result.peakBytes = liveBytes;
+
+    const execute = (node) => {
+        if (node.isLeaf()) return;
+
+        const children = [node.left, node.right].filter(Boolean);
+        if (evaluateRightFirst(node)) children.reverse();
+        children.forEach(execute);
+
+        const size = nodeBytes(node, indexSizes, dataTypeSize);
+        const workingSet = liveBytes + size;
+        result.steps.push({ nodeId: node.id, value: node.value, bytes: size, liveBytes: workingSet });
+        // The first step always exceeds the resident inputs, so a peak step exists
+        if (workingSet > result.peakBytes || result.peakStep === -1) {
+            result.peakBytes = workingSet;
+            result.peakStep = result.steps.length - 1;
+            result.peakNodeId = node.id;
+        }
+
+        liveBytes = workingSet - children.reduce((sum, child) =>
+            sum + nodeBytes(child, indexSizes, dataTypeSize), 0);
+    };
+    execute(root);
+
+    return result;
+};
@@ -1,4 +1,6 @@
 import { dimensionTypes } from './dimensionClassifier.jsx';
+import { DEFAULT_DATA_TYPE, DATA_TYPES, dataTypeSize, contractionFlops, resolveDataType, promoteDataTypes } from './dataTypes.jsx';
+import { addPolynomials, productPolynomial } from './polynomial.jsx';
 
 /**
  * Constants for node attribute names to avoid typos and improve clarity
@@ -14,7 +16,101 @@ const NodeAttributes = {
     OPERATIONS_PERCENTAGE: 'operationsPercentage',
     NORMALIZED_OPERATIONS: 'normalizedPercentage',
     TOTAL_OPERATIONS: 'totalOperations',
-    BYTE_ACCESSES: 'byteAccesses'
+    BYTE_ACCESSES: 'byteAccesses',
+
+    // Data types, the element type of the tensor and the type operands are computed in
+    ELEMENT_TYPE: 'elementType',
+    COMPUTE_TYPE: 'computeType',
+    ACCESSED_BYTES: 'accessedBytes',
+
+    // Data movement of unary nodes, scaled by the stride penalty
+    DATA_MOVEMENT: 'dataMovement',
+    DATA_MOVEMENT_BYTES: 'dataMovementBytes',
+    COST: 'cost',
+
+    // Exact counts as decimal strings, the numbers above are rounded beyond
+    // Number.MAX_SAFE_INTEGER and become Infinity beyond the range of numbers
+    EXACT_TENSOR_SIZE: 'exactTensorSize',
+    EXACT_OPERATIONS: 'exactOperations',
+
+    // Cost formulas in the index sizes, see polynomial.jsx
+    SYMBOLIC_TENSOR_SIZE: 'symbolicTensorSize',
+    SYMBOLIC_OPERATIONS: 'symbolicOperations',
+    SYMBOLIC_ACCESSED_BYTES: 'symbolicAccessedBytes'
+};
+
+/**
+ * Default cost model. Percentages count arithmetic operations only, with
+ * includeDataMovement every element a permutation reads or writes counts as
+ * one operation. stridePenalty scales the traffic of permutations that change
+ * the fastest index.
+ */
+export const DEFAULT_COST_MODEL = {
+    includeDataMovement: false,
+    stridePenalty: 1
+};
+
+/**
+ * Fixed point scale of the costs the percentages are computed from, keeps
+ * fractional stride penalties in the exact arithmetic
+ */
+const COST_SCALE = 1000;
+
+/**
+ * Resolution of exact percentages
+ */
+const PERCENTAGE_SCALE = 10n ** 12n;
+
+const MAX_SAFE_INTEGER = BigInt(Number.MAX_SAFE_INTEGER);
+
+/**
+ * Whether a metric is too large to be represented exactly as a number
+ * @param {number|bigint} value - Metric value
+ * @returns {boolean} - True beyond Number.MAX_SAFE_INTEGER
+ */
+export const exceedsSafeInteger = (value) =>
+    (typeof value === 'bigint' ? value > MAX_SAFE_INTEGER || value < -MAX_SAFE_INTEGER : Math.abs(value) > Number.MAX_SAFE_INTEGER);
+
+/**
+ * Indices of a tree whose size is symbolic (null). Numeric metrics count them as 1,
+ * so totals of a tree using them are partial.
+ * @param {Object} root - Tree root
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {string[]} - Sorted symbolic indices used by the tree
+ */
+export const collectSymbolicIndices = (root, indexSizes) => {
+    const symbolic = new Set();
+    const visit = (node) => {
+        if (!node) return;
+        node.value.filter(index => indexSizes[index] === null).forEach(index => symbolic.add(index));
+        visit(node.left);
+        visit(node.right);
+    };
+    visit(root);
+    return [...symbolic].sort();
+};
+
+/**
+ * Converts an exact metric to the number stored on the nodes, flagging values that get rounded
+ * @param {bigint} value - Exact value
+ * @param {Object} stats - Stats object whose exceedsSafeInteger flag is set
+ * @returns {number} - Closest number, Infinity beyond the range of numbers
+ */
+const toNumber = (value, stats) => {
+    if (exceedsSafeInteger(value)) stats.exceedsSafeInteger = true;
+    return Number(value);
+};
+
+/**
+ * Share of a part in a total, computed without rounding the operands. Exact counts
+ * annotated as decimal strings can be passed as BigInt(count).
+ * @param {bigint} part - Part of the total
+ * @param {bigint} total - Total
+ * @returns {number} - Percentage, 0 for an empty total
+ */
+export const exactPercentage = (part, total) => {
+    if (total === 0n) return 0;
+    return Number((part * 100n * PERCENTAGE_SCALE) / total) / Number(PERCENTAGE_SCALE);
 };
 
 /**
@@ -30,26 +126,38 @@ const setNodeAttributes = (node, attributes) => {
 };
 
 /**
- * Helper function to calculate the product of index sizes for given dimensions
+ * Exact size of an index. Symbolic sizes and sizes that are not finite numbers of
+ * at least 1 count as 1, fractional sizes are truncated.
+ * @param {*} size - Size from the index sizes mapping
+ * @returns {bigint} - Size to multiply with
+ */
+const exactIndexSize = (size) => {
+    const value = Number(size);
+    return Number.isFinite(value) && value >= 1 ? BigInt(Math.trunc(value)) : 1n;
+};
+
+/**
+ * Helper function to calculate the exact product of index sizes for given dimensions.
+ * Products of many indices quickly leave the range numbers represent exactly.
  * @param {string[]} dimensions - Array of dimension indices
  * @param {Object} indexSizes - Object containing the sizes of each index
- * @param {number} initialValue - Initial value for multiplication
- * @returns {number} - Product of all dimension sizes
+ * @param {bigint} initialValue - Initial value for multiplication
+ * @returns {bigint} - Product of all dimension sizes
  */
-const calculateDimensionProduct = (dimensions = [], indexSizes, initialValue = 1) => {
-    return dimensions.reduce((product, index) =>
-        product * (indexSizes[index] || 1), initialValue);
+const calculateDimensionProduct = (dimensions = [], indexSizes, initialValue = 1n) => {
+    return dimensions.reduce((product, index) => product * exactIndexSize(indexSizes[index]), initialValue);
 };
 
 /**
  * Normalizes a value to a percentage within a range
- * @param {number} value - Value to normalize
- * @param {number} min - Minimum value in range
- * @param {number} max - Maximum value in range
+ * @param {number|bigint} value - Value to normalize
+ * @param {number|bigint} min - Minimum value in range
+ * @param {number|bigint} max - Maximum value in range
  * @returns {number} - Normalized percentage value
  */
 const normalizeToPercentage = (value, min, max) => {
     if (min === max) return 0;
+    if (typeof value === 'bigint') return exactPercentage(value - min, max - min);
     return ((value - min) / (max - min)) * 100;
 };
 
@@ -57,7 +165,7 @@ const normalizeToPercentage = (value, min, max) => {
  * Calculate dimension products for metric calculations
  * @param {Object} dimTypes - Dimension types object
  * @param {Object} indexSizes - Index sizes mapping
- * @returns {Object} - Object containing dimension products
+ * @returns {Object} - Object containing exact dimension products
  */
 const calculateDimProducts = (dimTypes, indexSizes) => {
     const calc = (type, dim) => calculateDimensionProduct(dimTypes[type][dim] || [], indexSizes);
@@ -72,14 +180,15 @@ const calculateDimProducts = (dimTypes, indexSizes) => {
 };
 
 /**
- * Calculates operation count for matrix multiplication-like operations
+ * Exact operation count for matrix multiplication-like operations
  * @param {Object} dimTypes - Dimension types for the operation
  * @param {Object} indexSizes - Index sizes mapping
- * @returns {number} - Number of operations
+ * @param {string|number} dataType - Data type, complex types count their real operations
+ * @returns {bigint} - Number of operations
  */
-export const calculateOperations = (dimTypes, indexSizes) => {
-    let cmn = 1;
-    let k = 1;
+const calculateExactOperations = (dimTypes, indexSizes, dataType) => {
+    let cmn = 1n;
+    let k = 1n;
 
     for (const key in dimTypes) {
         for (const dim in dimTypes[key]) {
@@ -91,46 +200,207 @@ export const calculateOperations = (dimTypes, indexSizes) => {
         }
     }
 
-    return 2 * cmn * k - cmn;
+    return contractionFlops(cmn, k, dataType);
 };
 
 /**
- * Calculates memory access patterns for tensor operations
+ * Calculates operation count for matrix multiplication-like operations
  * @param {Object} dimTypes - Dimension types for the operation
  * @param {Object} indexSizes - Index sizes mapping
- * @returns {number} - Number of byte accesses
+ * @param {string|number} [dataType] - Data type, complex types count their real operations
+ * @returns {number} - Number of operations
+ */
+export const calculateOperations = (dimTypes, indexSizes, dataType = DEFAULT_DATA_TYPE) =>
+    Number(calculateExactOperations(dimTypes, indexSizes, dataType));
+
+/**
+ * Collects the indices of the dimension types of a contraction into c, m, n and k
+ * @param {Object} dimTypes - Dimension types for the operation
+ * @returns {Object} - Indices of each dimension type, primitive and loop together
  */
-export const calculateByteAccesses = (dimTypes, indexSizes) => {
+const groupDimensions = (dimTypes) => {
+    const collect = (type) => [...(dimTypes.primitive[`${type}b`] || []), ...(dimTypes.loop[`b${type}`] || [])];
+    return { c: collect('c'), m: collect('m'), n: collect('n'), k: collect('k') };
+};
+
+/**
+ * Symbolic counterpart of calculateOperations
+ * @param {Object} dimTypes - Dimension types for the operation
+ * @param {string|number} [dataType] - Data type, complex types count their real operations
+ * @returns {Object} - Operations as a polynomial in the index sizes
+ */
+export const calculateSymbolicOperations = (dimTypes, dataType = DEFAULT_DATA_TYPE) => {
+    const { c, m, n, k } = groupDimensions(dimTypes);
+    const { multiplyFlops, addFlops } = DATA_TYPES[resolveDataType(dataType)];
+    const cmn = [...c, ...m, ...n];
+
+    // cmn * k multiplies and cmn * (k - 1) adds
+    return addPolynomials(
+        productPolynomial([...cmn, ...k], multiplyFlops + addFlops),
+        productPolynomial(cmn, -addFlops)
+    );
+};
+
+/**
+ * Calculates operation count of a binary contraction directly from its index lists.
+ * Matches calculateOperations for every contraction the dimension classifier accepts,
+ * but does not require a classification (and thus never reports errors).
+ * @param {string[]} node - Indices of the contraction result
+ * @param {string[]} left - Indices of the left operand
+ * @param {string[]} right - Indices of the right operand
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string|number} [dataType] - Data type, complex types count their real operations
+ * @returns {number} - Number of operations
+ */
+export const calculateContractionOperations = (node, left, right, indexSizes, dataType = DEFAULT_DATA_TYPE) => {
+    const nodeIndices = new Set(node);
+    const contracted = [...new Set([...left, ...right])].filter(index => !nodeIndices.has(index));
+
+    // Plain numbers, the path optimizer calls this for every candidate pair and only compares the counts
+    const product = (indices) => indices.reduce((result, index) => result * (indexSizes[index] || 1), 1);
+    const cmn = product(node);
+    const k = product(contracted);
+
+    return contractionFlops(cmn, k, dataType);
+};
+
+/**
+ * Exact memory accesses of a contraction
+ * @param {Object} dimTypes - Dimension types for the operation
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {Object} elementBytes - Element sizes of output, left and right operand
+ * @returns {bigint} - Number of byte accesses
+ */
+const calculateExactByteAccesses = (dimTypes, indexSizes, elementBytes) => {
     const { cDim, mDim, nDim, kDim } = calculateDimProducts(dimTypes, indexSizes);
 
     const cmn = cDim * mDim * nDim;
     const cnk = nDim * kDim;
     const cmk = mDim * kDim;
 
-    return cmn + cnk + cmk;
+    return cmn * BigInt(elementBytes.output) + cnk * BigInt(elementBytes.right) + cmk * BigInt(elementBytes.left);
+};
+
+/**
+ * Calculates memory access patterns for tensor operations
+ * @param {Object} dimTypes - Dimension types for the operation
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {Object} [elementBytes] - Element sizes of output, left and right operand, counts elements by default
+ * @returns {number} - Number of byte accesses
+ */
+export const calculateByteAccesses = (dimTypes, indexSizes, elementBytes = { output: 1, left: 1, right: 1 }) =>
+    Number(calculateExactByteAccesses(dimTypes, indexSizes, elementBytes));
+
+/**
+ * Symbolic counterpart of calculateByteAccesses
+ * @param {Object} dimTypes - Dimension types for the operation
+ * @param {Object} [elementBytes] - Element sizes of output, left and right operand, counts elements by default
+ * @returns {Object} - Byte accesses as a polynomial in the index sizes
+ */
+export const calculateSymbolicByteAccesses = (dimTypes, elementBytes = { output: 1, left: 1, right: 1 }) => {
+    const { c, m, n, k } = groupDimensions(dimTypes);
+
+    return addPolynomials(
+        productPolynomial([...c, ...m, ...n], elementBytes.output),
+        productPolynomial([...n, ...k], elementBytes.right),
+        productPolynomial([...m, ...k], elementBytes.left)
+    );
+};
+
+/**
+ * Exact memory traffic of a unary node
+ * @param {string[]} node - Indices of the result
+ * @param {string[]} input - Indices of the input
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} stridePenalty - Factor for permutations that change the fastest index
+ * @param {Object} elementBytes - Element sizes of output and input
+ * @returns {Object} - Elements and bytes accessed and the penalty that applies
+ */
+const calculateExactDataMovement = (node, input, indexSizes, stridePenalty, elementBytes) => {
+    const inputElements = calculateDimensionProduct(input, indexSizes);
+    const outputElements = calculateDimensionProduct(node, indexSizes);
+    const isStrided = node.length > 0 && input.length > 0 && node[node.length - 1] !== input[input.length - 1];
+
+    return {
+        elements: inputElements + outputElements,
+        bytes: inputElements * BigInt(elementBytes.input) + outputElements * BigInt(elementBytes.output),
+        penalty: isStrided ? stridePenalty : 1
+    };
+};
+
+/**
+ * Calculates the memory traffic of a unary node (permutation or reduction), which
+ * reads its input and writes its output once
+ * @param {string[]} node - Indices of the result
+ * @param {string[]} input - Indices of the input
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} stridePenalty - Factor for permutations that change the fastest index
+ * @param {Object} [elementBytes] - Element sizes of output and input
+ * @returns {Object} - Elements and bytes accessed, unpenalized and penalized
+ */
+export const calculateDataMovement = (node, input, indexSizes, stridePenalty = 1, elementBytes = { output: 1, input: 1 }) => {
+    const { elements, bytes, penalty } = calculateExactDataMovement(node, input, indexSizes, stridePenalty, elementBytes);
+
+    return {
+        byteAccesses: Number(elements),
+        dataMovement: Number(elements) * penalty,
+        accessedBytes: Number(bytes),
+        dataMovementBytes: Number(bytes) * penalty
+    };
+};
+
+/**
+ * Assigns the element type of every node. Nodes without an override inherit it:
+ * inputs use the default type, unary nodes the type of their child and
+ * contractions the promoted type of their operands.
+ * @param {Object} node - Tree node
+ * @param {string} defaultType - Data type of inputs without an override
+ */
+const assignDataTypes = (node, defaultType) => {
+    if (!node) return;
+    assignDataTypes(node.left, defaultType);
+    assignDataTypes(node.right, defaultType);
+
+    let inherited = defaultType;
+    if (node.left && node.right) {
+        inherited = promoteDataTypes(node.left[NodeAttributes.ELEMENT_TYPE], node.right[NodeAttributes.ELEMENT_TYPE]);
+    } else if (node.left) {
+        inherited = node.left[NodeAttributes.ELEMENT_TYPE];
+    }
+
+    setNodeAttributes(node, {
+        [NodeAttributes.ELEMENT_TYPE]: node.dataType ? resolveDataType(node.dataType) : inherited
+    });
 };
 
+/**
+ * Size of one element of a node in bytes, requires assignDataTypes
+ */
+const elementBytes = (node) => dataTypeSize(node[NodeAttributes.ELEMENT_TYPE]);
+
 /**
  * Calculates node tensor sizes in the tree
  * @param {Object} node - Tree node
  * @param {Object} indexSizes - Index sizes mapping
- * @param {number} dataTypeSize - Size of data type in bytes
  * @param {Object} stats - Stats object to update
  */
-const calculateNodeSizes = (node, indexSizes, dataTypeSize, stats) => {
+const calculateNodeSizes = (node, indexSizes, stats) => {
     if (!node) return;
 
-    const tensorSize = calculateDimensionProduct(node.value, indexSizes) * dataTypeSize;
+    const tensorSize = calculateDimensionProduct(node.value, indexSizes) * BigInt(elementBytes(node));
     setNodeAttributes(node, {
-        [NodeAttributes.TENSOR_SIZE]: tensorSize
+        [NodeAttributes.TENSOR_SIZE]: toNumber(tensorSize, stats),
+        [NodeAttributes.EXACT_TENSOR_SIZE]: tensorSize.toString(),
+        [NodeAttributes.SYMBOLIC_TENSOR_SIZE]: productPolynomial(node.value, elementBytes(node))
     });
 
+    stats.tensorSizes.set(node, tensorSize);
     stats.totalTensorSize += tensorSize;
-    stats.maxTensorSize = Math.max(stats.maxTensorSize, tensorSize);
-    stats.minTensorSize = Math.min(stats.minTensorSize, tensorSize);
+    stats.maxTensorSize = stats.maxTensorSize === null || tensorSize > stats.maxTensorSize ? tensorSize : stats.maxTensorSize;
+    stats.minTensorSize = stats.minTensorSize === null || tensorSize < stats.minTensorSize ? tensorSize : stats.minTensorSize;
 
-    calculateNodeSizes(node.left, indexSizes, dataTypeSize, stats);
-    calculateNodeSizes(node.right, indexSizes, dataTypeSize, stats);
+    calculateNodeSizes(node.left, indexSizes, stats);
+    calculateNodeSizes(node.right, indexSizes, stats);
 };
 
 /**
@@ -141,9 +411,10 @@ const calculateNodeSizes = (node, indexSizes, dataTypeSize, stats) => {
 const addSizePercentages = (node, stats) => {
     if (!node) return;
 
-    const sizePercentage = (node[NodeAttributes.TENSOR_SIZE] / stats.totalTensorSize) * 100;
+    const tensorSize = stats.tensorSizes.get(node);
+    const sizePercentage = exactPercentage(tensorSize, stats.totalTensorSize);
     const normalizedSizePercentage = normalizeToPercentage(
-        node[NodeAttributes.TENSOR_SIZE],
+        tensorSize,
         stats.minTensorSize,
         stats.maxTensorSize
     );
@@ -166,6 +437,8 @@ const resetTreeOperations = (node) => {
 
     setNodeAttributes(node, {
         [NodeAttributes.OPERATIONS]: null,
+        [NodeAttributes.EXACT_OPERATIONS]: null,
+        [NodeAttributes.SYMBOLIC_OPERATIONS]: null,
         [NodeAttributes.OPERATIONS_PERCENTAGE]: null,
         [NodeAttributes.NORMALIZED_OPERATIONS]: null
     });
@@ -180,57 +453,101 @@ const resetTreeOperations = (node) => {
  * @param {Object} indexSizes - Index sizes mapping
  * @param {Array} faultyNodes - Array to collect faulty nodes
  * @param {Array} binaryNodes - Array to collect binary nodes
- * @returns {Object} - Results object with operations and error status
+ * @param {Array} unaryNodes - Array to collect unary nodes
+ * @param {Object} costModel - Cost model, see DEFAULT_COST_MODEL
+ * @param {Object} stats - Stats object collecting the exact costs
+ * @returns {Object} - Results object with exact operations, data movement and error status
  */
-const calculateNodeOperations = (node, indexSizes, faultyNodes, binaryNodes) => {
-    if (!node.left) return { hasError: false, operations: 0 };
+const calculateNodeOperations = (node, indexSizes, faultyNodes, binaryNodes, unaryNodes, costModel, stats) => {
+    if (!node.left) return { hasError: false, operations: 0n, dataMovement: 0 };
 
-    let totalOps = 0;
+    let totalOps = 0n;
+    let totalDataMovement = 0;
     let hasError = false;
 
     // Process left side
-    const leftResult = calculateNodeOperations(node.left, indexSizes, faultyNodes, binaryNodes);
+    const leftResult = calculateNodeOperations(node.left, indexSizes, faultyNodes, binaryNodes, unaryNodes, costModel, stats);
     if (leftResult.hasError) hasError = true;
     totalOps += leftResult.operations;
+    totalDataMovement += leftResult.dataMovement;
+
+    // Unary nodes only move data
+    if (!node.right) {
+        const { elements, bytes, penalty } = calculateExactDataMovement(
+            node.value, node.left.value, indexSizes, costModel.stridePenalty,
+            { output: elementBytes(node), input: elementBytes(node.left) }
+        );
+        const dataMovement = toNumber(elements, stats) * penalty;
+        setNodeAttributes(node, {
+            [NodeAttributes.BYTE_ACCESSES]: toNumber(elements, stats),
+            [NodeAttributes.ACCESSED_BYTES]: toNumber(bytes, stats),
+            [NodeAttributes.DATA_MOVEMENT]: dataMovement,
+            [NodeAttributes.DATA_MOVEMENT_BYTES]: toNumber(bytes, stats) * penalty,
+            [NodeAttributes.SYMBOLIC_ACCESSED_BYTES]: addPolynomials(
+                productPolynomial(node.left.value, elementBytes(node.left)),
+                productPolynomial(node.value, elementBytes(node))
+            )
+        });
+        stats.costs.set(node, elements * BigInt(Math.round(penalty * COST_SCALE)));
+        unaryNodes.push(node);
+        totalDataMovement += dataMovement;
+    }
 
     // Process right side and current node operations
     if (node.right) {
-        const rightResult = calculateNodeOperations(node.right, indexSizes, faultyNodes, binaryNodes);
+        const rightResult = calculateNodeOperations(node.right, indexSizes, faultyNodes, binaryNodes, unaryNodes, costModel, stats);
         if (rightResult.hasError) hasError = true;
         totalOps += rightResult.operations;
+        totalDataMovement += rightResult.dataMovement;
 
         // Calculate operations for current node
         const dimtypes = dimensionTypes(node.value, node.left.value, node.right.value);
         if (!dimtypes) {
             faultyNodes.push(node);
-            return { hasError: true, operations: 0 };
+            return { hasError: true, operations: 0n, dataMovement: 0 };
         }
 
-        const operations = calculateOperations(dimtypes, indexSizes);
-        const byteAccesses = calculateByteAccesses(dimtypes, indexSizes);
+        // Operands are multiplied in their promoted type, e.g. bf16 inputs accumulated in fp32
+        const computeType = promoteDataTypes(node.left[NodeAttributes.ELEMENT_TYPE], node.right[NodeAttributes.ELEMENT_TYPE]);
+        const operations = calculateExactOperations(dimtypes, indexSizes, computeType);
+        const byteAccesses = calculateExactByteAccesses(dimtypes, indexSizes, { output: 1, left: 1, right: 1 });
+        const operandBytes = {
+            output: elementBytes(node),
+            left: elementBytes(node.left),
+            right: elementBytes(node.right)
+        };
+        const accessedBytes = calculateExactByteAccesses(dimtypes, indexSizes, operandBytes);
 
         setNodeAttributes(node, {
-            [NodeAttributes.OPERATIONS]: operations,
-            [NodeAttributes.BYTE_ACCESSES]: byteAccesses
+            [NodeAttributes.OPERATIONS]: toNumber(operations, stats),
+            [NodeAttributes.EXACT_OPERATIONS]: operations.toString(),
+            [NodeAttributes.COMPUTE_TYPE]: computeType,
+            [NodeAttributes.BYTE_ACCESSES]: toNumber(byteAccesses, stats),
+            [NodeAttributes.ACCESSED_BYTES]: toNumber(accessedBytes, stats),
+            [NodeAttributes.SYMBOLIC_OPERATIONS]: calculateSymbolicOperations(dimtypes, computeType),
+            [NodeAttributes.SYMBOLIC_ACCESSED_BYTES]: calculateSymbolicByteAccesses(dimtypes, operandBytes)
         });
 
+        stats.costs.set(node, operations * BigInt(COST_SCALE));
         totalOps += operations;
         binaryNodes.push(node);
     }
 
-    return { hasError, operations: totalOps };
+    return { hasError, operations: totalOps, dataMovement: totalDataMovement };
 };
 
 /**
  * Add operation percentages to tree nodes
  * @param {Object} tree - The tree root node
- * @param {Array} binaryNodes - Array of binary nodes
+ * @param {Array} costNodes - Nodes with a cost, binary nodes plus unary nodes if data movement is included
  * @param {number} totalOperations - Total operation count
+ * @param {Map} costs - Exact costs of the nodes, scaled by COST_SCALE
  */
-const addOperationPercentages = (tree, binaryNodes, totalOperations) => {
-    // Calculate operation percentages
-    binaryNodes.forEach(node => {
-        const operationsPercentage = (node[NodeAttributes.OPERATIONS] / totalOperations) * 100;
+const addOperationPercentages = (tree, costNodes, totalOperations, costs) => {
+    // Percentages of exact costs stay finite even if the counts overflow numbers
+    const totalCost = costNodes.reduce((sum, node) => sum + costs.get(node), 0n);
+    costNodes.forEach(node => {
+        const operationsPercentage = exactPercentage(costs.get(node), totalCost);
         setNodeAttributes(node, {
             [NodeAttributes.OPERATIONS_PERCENTAGE]: operationsPercentage,
             [NodeAttributes.TOTAL_OPERATIONS]: totalOperations
@@ -238,13 +555,14 @@ const addOperationPercentages = (tree, binaryNodes, totalOperations) => {
     });
 
     // Normalize operation percentages
-    const percentages = binaryNodes.map(node => node[NodeAttributes.OPERATIONS_PERCENTAGE]);
+    const percentages = costNodes.map(node => node[NodeAttributes.OPERATIONS_PERCENTAGE]);
     const minPercentage = Math.min(...percentages) || 0;
     const maxPercentage = Math.max(...percentages) || 0;
+    const costNodeSet = new Set(costNodes);
 
     const addNormalizedPercentages = (node) => {
         if (!node) return;
-        if (node.left && node.right) {
+        if (costNodeSet.has(node)) {
             const normalizedPercentage = normalizeToPercentage(
                 node[NodeAttributes.OPERATIONS_PERCENTAGE],
                 minPercentage,
@@ -263,45 +581,92 @@ const addOperationPercentages = (tree, binaryNodes, totalOperations) => {
 };
 
 /**
- * Calculates and annotates metrics for an expression tree
+ * Totals of a tree without metrics
+ */
+const EMPTY_TOTALS = {
+    totalOperations: 0,
+    totalDataMovement: 0,
+    totalDataMovementBytes: 0,
+    totalCost: 0,
+    exactTotalOperations: '0',
+    exactTotalCost: '0'
+};
+
+/**
+ * Calculates and annotates metrics for an expression tree. Sizes and counts are
+ * computed exactly and stored as numbers, which are rounded beyond
+ * Number.MAX_SAFE_INTEGER; exceedsSafeInteger reports when that happens. The
+ * exact values are kept as decimal strings for display.
  * @param {Object} indexSizes - Size mapping for each dimension
  * @param {Object} tree - Expression tree to analyze
- * @param {number} dataTypeSize - Size of the data type in bytes
- * @returns {Object} Analysis results including operations and errors
+ * @param {string|number} dataType - Data type of nodes without an override, a name or size in bytes
+ * @param {Object} [costModel] - Cost model for the percentages, see DEFAULT_COST_MODEL
+ * @returns {Object} Analysis results including operations, data movement and errors
  */
-export const calculateNodeMetrics = (indexSizes, tree, dataTypeSize) => {
-    if (!tree) return { totalOperations: 0, faultyNodes: [] };
+export const calculateNodeMetrics = (indexSizes, tree, dataType, costModel = DEFAULT_COST_MODEL) => {
+    if (!tree) return { ...EMPTY_TOTALS, faultyNodes: [], exceedsSafeInteger: false };
 
-    // Track statistics
+    // Track statistics, exact values are kept per node for the percentages
     const stats = {
-        totalTensorSize: 0,
-        maxTensorSize: 0,
-        minTensorSize: Infinity
+        totalTensorSize: 0n,
+        maxTensorSize: null,
+        minTensorSize: null,
+        tensorSizes: new Map(),
+        costs: new Map(),
+        exceedsSafeInteger: false
     };
 
     const faultyNodes = [];
     const binaryNodes = [];
+    const unaryNodes = [];
 
-    // Calculate tensor sizes
-    calculateNodeSizes(tree, indexSizes, dataTypeSize, stats);
+    // Assign data types and calculate tensor sizes
+    assignDataTypes(tree, resolveDataType(dataType));
+    calculateNodeSizes(tree, indexSizes, stats);
     addSizePercentages(tree, stats);
 
     // Calculate operations
-    const { hasError, operations } = calculateNodeOperations(tree, indexSizes, faultyNodes, binaryNodes);
+    const { hasError, operations: exactOperations, dataMovement } = calculateNodeOperations(
+        tree, indexSizes, faultyNodes, binaryNodes, unaryNodes, costModel, stats
+    );
 
     // Handle error case or finalize
     if (hasError) {
         resetTreeOperations(tree);
-        return { totalOperations: 0, faultyNodes };
+        return { ...EMPTY_TOTALS, faultyNodes, exceedsSafeInteger: stats.exceedsSafeInteger };
     }
 
+    const operations = toNumber(exactOperations, stats);
+    binaryNodes.forEach(node => setNodeAttributes(node, { [NodeAttributes.COST]: node[NodeAttributes.OPERATIONS] }));
+    // Unary nodes left out of the percentages must not keep values of an earlier cost model
+    unaryNodes.forEach(node => setNodeAttributes(node, costModel.includeDataMovement
+        ? { [NodeAttributes.COST]: node[NodeAttributes.DATA_MOVEMENT] }
+        : {
+            [NodeAttributes.COST]: 0,
+            [NodeAttributes.OPERATIONS_PERCENTAGE]: null,
+            [NodeAttributes.NORMALIZED_OPERATIONS]: null
+        }));
+    const costNodes = costModel.includeDataMovement ? [...binaryNodes, ...unaryNodes] : binaryNodes;
+    const totalCost = operations + (costModel.includeDataMovement ? dataMovement : 0);
+    const exactCost = costNodes.reduce((sum, node) => sum + stats.costs.get(node), 0n) / BigInt(COST_SCALE);
+    const dataMovementBytes = unaryNodes.reduce((sum, node) => sum + node[NodeAttributes.DATA_MOVEMENT_BYTES], 0);
+
     // Set total operations on tree
     setNodeAttributes(tree, {
         [NodeAttributes.TOTAL_OPERATIONS]: operations
     });
 
     // Add operation percentages
-    addOperationPercentages(tree, binaryNodes, operations);
-
-    return { totalOperations: operations, faultyNodes };
+    addOperationPercentages(tree, costNodes, operations, stats.costs);
+
+    return {
+        totalOperations: operations,
+        totalDataMovement: dataMovement,
+        totalDataMovementBytes: dataMovementBytes,
+        totalCost,
+        exactTotalOperations: exactOperations.toString(),
+        exactTotalCost: exactCost.toString(),
+        faultyNodes,
+        exceedsSafeInteger: stats.exceedsSafeInteger
+    };
 };
\ No newline at end of file
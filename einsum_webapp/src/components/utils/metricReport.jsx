@@ -0,0 +1,170 @@
+import { parseTree } from './einsumContractionTree.jsx';
+import { calculateNodeMetrics } from './metricCalculation.jsx';
+import { createDimensionClassifier } from './dimensionClassifier.jsx';
+import { DATA_TYPES, resolveDataType } from './dataTypes.jsx';
+
+/**
+ * Size assumed for indices without a given size, as in the web app
+ */
+const DEFAULT_INDEX_SIZE = 2;
+
+/**
+ * Checks that an index size is a positive integer
+ * @param {*} size - Size to check
+ * @returns {boolean} - Whether the size is valid
+ */
+export const isValidIndexSize = (size) => Number.isSafeInteger(size) && size > 0;
+
+/**
+ * Collects all indices of a tree in first-appearance order
+ * @param {Object} root - Tree root
+ * @returns {string[]} - Distinct indices
+ */
+const collectIndices = (root) => {
+    const indices = new Set();
+    const visit = (node) => {
+        if (!node) return;
+        node.value.forEach(index => indices.add(index));
+        visit(node.left);
+        visit(node.right);
+    };
+    visit(root);
+    return [...indices];
+};
+
+/**
+ * Summarizes a dimension classification as "mb=i nb=k kb=j"
+ * @param {Object|null} dimTypes - Result of a dimension classifier
+ * @returns {string} - Non-empty dimension groups
+ */
+const summarizeDimensionTypes = (dimTypes) => {
+    if (!dimTypes) return '';
+    return [...Object.entries(dimTypes.primitive), ...Object.entries(dimTypes.loop)]
+        .filter(([, indices]) => indices.length > 0)
+        .map(([type, indices]) => `${type}=${indices.join(',')}`)
+        .join(' ');
+};
+
+/**
+ * Computes the metrics the web app shows for a contraction tree without any UI
+ * @param {string} expression - Einsum tree expression
+ * @param {Object} indexSizes - Index sizes mapping, missing indices default to 2
+ * @param {string|number} dataType - Data type name or size of the data type in bytes
+ * @returns {Object} - Report with total operations, per-node metrics, faulty nodes and errors.
+ * Invalid expressions and index sizes are reported as errors without metrics.
+ */
+export const createMetricReport = (expression, indexSizes = {}, dataType = 4) => {
+    const resolvedType = resolveDataType(dataType);
+    const report = {
+        expression,
+        dataType: resolvedType,
+        dataTypeSize: DATA_TYPES[resolvedType].bytes,
+        indexSizes: {},
+        totalOperations: 0,
+        nodes: [],
+        faultyNodes: [],
+        warnings: [],
+        errors: []
+    };
+
+    const root = parseTree(expression);
+    if (!root) {
+        report.errors.push('Failed to parse expression');
+        return report;
+    }
+
+    const indices = collectIndices(root);
+    indices
+        .filter(index => indexSizes[index] !== undefined && !isValidIndexSize(indexSizes[index]))
+        .forEach(index => {
+            report.errors.push(`Invalid size ${JSON.stringify(indexSizes[index])} for index '${index}', sizes must be positive integers`);
+        });
+    if (report.errors.length > 0) {
+        return report;
+    }
+
+    indices.forEach(index => {
+        if (indexSizes[index] === undefined) {
+            report.warnings.push(`No size given for index '${index}', using ${DEFAULT_INDEX_SIZE}`);
+        }
+        report.indexSizes[index] = indexSizes[index] ?? DEFAULT_INDEX_SIZE;
+    });
+
+    const { totalOperations, faultyNodes, exceedsSafeInteger } = calculateNodeMetrics(report.indexSizes, root, resolvedType);
+    report.totalOperations = totalOperations;
+    if (exceedsSafeInteger) {
+        report.warnings.push('Some values exceed Number.MAX_SAFE_INTEGER and are rounded');
+    }
+    report.faultyNodes = faultyNodes.map(node => node.value.join(','));
+
+    const visit = (node, depth) => {
+        if (!node) return;
+
+        const entry = {
+            id: node.id,
+            depth,
+            indices: node.value,
+            left: node.left?.value ?? null,
+            right: node.right?.value ?? null,
+            tensorSize: node.tensorSize,
+            operations: node.operations ?? null,
+            byteAccesses: node.byteAccesses ?? null,
+            dimensionTypes: null,
+            faulty: faultyNodes.includes(node)
+        };
+
+        if (node.left && node.right) {
+            const classifier = createDimensionClassifier('standard', node.value, node.left.value, node.right.value);
+            entry.dimensionTypes = classifier.classify();
+            classifier.errors.forEach(error => {
+                report.errors.push(`Classification error at [${node.value.join(',')}]: ${error.message}`);
+            });
+        }
+
+        report.nodes.push(entry);
+        visit(node.left, depth + 1);
+        visit(node.right, depth + 1);
+    };
+    visit(root, 0);
+
+    return report;
+};
+
+/**
+ * Formats a metric report as a plain text table
+ * @param {Object} report - Result of createMetricReport
+ * @returns {string} - Table with one row per node, only the errors if there are no metrics
+ */
+export const formatMetricReportTable = (report) => {
+    if (report.nodes.length === 0) {
+        return [...report.errors.map(error => `Error: ${error}`), ''].join('\n');
+    }
+
+    const header = ['Node', 'Tensor Size (B)', 'Ops', 'Byte Accesses', 'Dimension Types', 'Faulty'];
+    const rows = report.nodes.map(node => [
+        `${'  '.repeat(node.depth)}[${node.indices.join(',')}]`,
+        String(node.tensorSize),
+        node.operations === null ? '-' : String(node.operations),
+        node.byteAccesses === null ? '-' : String(node.byteAccesses),
+        summarizeDimensionTypes(node.dimensionTypes) || '-',
+        node.faulty ? 'yes' : ''
+    ]);
+
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [
+        `Expression: ${report.expression}`,
+        `Index Sizes: ${Object.entries(report.indexSizes).map(([index, size]) => `${index}=${size}`).join(', ')}`,
+        `Data Type: ${DATA_TYPES[report.dataType].label} (${report.dataTypeSize} Bytes)`,
+        `Total Operations: ${report.totalOperations}`,
+        '',
+        formatRow(header),
+        formatRow(widths.map(width => '-'.repeat(width))),
+        ...rows.map(formatRow),
+        ...report.warnings.map(warning => `Warning: ${warning}`),
+        ...report.errors.map(error => `Error: ${error}`),
+        ''
+    ].join('\n');
+};
@@ -0,0 +1,62 @@
+import { scaleLinear, scaleLog } from 'd3-scale';
+
+/**
+ * How metric values are mapped to visual sizes
+ */
+export const SizeScale = {
+    LINEAR: 'linear',
+    LOG: 'log'
+};
+
+/**
+ * Node widths in pixels used when nodes are sized by a metric
+ */
+export const NODE_WIDTH_RANGE = [80, 220];
+
+/**
+ * Edge thicknesses in pixels used when edges are sized by a metric
+ */
+export const EDGE_WIDTH_RANGE = [1, 12];
+
+/**
+ * Whether a value can be placed on the scale, zero and overflowed counts cannot
+ */
+const isScalable = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Creates a mapping from metric values to visual sizes
+ * @param {number[]} values - Metric values of all nodes
+ * @param {string} scaleType - One of SizeScale
+ * @param {number[]} range - Smallest and largest size
+ * @returns {Function} - Size of a value, values that cannot be scaled get the smallest size
+ */
+export const createMetricScale = (values, scaleType, [minSize, maxSize]) => {
+    const scalable = values.filter(isScalable);
+    if (scalable.length === 0) return () => minSize;
+
+    const min = Math.min(...scalable);
+    const max = Math.max(...scalable);
+    // A single distinct value gets the largest size
+    if (min === max) return (value) => (isScalable(value) ? maxSize : minSize);
+
+    const scale = (scaleType === SizeScale.LOG ? scaleLog().domain([min, max]) : scaleLinear().domain([0, max]))
+        .range([minSize, maxSize])
+        .clamp(true);
+    return (value) => (isScalable(value) ? scale(value) : minSize);
+};
+
+/**
+ * Picks the values shown in a size legend: the smallest, a middle and the largest value
+ * @param {number[]} values - Metric values of all nodes
+ * @param {string} scaleType - One of SizeScale
+ * @returns {number[]} - Ascending distinct legend values
+ */
+export const legendValues = (values, scaleType) => {
+    const scalable = values.filter(isScalable);
+    if (scalable.length === 0) return [];
+
+    const min = Math.min(...scalable);
+    const max = Math.max(...scalable);
+    const middle = scaleType === SizeScale.LOG ? Math.sqrt(min * max) : (min + max) / 2;
+    return [...new Set([min, middle, max])];
+};
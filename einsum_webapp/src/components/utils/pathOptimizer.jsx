@@ -0,0 +1,290 @@
+import { buildTreeFromPath } from './einsumContractionTree.jsx';
+import { calculateContractionOperations } from './metricCalculation.jsx';
+
+/**
+ * Available contraction path optimizers
+ */
+export const OptimizerType = {
+    GREEDY: 'greedy',
+    OPTIMAL: 'optimal',
+    RANDOM_GREEDY: 'random-greedy'
+};
+
+/**
+ * Largest number of operands the exhaustive optimizer accepts (cost grows with 3^n)
+ */
+export const MAX_OPTIMAL_OPERANDS = 12;
+
+/**
+ * Determines the indices of an intermediate that are still needed afterwards
+ * @param {string[]} left - Indices of the left operand
+ * @param {string[]} right - Indices of the right operand
+ * @param {string[][]} pending - Index lists of operands not yet contracted
+ * @param {string[]} output - Indices of the final result
+ * @returns {string[]} - Indices kept in the intermediate
+ */
+const intermediateIndices = (left, right, pending, output) => {
+    const needed = new Set(output);
+    pending.forEach(indices => indices.forEach(index => needed.add(index)));
+    return [...new Set([...left, ...right])].filter(index => needed.has(index));
+};
+
+/**
+ * Calculates the number of elements of a tensor
+ * @param {string[]} indices - Tensor indices
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {number} - Number of elements
+ */
+const tensorElements = (indices, indexSizes) =>
+    indices.reduce((product, index) => product * (indexSizes[index] || 1), 1);
+
+/**
+ * Creates a deterministic pseudo random number generator (mulberry32)
+ * @param {number} seed - Seed value
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Builds a contraction path by repeatedly contracting a chosen pair of operands
+ * @param {string[][]} operands - Index lists of the input tensors
+ * @param {string[]} output - Indices of the final result
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {Function} choose - Picks one of the candidate contractions
+ * @returns {Object} - Path and total operations
+ */
+const greedyPath = (operands, output, indexSizes, choose) => {
+    let current = operands.map(indices => [...indices]);
+    const path = [];
+    let operations = 0;
+
+    while (current.length > 1) {
+        const candidates = [];
+        const shareIndex = (a, b) => a.some(index => b.includes(index));
+        const anyShared = current.some((a, i) => current.some((b, j) => i < j && shareIndex(a, b)));
+
+        for (let i = 0; i < current.length; i++) {
+            for (let j = i + 1; j < current.length; j++) {
+                // Outer products are only considered when nothing else is left
+                if (anyShared && !shareIndex(current[i], current[j])) continue;
+
+                const pending = current.filter((_, pos) => pos !== i && pos !== j);
+                const value = intermediateIndices(current[i], current[j], pending, output);
+                candidates.push({
+                    i,
+                    j,
+                    value,
+                    operations: calculateContractionOperations(value, current[i], current[j], indexSizes),
+                    size: tensorElements(value, indexSizes)
+                });
+            }
+        }
+
+        const chosen = choose(candidates);
+        path.push([chosen.i, chosen.j]);
+        operations += chosen.operations;
+        current = current.filter((_, pos) => pos !== chosen.i && pos !== chosen.j);
+        current.push(chosen.value);
+    }
+
+    return { path, operations };
+};
+
+/**
+ * Picks the cheapest candidate, preferring smaller intermediates on ties
+ * @param {Object[]} candidates - Candidate contractions
+ * @returns {Object} - Cheapest candidate
+ */
+const chooseCheapest = (candidates) => candidates.reduce((best, candidate) => {
+    if (candidate.operations < best.operations) return candidate;
+    if (candidate.operations === best.operations && candidate.size < best.size) return candidate;
+    return best;
+});
+
+/**
+ * Greedy optimizer contracting the cheapest pair at every step
+ * @param {string[][]} operands - Index lists of the input tensors
+ * @param {string[]} output - Indices of the final result
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Object} - Path and total operations
+ */
+export const greedyOptimizer = (operands, output, indexSizes) =>
+    greedyPath(operands, output, indexSizes, chooseCheapest);
+
+/**
+ * Randomized greedy optimizer sampling pairs with a Boltzmann distribution over
+ * their log costs and keeping the best of several trials
+ * @param {string[][]} operands - Index lists of the input tensors
+ * @param {string[]} output - Indices of the final result
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {Object} options - Optimizer options
+ * @param {number} options.trials - Number of sampled paths
+ * @param {number} options.temperature - Sampling temperature, higher explores more
+ * @param {number} options.seed - Random seed for reproducible results
+ * @returns {Object} - Path and total operations
+ */
+export const randomGreedyOptimizer = (operands, output, indexSizes, { trials = 32, temperature = 1, seed = 0 } = {}) => {
+    const random = createRandom(seed);
+
+    const chooseSampled = (candidates) => {
+        const minLogCost = Math.min(...candidates.map(c => Math.log(c.operations + 1)));
+        const weights = candidates.map(c =>
+            Math.exp(-(Math.log(c.operations + 1) - minLogCost) / temperature));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        let threshold = random() * total;
+        for (let i = 0; i < candidates.length; i++) {
+            threshold -= weights[i];
+            if (threshold <= 0) return candidates[i];
+        }
+        return candidates[candidates.length - 1];
+    };
+
+    // The deterministic greedy path is always part of the candidates
+    let best = greedyOptimizer(operands, output, indexSizes);
+    for (let trial = 0; trial < trials; trial++) {
+        const result = greedyPath(operands, output, indexSizes, chooseSampled);
+        if (result.operations < best.operations) {
+            best = result;
+        }
+    }
+    return best;
+};
+
+/**
+ * Exhaustive dynamic programming optimizer over all subsets of operands
+ * @param {string[][]} operands - Index lists of the input tensors
+ * @param {string[]} output - Indices of the final result
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {Object} - Path and total operations
+ * @throws {Error} If there are more than MAX_OPTIMAL_OPERANDS operands
+ */
+export const optimalOptimizer = (operands, output, indexSizes) => {
+    const count = operands.length;
+    if (count > MAX_OPTIMAL_OPERANDS) {
+        throw new Error(`Optimal search supports at most ${MAX_OPTIMAL_OPERANDS} operands, got ${count}`);
+    }
+    if (count < 2) return { path: [], operations: 0 };
+
+    const full = (1 << count) - 1;
+    const indicesOf = new Array(full + 1);
+    for (let mask = 1; mask <= full; mask++) {
+        const inside = [];
+        const outside = [];
+        operands.forEach((indices, pos) => (mask & (1 << pos) ? inside : outside).push(indices));
+        indicesOf[mask] = intermediateIndices(inside.flat(), [], outside, output);
+    }
+
+    const best = new Array(full + 1).fill(null);
+    for (let pos = 0; pos < count; pos++) {
+        indicesOf[1 << pos] = operands[pos];
+        best[1 << pos] = { operations: 0, split: null };
+    }
+
+    for (let mask = 1; mask <= full; mask++) {
+        if (best[mask]) continue;
+        const lowest = mask & -mask;
+        let candidate = null;
+
+        // Only enumerate subsets holding the lowest operand to visit each split once
+        for (let sub = (mask - 1) & mask; sub > 0; sub = (sub - 1) & mask) {
+            if (!(sub & lowest)) continue;
+            const rest = mask ^ sub;
+            const operations = best[sub].operations + best[rest].operations +
+                calculateContractionOperations(indicesOf[mask], indicesOf[sub], indicesOf[rest], indexSizes);
+            if (!candidate || operations < candidate.operations) {
+                candidate = { operations, split: [sub, rest] };
+            }
+        }
+        best[mask] = candidate;
+    }
+
+    // Convert the split tree into a linear path over the shrinking operand list
+    const current = operands.map((_, pos) => 1 << pos);
+    const path = [];
+    const contract = (mask) => {
+        const { split } = best[mask];
+        if (!split) return;
+        contract(split[0]);
+        contract(split[1]);
+        const positions = split.map(part => current.indexOf(part)).sort((a, b) => a - b);
+        path.push(positions);
+        [...positions].reverse().forEach(pos => current.splice(pos, 1));
+        current.push(mask);
+    };
+    contract(full);
+
+    return { path, operations: best[full].operations };
+};
+
+/**
+ * Finds a contraction path with the selected optimizer
+ * @param {string[][]} operands - Index lists of the input tensors
+ * @param {string[]} output - Indices of the final result
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string} type - One of OptimizerType
+ * @param {Object} options - Options passed to the randomized optimizer
+ * @returns {Object} - Path and estimated total operations
+ */
+export const optimizeContractionPath = (operands, output, indexSizes, type = OptimizerType.GREEDY, options = {}) => {
+    switch (type) {
+        case OptimizerType.OPTIMAL:
+            return optimalOptimizer(operands, output, indexSizes);
+        case OptimizerType.RANDOM_GREEDY:
+            return randomGreedyOptimizer(operands, output, indexSizes, options);
+        default:
+            return greedyOptimizer(operands, output, indexSizes);
+    }
+};
+
+/**
+ * Collects the leaf tensors of a contraction tree from left to right
+ * @param {Object} node - Tree node
+ * @returns {string[][]} - Index lists of the leaves
+ */
+export const collectLeafIndices = (node) => {
+    if (!node) return [];
+    if (node.isLeaf()) return [node.value];
+    return [...collectLeafIndices(node.left), ...collectLeafIndices(node.right)];
+};
+
+/**
+ * Collects the data type overrides of the leaf tensors from left to right
+ * @param {Object} node - Tree node
+ * @returns {Array<string|null>} - Data type names, null for inherited types
+ */
+const collectLeafDataTypes = (node) => {
+    if (!node) return [];
+    if (node.isLeaf()) return [node.dataType ?? null];
+    return [...collectLeafDataTypes(node.left), ...collectLeafDataTypes(node.right)];
+};
+
+/**
+ * Rebuilds a contraction tree with an optimized contraction order. The input
+ * tensors and the result keep their data types, the intermediates are new.
+ * @param {Object} root - Root node of the current tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string} type - One of OptimizerType
+ * @param {Object} options - Options passed to the randomized optimizer
+ * @returns {Object} - Root of the new tree, the path and estimated total operations
+ */
+export const optimizeTree = (root, indexSizes, type = OptimizerType.GREEDY, options = {}) => {
+    const operands = collectLeafIndices(root);
+    const { path, operations } = optimizeContractionPath(operands, root.value, indexSizes, type, options);
+    const optimizedRoot = buildTreeFromPath(operands, root.value, path, collectLeafDataTypes(root));
+    optimizedRoot.dataType = root.dataType ?? null;
+    return {
+        root: optimizedRoot,
+        path,
+        operations
+    };
+};
@@ -0,0 +1,73 @@
+/**
+ * States of a node at one step of an execution playback
+ */
+export const PlaybackNodeState = {
+    ACTIVE: 'active',
+    INPUT: 'input',
+    CONSUMED: 'consumed',
+    LIVE: 'live',
+    PENDING: 'pending'
+};
+
+/**
+ * Collects the nodes of a tree by id
+ */
+const collectNodes = (node, nodes = new Map()) => {
+    if (!node) return nodes;
+    nodes.set(node.id, node);
+    collectNodes(node.left, nodes);
+    collectNodes(node.right, nodes);
+    return nodes;
+};
+
+/**
+ * Creates the steps of an execution playback: one step per binary and permutation
+ * node in the order of the memory simulation, which is post-order by default.
+ * @param {Object} root - Tree root annotated by calculateNodeMetrics
+ * @param {Object} memory - Result of simulateMemory for the same tree
+ * @returns {Object} - Steps {nodeId, value, operations, cumulativeOperations, allocatedBytes}
+ *                     and the step at which each node is computed and consumed
+ */
+export const createPlayback = (root, memory) => {
+    const playback = { steps: [], computedAt: new Map(), consumedAt: new Map() };
+    if (!root) return playback;
+
+    const nodes = collectNodes(root);
+    let cumulativeOperations = 0;
+    memory.steps.forEach(step => {
+        const node = nodes.get(step.nodeId);
+        if (!node) return;
+
+        const index = playback.steps.length;
+        const operations = Number.isFinite(node.operations) ? node.operations : 0;
+        cumulativeOperations += operations;
+        playback.steps.push({
+            nodeId: node.id,
+            value: node.value,
+            operations,
+            cumulativeOperations,
+            allocatedBytes: step.liveBytes
+        });
+        playback.computedAt.set(node.id, index);
+        [node.left, node.right].filter(Boolean).forEach(child => playback.consumedAt.set(child.id, index));
+    });
+    return playback;
+};
+
+/**
+ * State of a node at a step of the playback
+ * @param {Object} playback - Result of createPlayback
+ * @param {string} nodeId - Node id
+ * @param {number} step - Index of the current step
+ * @returns {string} - One of PlaybackNodeState
+ */
+export const playbackNodeState = (playback, nodeId, step) => {
+    const computedAt = playback.computedAt.get(nodeId);
+    const consumedAt = playback.consumedAt.get(nodeId);
+
+    if (computedAt === step) return PlaybackNodeState.ACTIVE;
+    if (computedAt !== undefined && computedAt > step) return PlaybackNodeState.PENDING;
+    if (consumedAt === step) return PlaybackNodeState.INPUT;
+    if (consumedAt !== undefined && consumedAt < step) return PlaybackNodeState.CONSUMED;
+    return PlaybackNodeState.LIVE;
+};
@@ -0,0 +1,210 @@
+/**
+ * Polynomials in the index sizes, e.g. the operations 2*a*b*c - a*c of a contraction.
+ * A polynomial is a plain object mapping a term key, the sorted comma separated
+ * indices of a monomial (repeated for powers), to its coefficient. The constant
+ * term has the empty key. Terms with a zero coefficient are never stored.
+ */
+
+/**
+ * Creates the key of a monomial
+ * @param {string[]} indices - Indices of the monomial, repeated for powers
+ * @returns {string} - Term key
+ */
+const termKey = (indices) => [...indices].sort().join(',');
+
+/**
+ * Indices of a monomial
+ * @param {string} key - Term key
+ * @returns {string[]} - Sorted indices, repeated for powers
+ */
+const termIndices = (key) => (key ? key.split(',') : []);
+
+/**
+ * Sets a coefficient, dropping terms that cancel out
+ */
+const addTerm = (polynomial, key, coefficient) => {
+    const sum = (polynomial[key] || 0) + coefficient;
+    if (sum === 0) {
+        delete polynomial[key];
+    } else {
+        polynomial[key] = sum;
+    }
+};
+
+/**
+ * Creates a constant polynomial
+ * @param {number} value - Constant value
+ * @returns {Object} - Polynomial
+ */
+export const constantPolynomial = (value) => (value === 0 ? {} : { '': value });
+
+/**
+ * Creates the polynomial of a product of index sizes
+ * @param {string[]} indices - Indices whose sizes are multiplied
+ * @param {number} [coefficient] - Factor of the product
+ * @returns {Object} - Polynomial with a single term
+ */
+export const productPolynomial = (indices, coefficient = 1) =>
+    (coefficient === 0 ? {} : { [termKey(indices)]: coefficient });
+
+/**
+ * Adds polynomials
+ * @param {...Object} polynomials - Summands
+ * @returns {Object} - Simplified sum
+ */
+export const addPolynomials = (...polynomials) => {
+    const result = {};
+    polynomials.forEach(polynomial => {
+        Object.entries(polynomial).forEach(([key, coefficient]) => addTerm(result, key, coefficient));
+    });
+    return result;
+};
+
+/**
+ * Multiplies a polynomial by a number
+ * @param {Object} polynomial - Polynomial to scale
+ * @param {number} factor - Factor
+ * @returns {Object} - Scaled polynomial
+ */
+export const scalePolynomial = (polynomial, factor) => {
+    const result = {};
+    Object.entries(polynomial).forEach(([key, coefficient]) => addTerm(result, key, coefficient * factor));
+    return result;
+};
+
+/**
+ * Multiplies two polynomials
+ * @param {Object} a - First factor
+ * @param {Object} b - Second factor
+ * @returns {Object} - Simplified product
+ */
+export const multiplyPolynomials = (a, b) => {
+    const result = {};
+    Object.entries(a).forEach(([keyA, coefficientA]) => {
+        Object.entries(b).forEach(([keyB, coefficientB]) => {
+            addTerm(result, termKey([...termIndices(keyA), ...termIndices(keyB)]), coefficientA * coefficientB);
+        });
+    });
+    return result;
+};
+
+/**
+ * Whether an index has a numeric size, indices left symbolic have none
+ */
+const hasSize = (indexSizes, index) => typeof indexSizes[index] === 'number' && isFinite(indexSizes[index]);
+
+/**
+ * Replaces the indices with a numeric size by their size
+ * @param {Object} polynomial - Polynomial to evaluate
+ * @param {Object} indexSizes - Index sizes mapping, symbolic indices are missing or null
+ * @returns {Object} - Polynomial in the symbolic indices only
+ */
+export const substitutePolynomial = (polynomial, indexSizes) => {
+    const result = {};
+    Object.entries(polynomial).forEach(([key, coefficient]) => {
+        let factor = coefficient;
+        const symbolic = [];
+        termIndices(key).forEach(index => {
+            if (hasSize(indexSizes, index)) {
+                factor *= indexSizes[index];
+            } else {
+                symbolic.push(index);
+            }
+        });
+        addTerm(result, termKey(symbolic), factor);
+    });
+    return result;
+};
+
+/**
+ * Whether a polynomial has no symbolic terms
+ * @param {Object} polynomial - Polynomial to check
+ * @returns {boolean} - True for constants, including zero
+ */
+export const isConstantPolynomial = (polynomial) => Object.keys(polynomial).every(key => key === '');
+
+/**
+ * Evaluates a polynomial numerically
+ * @param {Object} polynomial - Polynomial to evaluate
+ * @param {Object} indexSizes - Index sizes mapping
+ * @returns {number|null} - Value, null if an index of the polynomial is left symbolic
+ */
+export const evaluatePolynomial = (polynomial, indexSizes) => {
+    const substituted = substitutePolynomial(polynomial, indexSizes);
+    return isConstantPolynomial(substituted) ? (substituted[''] || 0) : null;
+};
+
+/**
+ * Terms ordered by descending degree, then by their indices
+ */
+const sortedTerms = (polynomial) => Object.entries(polynomial).sort(([keyA], [keyB]) => {
+    const degreeDifference = termIndices(keyB).length - termIndices(keyA).length;
+    return degreeDifference || keyA.localeCompare(keyB, undefined, { numeric: true });
+});
+
+/**
+ * Groups the repeated indices of a monomial into powers
+ * @returns {Array[]} - Pairs of index and exponent
+ */
+const termPowers = (key) => {
+    const powers = new Map();
+    termIndices(key).forEach(index => powers.set(index, (powers.get(index) || 0) + 1));
+    return [...powers.entries()];
+};
+
+/**
+ * Joins the terms of a polynomial with signs
+ * @param {Object} polynomial - Polynomial to format
+ * @param {Function} formatVariable - Formats an index with its exponent
+ * @param {string} times - Multiplication sign
+ * @returns {string} - Formatted polynomial
+ */
+const formatTerms = (polynomial, formatVariable, times) => {
+    const terms = sortedTerms(polynomial);
+    if (terms.length === 0) return '0';
+
+    return terms.map(([key, coefficient], i) => {
+        const magnitude = Math.abs(coefficient);
+        const variables = termPowers(key).map(([index, exponent]) => formatVariable(index, exponent));
+        const factors = magnitude === 1 && variables.length > 0 ? variables : [String(magnitude), ...variables];
+        const sign = coefficient < 0 ? '-' : '+';
+        const term = factors.join(times);
+
+        if (i === 0) return coefficient < 0 ? `-${term}` : term;
+        return ` ${sign} ${term}`;
+    }).join('');
+};
+
+/**
+ * Formats a polynomial as plain text, e.g. 2*a*b^2 - a
+ * @param {Object} polynomial - Polynomial to format
+ * @returns {string} - Formatted polynomial
+ */
+export const formatPolynomial = (polynomial) =>
+    formatTerms(polynomial, (index, exponent) => (exponent > 1 ? `${index}^${exponent}` : index), '*');
+
+/**
+ * Formats an index as a LaTeX variable, names longer than one character are set as one word
+ */
+const latexVariable = (index, exponent) => {
+    const name = index.length > 1 ? `\\mathit{${index.replace(/_/g, '\\_')}}` : index;
+    return exponent > 1 ? `${name}^{${exponent}}` : name;
+};
+
+/**
+ * Formats a polynomial as LaTeX math, e.g. 2 \cdot a \cdot b^{2} - a
+ * @param {Object} polynomial - Polynomial to format
+ * @returns {string} - LaTeX math without delimiters
+ */
+export const polynomialToLatex = (polynomial) => formatTerms(polynomial, latexVariable, ' \\cdot ');
+
+/**
+ * Formats named polynomials as a LaTeX align environment
+ * @param {Object[]} formulas - Formulas {label, polynomial}
+ * @returns {string} - LaTeX align* environment
+ */
+export const formulasToLatex = (formulas) => [
+    '\\begin{align*}',
+    formulas.map(({ label, polynomial }) => `\\text{${label}} &= ${polynomialToLatex(polynomial)}`).join(' \\\\\n'),
+    '\\end{align*}'
+].join('\n');
@@ -0,0 +1,177 @@
+import { DataType, DATA_TYPES, resolveDataType, migrateLegacyDataType } from './dataTypes.jsx';
+
+/**
+ * Local storage key of the user defined hardware profiles
+ */
+const STORAGE_KEY = 'einsumHardwareProfiles';
+
+/**
+ * Built-in hardware profiles. Peak performance is given in GFLOP/s per real data
+ * type, bandwidths in GB/s and cache sizes in bytes.
+ */
+export const DEFAULT_HARDWARE_PROFILES = [
+    {
+        id: 'cpu-server',
+        name: 'Server CPU (32 cores, AVX-512)',
+        peakFlops: {
+            [DataType.INT8]: 16384,
+            [DataType.FP16]: 8192,
+            [DataType.BF16]: 8192,
+            [DataType.FP32]: 4096,
+            [DataType.FP64]: 2048
+        },
+        memoryBandwidth: 200,
+        caches: [
+            { name: 'L1', size: 32 * 32 * 1024, bandwidth: 16000 },
+            { name: 'L2', size: 32 * 1024 * 1024, bandwidth: 6000 },
+            { name: 'L3', size: 64 * 1024 * 1024, bandwidth: 1500 }
+        ]
+    },
+    {
+        id: 'gpu-datacenter',
+        name: 'Datacenter GPU',
+        peakFlops: {
+            [DataType.INT8]: 624000,
+            [DataType.FP16]: 312000,
+            [DataType.BF16]: 312000,
+            [DataType.FP32]: 19500,
+            [DataType.FP64]: 9700
+        },
+        memoryBandwidth: 1550,
+        caches: [
+            { name: 'L2', size: 40 * 1024 * 1024, bandwidth: 5000 }
+        ]
+    }
+];
+
+/**
+ * Renames the peak performance entries of profiles saved before named data
+ * types, which were keyed by the size in bytes
+ * @param {Object} profile - Stored hardware profile
+ * @returns {Object} - Profile keyed by data type names
+ */
+const migrateProfile = (profile) => ({
+    ...profile,
+    peakFlops: Object.fromEntries(
+        Object.entries(profile.peakFlops || {}).map(([type, value]) => [migrateLegacyDataType(type), value])
+    )
+});
+
+/**
+ * Loads the hardware profiles from local storage
+ * @returns {Object[]} - Stored profiles or the built-in defaults
+ */
+export const loadHardwareProfiles = () => {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed) && parsed.length > 0) {
+                return parsed.map(migrateProfile);
+            }
+        }
+    } catch (e) {
+        console.warn('Failed to parse saved hardware profiles, using defaults:', e);
+        localStorage.removeItem(STORAGE_KEY);
+    }
+    return DEFAULT_HARDWARE_PROFILES;
+};
+
+/**
+ * Saves the hardware profiles to local storage
+ * @param {Object[]} profiles - Profiles to save
+ */
+export const saveHardwareProfiles = (profiles) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+    } catch (e) {
+        console.error('Failed to save hardware profiles to local storage:', e);
+    }
+};
+
+/**
+ * Returns the peak performance of a profile for a data type in FLOP/s. Complex
+ * types use the peak of their real component type.
+ * @param {Object} profile - Hardware profile
+ * @param {string} dataType - Data type name
+ * @returns {number} - Peak FLOP/s
+ */
+export const peakFlopsFor = (profile, dataType) =>
+    (profile.peakFlops?.[DATA_TYPES[resolveDataType(dataType)].realType] || 0) * 1e9;
+
+/**
+ * Selects the bandwidth of the smallest memory level holding the working set
+ * @param {Object} profile - Hardware profile
+ * @param {number} workingSetBytes - Bytes touched by the operation
+ * @returns {number} - Bandwidth in bytes per second
+ */
+export const effectiveBandwidth = (profile, workingSetBytes) => {
+    const level = [...(profile.caches || [])]
+        .sort((a, b) => a.size - b.size)
+        .find(cache => workingSetBytes <= cache.size);
+    return (level ? level.bandwidth : profile.memoryBandwidth) * 1e9;
+};
+
+/**
+ * Places a single operation on the roofline of a machine
+ * @param {number} operations - Floating point operations
+ * @param {number} bytes - Bytes moved between memory and compute units
+ * @param {number} workingSetBytes - Bytes touched, used to pick the memory level
+ * @param {Object} profile - Hardware profile
+ * @param {string} dataType - Data type name
+ * @returns {Object} - Intensity, attainable performance, runtime and bound
+ */
+export const rooflinePoint = (operations, bytes, workingSetBytes, profile, dataType) => {
+    const peak = peakFlopsFor(profile, dataType);
+    const bandwidth = effectiveBandwidth(profile, workingSetBytes);
+    const intensity = bytes > 0 ? operations / bytes : Infinity;
+
+    const computeTime = peak > 0 ? operations / peak : Infinity;
+    const memoryTime = bandwidth > 0 ? bytes / bandwidth : Infinity;
+
+    return {
+        intensity,
+        bandwidth,
+        attainable: Math.min(peak, intensity * bandwidth),
+        runtime: Math.max(computeTime, memoryTime),
+        bound: computeTime >= memoryTime ? 'compute' : 'memory'
+    };
+};
+
+/**
+ * Places every binary node of an analyzed tree on the roofline of a machine.
+ * Expects node metrics from calculateNodeMetrics, whose per-node data types
+ * take precedence over the given one.
+ * @param {Object} root - Tree root
+ * @param {Object} profile - Hardware profile
+ * @param {string} dataType - Data type name
+ * @param {number} dataTypeSize - Size of the data type in bytes
+ * @returns {Object} - Points per binary node and the estimated total runtime
+ */
+export const analyzeRoofline = (root, profile, dataType, dataTypeSize) => {
+    const points = [];
+
+    const visit = (node) => {
+        if (!node) return;
+        visit(node.left);
+        visit(node.right);
+
+        if (node.left && node.right && node.operations) {
+            const bytes = node.accessedBytes ?? node.byteAccesses * dataTypeSize;
+            const workingSet = node.tensorSize + node.left.tensorSize + node.right.tensorSize;
+            points.push({
+                id: node.id,
+                label: node.value,
+                operations: node.operations,
+                bytes,
+                ...rooflinePoint(node.operations, bytes, workingSet, profile, node.computeType ?? dataType)
+            });
+        }
+    };
+    visit(root);
+
+    return {
+        points,
+        totalRuntime: points.reduce((sum, point) => sum + point.runtime, 0)
+    };
+};
@@ -0,0 +1,107 @@
+import { reconstructNode } from './einsumContractionTree.jsx';
+import { calculateNodeMetrics } from './metricCalculation.jsx';
+
+/**
+ * Builds a canonical signature of a subtree. Two subtrees have the same
+ * signature if they contract the same tensors in the same structure.
+ * @param {Object} node - Subtree root
+ * @param {Map} signatures - Cache of computed signatures per node
+ * @returns {string} - Signature of the subtree
+ */
+const subtreeSignature = (node, signatures) => {
+    if (signatures.has(node)) return signatures.get(node);
+
+    const value = `[${node.value.join(',')}]`;
+    let signature;
+    if (node.isLeaf()) {
+        signature = value;
+    } else if (!node.right) {
+        signature = `[${subtreeSignature(node.left, signatures)}->${value}]`;
+    } else {
+        signature = `[${subtreeSignature(node.left, signatures)},${subtreeSignature(node.right, signatures)}->${value}]`;
+    }
+    signatures.set(node, signature);
+    return signature;
+};
+
+const collectNodes = (root) => {
+    const nodes = [];
+    const visit = (node) => {
+        if (!node) return;
+        nodes.push(node);
+        visit(node.left);
+        visit(node.right);
+    };
+    visit(root);
+    return nodes;
+};
+
+/**
+ * Summarizes the metrics compared between two trees
+ * @param {Object} root - Tree root
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string|number} dataType - Data type name or size of the data type in bytes
+ * @returns {Object} - Total operations, peak tensor size and number of permutation nodes
+ */
+export const summarizeTree = (root, indexSizes, dataType) => {
+    if (!root) return { totalOperations: 0, peakTensorSize: 0, permutationNodes: 0, faulty: false };
+
+    // Work on a copy, calculateNodeMetrics annotates the nodes it visits
+    const copy = reconstructNode(root);
+    const { totalOperations, faultyNodes } = calculateNodeMetrics(indexSizes, copy, dataType);
+    const nodes = collectNodes(copy);
+
+    return {
+        totalOperations,
+        peakTensorSize: Math.max(...nodes.map(node => node.tensorSize)),
+        permutationNodes: nodes.filter(node => node.left && !node.right).length,
+        faulty: faultyNodes.length > 0
+    };
+};
+
+/**
+ * Finds the nodes of both trees lying in a structurally identical subtree that
+ * contains at least one contraction. Single input tensors are not reported.
+ * @param {Object} rootA - Root of the first tree
+ * @param {Object} rootB - Root of the second tree
+ * @returns {Object} - Sets of node ids per tree and the number of maximal shared subtrees
+ */
+export const findSharedSubtrees = (rootA, rootB) => {
+    const signaturesA = new Map();
+    const signaturesB = new Map();
+    const nodesB = collectNodes(rootB);
+    const signaturesInB = new Set(nodesB.map(node => subtreeSignature(node, signaturesB)));
+    const signaturesInA = new Set(collectNodes(rootA).map(node => subtreeSignature(node, signaturesA)));
+
+    const result = { a: new Set(), b: new Set(), count: 0 };
+
+    // Marks every node of the maximal shared subtrees, top-down
+    const mark = (node, signatures, otherSignatures, ids, countRoots) => {
+        if (!node) return;
+        if (!node.isLeaf() && otherSignatures.has(signatures.get(node))) {
+            collectNodes(node).forEach(child => ids.add(child.id));
+            if (countRoots) result.count++;
+            return;
+        }
+        mark(node.left, signatures, otherSignatures, ids, countRoots);
+        mark(node.right, signatures, otherSignatures, ids, countRoots);
+    };
+    mark(rootA, signaturesA, signaturesInB, result.a, true);
+    mark(rootB, signaturesB, signaturesInA, result.b, false);
+
+    return result;
+};
+
+/**
+ * Compares two contraction trees with the same index sizes and data type
+ * @param {Object} rootA - Root of the first tree
+ * @param {Object} rootB - Root of the second tree
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {string|number} dataType - Data type name or size of the data type in bytes
+ * @returns {Object} - Summaries of both trees and their shared subtrees
+ */
+export const compareTrees = (rootA, rootB, indexSizes, dataType) => ({
+    a: summarizeTree(rootA, indexSizes, dataType),
+    b: summarizeTree(rootB, indexSizes, dataType),
+    shared: rootA && rootB ? findSharedSubtrees(rootA, rootB) : { a: new Set(), b: new Set(), count: 0 }
+});
@@ -0,0 +1,229 @@
+import { getColorForPercentage } from './colors.jsx';
+import { formatNumber } from './formatting.jsx';
+
+const EDGE_COLOR = '#b1b1b7';
+const MIN_NODE_WIDTH = 80;
+const CHAR_WIDTH = 8;
+const NODE_PADDING = 28;
+const MARGIN = 40;
+
+/**
+ * Escapes a string for use inside XML text and attributes
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Escapes a string for use inside a quoted DOT attribute
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeDot = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Converts a CSS rgb() color, as produced by d3 scales, to hex notation understood by Graphviz
+ * @param {string} color - CSS color
+ * @returns {string} - Hex color, or the input if it is not an rgb() color
+ */
+const toHexColor = (color) => {
+    const match = /^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/.exec(color);
+    if (!match) return color;
+    return '#' + match.slice(1).map(channel => Number(channel).toString(16).padStart(2, '0')).join('');
+};
+
+const nodeLabel = (node) => (Array.isArray(node.data.label) ? node.data.label.join(',') : node.data.label);
+
+/**
+ * Returns the percentage shown on a node and used to color its edges
+ * @param {Object} node - Visualization node
+ * @param {string} metricType - 'operations' or 'tensorSize'
+ * @returns {Object} - Displayed and normalized percentage
+ */
+const nodePercentages = (node, metricType) => (metricType === 'operations'
+    ? { shown: node.data.operationsPercentage, normalized: node.data.normalizedPercentage }
+    : { shown: node.data.sizePercentage, normalized: node.data.normalizedSizePercentage });
+
+const edgeColor = (sourceNode, metricType) => {
+    const { normalized } = nodePercentages(sourceNode, metricType);
+    return normalized === undefined || normalized === null ? EDGE_COLOR : getColorForPercentage(normalized);
+};
+
+/**
+ * Exports the visualization tree as Graphviz DOT. Every node carries its metrics
+ * as attributes and its layout position, which `neato -n` keeps as is.
+ * @param {Object[]} nodes - Nodes from buildVisualizationTree
+ * @param {Object[]} edges - Edges from buildVisualizationTree
+ * @param {Object} options - Export options
+ * @param {string} options.metricType - Metric used for percentages and edge colors
+ * @returns {string} - DOT source
+ */
+export const treeToDot = (nodes, edges, { metricType = 'operations' } = {}) => {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const lines = [
+        'digraph EinsumTree {',
+        '  node [shape=box, style="rounded,filled", fontname="Helvetica", fillcolor="#ffffff", color="#777777"];',
+        '  edge [arrowhead=none, penwidth=2];'
+    ];
+
+    nodes.forEach(node => {
+        const { shown } = nodePercentages(node, metricType);
+        const label = shown === undefined || shown === null
+            ? escapeDot(nodeLabel(node))
+            : `${escapeDot(nodeLabel(node))}\\n${formatNumber(shown)}%`;
+        const attributes = [
+            `label="${label}"`,
+            `indices="${escapeDot(nodeLabel(node))}"`,
+            `pos="${node.position.x},${-node.position.y}!"`
+        ];
+        [
+            'tensorSize',
+            'sizePercentage',
+            'operations',
+            'operationsPercentage',
+            'byteAccesses'
+        ].forEach(metric => {
+            if (node.data[metric] !== undefined && node.data[metric] !== null) {
+                attributes.push(`${metric}=${node.data[metric]}`);
+            }
+        });
+        if (node.data.isFaulty) {
+            attributes.push('faulty=true', 'color="red"', 'penwidth=2');
+        }
+        lines.push(`  "${escapeDot(node.id)}" [${attributes.join(', ')}];`);
+    });
+
+    edges.forEach(edge => {
+        const source = byId.get(edge.source);
+        const color = toHexColor(source ? edgeColor(source, metricType) : EDGE_COLOR);
+        lines.push(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [color="${color}"];`);
+    });
+
+    lines.push('}', '');
+    return lines.join('\n');
+};
+
+/**
+ * Exports the current layout as a standalone SVG document, drawn like the
+ * React Flow view: rounded nodes, optional percentages and colored step edges.
+ * Node positions are top left corners, as in React Flow.
+ * @param {Object[]} nodes - Nodes from buildVisualizationTree
+ * @param {Object[]} edges - Edges from buildVisualizationTree
+ * @param {Object} options - Export options
+ * @param {string} options.metricType - Metric used for percentages and edge colors
+ * @param {boolean} options.showPercentages - Whether node percentages are drawn
+ * @returns {Object} - SVG source with its width and height
+ */
+export const treeToSvg = (nodes, edges, { metricType = 'operations', showPercentages = false } = {}) => {
+    const boxes = new Map(nodes.map(node => {
+        const { shown } = nodePercentages(node, metricType);
+        const percentage = showPercentages && shown !== undefined && shown !== null ? `${formatNumber(shown)}%` : null;
+        const label = nodeLabel(node);
+        return [node.id, {
+            node,
+            label,
+            percentage,
+            width: Math.max(label.length * CHAR_WIDTH, MIN_NODE_WIDTH) + NODE_PADDING,
+            height: percentage ? 60 : 40
+        }];
+    }));
+
+    const values = [...boxes.values()];
+    const minX = Math.min(...values.map(box => box.node.position.x)) - MARGIN;
+    const minY = Math.min(...values.map(box => box.node.position.y)) - MARGIN;
+    const maxX = Math.max(...values.map(box => box.node.position.x + box.width)) + MARGIN;
+    const maxY = Math.max(...values.map(box => box.node.position.y + box.height)) + MARGIN;
+    const width = Math.ceil(maxX - minX);
+    const height = Math.ceil(maxY - minY);
+
+    const edgeElements = edges.map(edge => {
+        const source = boxes.get(edge.source);
+        const target = boxes.get(edge.target);
+        if (!source || !target) return '';
+        const stroke = `fill="none" stroke="${edgeColor(source.node, metricType)}" stroke-width="2"`;
+        if (source.node.sourcePosition === 'right') {
+            // Left to right layouts connect the right side of a parent to the left side of its child
+            const sx = source.node.position.x + source.width - minX;
+            const sy = source.node.position.y + source.height / 2 - minY;
+            const tx = target.node.position.x - minX;
+            const ty = target.node.position.y + target.height / 2 - minY;
+            const midX = (sx + tx) / 2;
+            return `  <path d="M ${sx} ${sy} H ${midX} V ${ty} H ${tx}" ${stroke}/>`;
+        }
+        if (edge.type === 'straight') {
+            const sx = source.node.position.x + source.width / 2 - minX;
+            const sy = source.node.position.y + source.height / 2 - minY;
+            const tx = target.node.position.x + target.width / 2 - minX;
+            const ty = target.node.position.y + target.height / 2 - minY;
+            return `  <line x1="${sx}" y1="${sy}" x2="${tx}" y2="${ty}" ${stroke}/>`;
+        }
+        const sx = source.node.position.x + source.width / 2 - minX;
+        const sy = source.node.position.y + source.height - minY;
+        const tx = target.node.position.x + target.width / 2 - minX;
+        const ty = target.node.position.y - minY;
+        const midY = (sy + ty) / 2;
+        return `  <path d="M ${sx} ${sy} V ${midY} H ${tx} V ${ty}" ${stroke}/>`;
+    });
+
+    const nodeElements = values.map(({ node, label, percentage, width: boxWidth, height: boxHeight }) => {
+        const x = node.position.x - minX;
+        const y = node.position.y - minY;
+        const cx = x + boxWidth / 2;
+        const stroke = node.data.isFaulty ? 'red' : '#777';
+        const strokeWidth = node.data.isFaulty ? 2 : 1;
+        const parts = [
+            `  <g>`,
+            `    <rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" rx="8" ry="8" fill="#fff" stroke="${stroke}" stroke-width="${strokeWidth}"/>`,
+            `    <text x="${cx}" y="${y + (percentage ? 26 : 25)}" font-size="14" text-anchor="middle">${escapeXml(label)}</text>`
+        ];
+        if (percentage) {
+            parts.push(`    <text x="${cx}" y="${y + 44}" font-size="12" fill="#666" text-anchor="middle">${escapeXml(percentage)}</text>`);
+        }
+        parts.push('  </g>');
+        return parts.join('\n');
+    });
+
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+        `  <rect width="100%" height="100%" fill="#fff"/>`,
+        ...edgeElements.filter(Boolean),
+        ...nodeElements,
+        '</svg>',
+        ''
+    ].join('\n');
+
+    return { svg, width, height };
+};
+
+/**
+ * Rasterizes an SVG document to a PNG image
+ * @param {string} svg - SVG source
+ * @param {number} width - SVG width in pixels
+ * @param {number} height - SVG height in pixels
+ * @param {number} scale - Resolution multiplier
+ * @returns {Promise<Blob>} - PNG image
+ */
+export const svgToPng = (svg, width, height, scale = 2) => new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to render PNG'))), 'image/png');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to load SVG for PNG export'));
+    };
+    image.src = url;
+});
@@ -0,0 +1,235 @@
+import { dimensionTypes } from './dimensionClassifier.jsx';
+
+/**
+ * Ways an operand of a faulty contraction is changed
+ */
+export const RepairKind = {
+    // New output order of an inner node, no extra work
+    REORDER: 'reorder',
+    // Permutation node inserted above the operand
+    PERMUTE: 'permute',
+    // Unary node inserted above the operand that sums out indices
+    REDUCE: 'reduce'
+};
+
+/**
+ * Operands with more indices are not searched exhaustively (7! orders)
+ */
+const MAX_SEARCH_INDICES = 6;
+
+/**
+ * Upper bound for the combinations of left and right orders tried per node
+ */
+const MAX_PAIR_CANDIDATES = 5000;
+
+const permutations = (indices) => {
+    if (indices.length <= 1) return [indices];
+    return indices.flatMap((index, i) =>
+        permutations([...indices.slice(0, i), ...indices.slice(i + 1)]).map(rest => [index, ...rest]));
+};
+
+const tensorBytes = (indices, indexSizes, dataTypeSize) =>
+    indices.reduce((product, index) => product * (indexSizes[index] || 1), dataTypeSize);
+
+/**
+ * Element size of a node in bytes
+ * @param {Object} node - Tree node
+ * @param {number|Function} dataTypeSize - Size of the data type in bytes or a function returning it per node
+ * @returns {number} - Size in bytes
+ */
+const elementBytes = (node, dataTypeSize) =>
+    (typeof dataTypeSize === 'function' ? dataTypeSize(node) : dataTypeSize);
+
+const sameOrder = (a, b) => a.length === b.length && a.every((index, i) => index === b[i]);
+
+/**
+ * Finds the problems of a binary contraction that no index order can fix
+ * @param {string[]} node - Output indices
+ * @param {string[]} left - Left operand indices
+ * @param {string[]} right - Right operand indices
+ * @returns {string|null} - Description of the problem or null
+ */
+const findUnrepairableProblem = (node, left, right) => {
+    const duplicated = [node, left, right].find(indices => new Set(indices).size !== indices.length);
+    if (duplicated) {
+        return `indices [${duplicated.join(',')}] contain a repeated index`;
+    }
+    const missing = node.filter(index => !left.includes(index) && !right.includes(index));
+    if (missing.length > 0) {
+        return `output indices ${missing.join(',')} occur in neither operand`;
+    }
+    return null;
+};
+
+/**
+ * Lists the layouts an operand can take, cheapest first. Indices that occur in
+ * neither the output nor the other operand are summed out, which the classifier
+ * requires regardless of the order.
+ * @param {Object} child - Operand node
+ * @param {string[]} node - Output indices of the parent
+ * @param {string[]} other - Indices of the other operand
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number} dataTypeSize - Element size of the operand in bytes, also used by inserted nodes
+ * @returns {Object[]} - Options with indices, kind (null if unchanged) and cost in bytes
+ */
+const operandOptions = (child, node, other, indexSizes, dataTypeSize) => {
+    const kept = child.value.filter(index => node.includes(index) || other.includes(index));
+    const isReduced = kept.length < child.value.length;
+    // Unary nodes already move the whole tensor, changing their output is free
+    const isUnary = child.left && !child.right;
+    const childBytes = tensorBytes(child.value, indexSizes, dataTypeSize);
+
+    let kind;
+    let cost;
+    if (isReduced) {
+        kind = isUnary ? RepairKind.REORDER : RepairKind.REDUCE;
+        cost = isUnary ? 0 : childBytes + tensorBytes(kept, indexSizes, dataTypeSize);
+    } else {
+        kind = child.isLeaf() ? RepairKind.PERMUTE : RepairKind.REORDER;
+        cost = child.isLeaf() ? 2 * childBytes : 0;
+    }
+
+    const base = { indices: kept, kind: isReduced ? kind : null, cost: isReduced ? cost : 0 };
+    const orders = kept.length <= MAX_SEARCH_INDICES ? permutations(kept) : [kept];
+    const alternatives = orders
+        .filter(order => !sameOrder(order, kept))
+        .map(order => ({ indices: order, kind, cost }));
+
+    return [base, ...alternatives];
+};
+
+/**
+ * Checks that reordering the output of an inner node keeps it classifiable
+ */
+const keepsChildValid = (child, option, classify) =>
+    option.kind !== RepairKind.REORDER || !child.left || !child.right ||
+    classify(option.indices, child.left.value, child.right.value) !== null;
+
+/**
+ * Searches the cheapest operand layouts that make a contraction classifiable.
+ * Changing one operand is preferred over changing both.
+ * @returns {Object[]|null} - Chosen left and right options or null if none works
+ */
+const searchOperandLayouts = (node, leftOptions, rightOptions, classify) => {
+    const isValid = (left, right) => classify(node.value, left.indices, right.indices) !== null &&
+        keepsChildValid(node.left, left, classify) &&
+        keepsChildValid(node.right, right, classify);
+
+    const [leftBase, ...leftAlternatives] = leftOptions;
+    const [rightBase, ...rightAlternatives] = rightOptions;
+
+    if (isValid(leftBase, rightBase)) return [leftBase, rightBase];
+
+    const single = [
+        ...leftAlternatives.map(left => [left, rightBase]),
+        ...rightAlternatives.map(right => [leftBase, right])
+    ].sort((a, b) => (a[0].cost + a[1].cost) - (b[0].cost + b[1].cost));
+    const found = single.find(([left, right]) => isValid(left, right));
+    if (found) return found;
+
+    const pairs = leftAlternatives
+        .flatMap(left => rightAlternatives.map(right => [left, right]))
+        .sort((a, b) => (a[0].cost + a[1].cost) - (b[0].cost + b[1].cost))
+        .slice(0, MAX_PAIR_CANDIDATES);
+    return pairs.find(([left, right]) => isValid(left, right)) || null;
+};
+
+/**
+ * Plans the changes that make every binary node of a tree classifiable. Nodes
+ * are visited bottom-up on a copy of their values, so a repair already sees the
+ * new layouts of its operands.
+ * @param {Object} root - Tree root
+ * @param {Object} indexSizes - Index sizes mapping
+ * @param {number|Function} dataTypeSize - Size of the data type in bytes or a function returning it per node
+ * @param {Function} [classify] - Dimension classifier, defaults to dimensionTypes
+ * @returns {Object} - Planned repairs, nodes that cannot be repaired and the total cost in bytes
+ */
+export const findRepairs = (root, indexSizes, dataTypeSize, classify = dimensionTypes) => {
+    const repairs = [];
+    const unrepairable = [];
+
+    // Working copy of the node values, updated as repairs are planned
+    const values = new Map();
+    const view = (node) => node && ({
+        id: node.id,
+        value: values.get(node.id) ?? node.value,
+        left: view(node.left),
+        right: view(node.right),
+        isLeaf: () => node.isLeaf()
+    });
+
+    const visit = (node) => {
+        if (!node) return;
+        visit(node.left);
+        visit(node.right);
+        if (!node.left || !node.right) return;
+
+        const current = view(node);
+        const problem = findUnrepairableProblem(current.value, current.left.value, current.right.value);
+        if (problem) {
+            unrepairable.push({ nodeId: node.id, value: current.value, reason: problem });
+            return;
+        }
+
+        const leftOptions = operandOptions(
+            current.left, current.value, current.right.value, indexSizes, elementBytes(node.left, dataTypeSize)
+        );
+        const rightOptions = operandOptions(
+            current.right, current.value, current.left.value, indexSizes, elementBytes(node.right, dataTypeSize)
+        );
+
+        // Only classify when needed, the classifier reports every failure
+        const needsReduction = leftOptions[0].kind || rightOptions[0].kind;
+        if (!needsReduction && classify(current.value, current.left.value, current.right.value) !== null) return;
+
+        const layouts = searchOperandLayouts(current, leftOptions, rightOptions, classify);
+        if (!layouts) {
+            unrepairable.push({ nodeId: node.id, value: current.value, reason: 'no operand order is classifiable' });
+            return;
+        }
+
+        [[current.left, layouts[0], 'left'], [current.right, layouts[1], 'right']].forEach(([child, option, side]) => {
+            if (!option.kind) return;
+            repairs.push({
+                nodeId: node.id,
+                nodeValue: current.value,
+                side,
+                childId: child.id,
+                kind: option.kind,
+                from: child.value,
+                to: option.indices,
+                cost: option.cost
+            });
+            values.set(child.id, option.indices);
+        });
+    };
+    visit(root);
+
+    return {
+        repairs,
+        unrepairable,
+        totalCost: repairs.reduce((sum, repair) => sum + repair.cost, 0)
+    };
+};
+
+/**
+ * Applies planned repairs to a tree. Reordered nodes get their new output,
+ * permuted and reduced operands get a unary node with the new indices on top.
+ * @param {Tree} tree - Tree to modify, usually a clone
+ * @param {Object[]} repairs - Repairs from findRepairs
+ * @returns {Tree} - The modified tree
+ */
+export const applyRepairs = (tree, repairs) => {
+    repairs.forEach(repair => {
+        // addPermutationNode keeps the id on the new unary node
+        if (repair.kind !== RepairKind.REORDER) {
+            tree.addPermutationNode(repair.childId);
+        }
+        const node = tree.findNode(repair.childId);
+        if (node) {
+            node.value = repair.to;
+            node.string = repair.to.join('');
+        }
+    });
+    return tree;
+};
@@ -0,0 +1,85 @@
+import React, { useMemo, useState } from 'react';
+import { TbX } from "react-icons/tb";
+import { Toast } from '../common/Toast.jsx';
+import { CodeTarget, generateCode, codeFileName } from '../utils/codeGeneration.jsx';
+import { downloadBlob } from '../utils/download.jsx';
+
+const TARGET_LABELS = {
+  [CodeTarget.NUMPY]: 'NumPy',
+  [CodeTarget.TORCH]: 'PyTorch'
+};
+
+/**
+ * Modal dialog showing the generated code for the contraction tree
+ * @param {Object} props - Component props
+ * @param {Object} props.tree - Contraction tree
+ * @param {Object} props.indexSizes - Index sizes mapping
+ * @param {string} props.dataType - Data type of nodes without an override
+ * @param {Function} props.onClose - Callback closing the dialog
+ * @returns {React.Component} CodeExportDialog component
+ */
+const CodeExportDialog = ({ tree, indexSizes, dataType, onClose }) => {
+  const [target, setTarget] = useState(CodeTarget.NUMPY);
+
+  const code = useMemo(() => {
+    try {
+      return generateCode(tree.getRoot(), indexSizes, target, dataType);
+    } catch (error) {
+      console.error('Failed to generate code:', error);
+      return `# ${error.message}`;
+    }
+  }, [tree, indexSizes, target, dataType]);
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(code)
+      .then(() => Toast.show('Code copied to clipboard!'))
+      .catch(err => {
+        console.error('Failed to copy code:', err);
+        Toast.show('Failed to copy code to clipboard');
+      });
+  };
+
+  const handleDownload = () => {
+    downloadBlob(new Blob([code], { type: 'text/x-python' }), codeFileName(target));
+  };
+
+  const buttonClass = "px-4 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-[#61dafb] focus:ring-offset-2";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label="Export Code"
+        className="bg-white rounded-lg shadow-xl w-[min(720px,95vw)] max-h-[90vh] flex flex-col p-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-xl font-semibold">Export Code</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" title="Close">
+            <TbX size={20} />
+          </button>
+        </div>
+        <select
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className="mb-3 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.values(CodeTarget).map(option => (
+            <option key={option} value={option}>{TARGET_LABELS[option]}</option>
+          ))}
+        </select>
+        <textarea
+          readOnly
+          value={code}
+          className="flex-grow min-h-[300px] p-2 font-mono text-sm border border-gray-300 rounded-md bg-gray-50"
+        />
+        <div className="flex justify-end gap-2 mt-3">
+          <button onClick={handleCopy} className={buttonClass}>Copy</button>
+          <button onClick={handleDownload} className={buttonClass}>Download</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CodeExportDialog;
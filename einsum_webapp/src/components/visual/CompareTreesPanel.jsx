@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { formatNumber } from '../utils/formatting.jsx';
+
+const INTEGER_FORMAT = { minimumFractionDigits: 0, maximumFractionDigits: 0 };
+
+/**
+ * Formats the change from a to b as an absolute and relative difference
+ */
+const formatDifference = (a, b, format) => {
+  const difference = b - a;
+  const sign = difference > 0 ? '+' : '';
+  const relative = a !== 0 ? ` (${sign}${formatNumber(difference * 100 / a)} %)` : '';
+  return `${sign}${format(difference)}${relative}`;
+};
+
+/**
+ * Panel to enter a second tree and compare it against the current one
+ * @param {Object} props - Component props
+ * @param {boolean} props.active - Whether compare mode is shown
+ * @param {string} props.currentExpression - Expression of the current tree
+ * @param {Object|null} props.comparison - Result of compareTrees
+ * @param {Function} props.onCompare - Callback receiving the expression of tree B
+ * @param {Function} props.onClose - Callback leaving compare mode
+ * @param {Function} props.formatSize - Formats a size in bytes with the selected unit
+ * @returns {React.Component} CompareTreesPanel component
+ */
+const CompareTreesPanel = ({ active, currentExpression, comparison, onCompare, onClose, formatSize }) => {
+  const [expression, setExpression] = useState('');
+
+  const formatOperations = (value) => formatNumber(value, INTEGER_FORMAT);
+  const rows = comparison ? [
+    ['#Ops', comparison.a.totalOperations, comparison.b.totalOperations, formatOperations],
+    ['Peak Tensor Size', comparison.a.peakTensorSize, comparison.b.peakTensorSize, formatSize],
+    ['Permutation Nodes', comparison.a.permutationNodes, comparison.b.permutationNodes, formatOperations]
+  ] : [];
+  const faultyTrees = comparison
+    ? [['A', comparison.a], ['B', comparison.b]].filter(([, summary]) => summary.faulty).map(([name]) => name)
+    : [];
+  // Differences to a faulty tree would compare against counts that were not calculated
+  const showDifferences = faultyTrees.length === 0;
+
+  return (
+    <CollapsiblePanel title="Compare Trees">
+      <div className="space-y-3">
+        <input
+          type="text"
+          placeholder="Enter einsum tree B"
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex gap-2">
+          <button
+            onClick={() => onCompare(expression)}
+            className="flex-1 px-3 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+          >
+            Compare
+          </button>
+          <button
+            onClick={() => setExpression(currentExpression)}
+            className="flex-1 px-3 py-2 bg-gray-100 text-gray-700 rounded-md border border-gray-200 hover:bg-gray-200"
+          >
+            Use Current Tree
+          </button>
+          {active && (
+            <button
+              onClick={onClose}
+              className="flex-1 px-3 py-2 bg-gray-100 text-gray-700 rounded-md border border-gray-200 hover:bg-gray-200"
+            >
+              Close
+            </button>
+          )}
+        </div>
+
+        {active && comparison && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left">
+                <th></th>
+                <th>Tree A</th>
+                <th>Tree B</th>
+                <th>B - A</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([label, a, b, format]) => (
+                <tr key={label}>
+                  <td className="font-medium">{label}</td>
+                  <td>{format(a)}</td>
+                  <td>{format(b)}</td>
+                  <td className={showDifferences ? (b < a ? 'text-green-700' : b > a ? 'text-red-700' : '') : ''}>
+                    {showDifferences ? formatDifference(a, b, format) : ''}
+                  </td>
+                </tr>
+              ))}
+              <tr>
+                <td className="font-medium">Shared Subtrees</td>
+                <td colSpan={3}>{comparison.shared.count}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+        {active && faultyTrees.length > 0 && (
+          <div className="text-sm text-red-700">
+            {faultyTrees.length > 1
+              ? `Trees ${faultyTrees.join(' and ')} contain faulty nodes, their operation counts are not available.`
+              : `Tree ${faultyTrees[0]} contains faulty nodes, its operation count is not available.`}
+          </div>
+        )}
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default CompareTreesPanel;
@@ -0,0 +1,80 @@
+import React from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import SymbolicSizesNote from './SymbolicSizesNote.jsx';
+import { formatNumber } from '../utils/formatting.jsx';
+
+/**
+ * Panel choosing whether permutation nodes count towards the node percentages
+ * @param {Object} props - Component props
+ * @param {Object} props.costModel - Current cost model, see DEFAULT_COST_MODEL
+ * @param {Function} props.onChange - Callback receiving the changed cost model fields
+ * @param {number|string} props.totalOperations - Arithmetic operations of the tree, exact as a decimal string
+ * @param {number|string} props.totalCost - Operations plus elements moved by permutation nodes
+ * @param {number} props.dataMovementBytes - Data movement in bytes
+ * @param {Function} props.formatSize - Formats a size in bytes with the selected unit
+ * @param {boolean} [props.exceedsSafeInteger] - Whether counts of the tree are shown rounded
+ * @param {string[]} [props.symbolicIndices] - Indices of the tree with symbolic sizes
+ * @returns {React.Component} CostModelPanel component
+ */
+const CostModelPanel = ({ costModel, onChange, totalOperations, totalCost, dataMovementBytes, formatSize, exceedsSafeInteger = false, symbolicIndices = [] }) => {
+  const handlePenaltyChange = (e) => {
+    const value = parseFloat(e.target.value);
+    if (isFinite(value) && value >= 1) {
+      onChange({ stridePenalty: value });
+    }
+  };
+
+  return (
+    <CollapsiblePanel title="Cost Model">
+      <div className="flex items-center mb-2">
+        <div className="mr-4 flex-1">
+          <h3 className="text-lg font-semibold">Cost:</h3>
+          <select
+            value={costModel.includeDataMovement ? 'data' : 'compute'}
+            onChange={(e) => onChange({ includeDataMovement: e.target.value === 'data' })}
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="compute">Compute only</option>
+            <option value="data">Compute + data movement</option>
+          </select>
+        </div>
+        <div className="flex-1">
+          <h3 className="text-lg font-semibold">Stride Penalty:</h3>
+          <input
+            type="number"
+            min="1"
+            step="0.5"
+            value={costModel.stridePenalty}
+            onChange={handlePenaltyChange}
+            className="mt-1 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+      <SymbolicSizesNote indices={symbolicIndices} />
+      <div className="text-lg mb-2">
+        <span className="font-medium">Total Operations:&nbsp;</span>
+        {formatNumber(totalOperations, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+        {exceedsSafeInteger && (
+          <div className="text-sm text-red-600">
+            Counts beyond 2^53 are rounded, the percentages are computed exactly.
+          </div>
+        )}
+      </div>
+      <div className="text-lg mb-2">
+        <span className="font-medium">Permutation Data Movement:&nbsp;</span>
+        {formatSize(dataMovementBytes)}
+      </div>
+      {costModel.includeDataMovement && (
+        <div className="text-lg mb-2">
+          <span className="font-medium">Total Cost:&nbsp;</span>
+          {formatNumber(totalCost, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+          <div className="text-sm text-gray-600">
+            Every element a permutation reads or writes counts as one operation.
+          </div>
+        </div>
+      )}
+    </CollapsiblePanel>
+  );
+};
+
+export default CostModelPanel;
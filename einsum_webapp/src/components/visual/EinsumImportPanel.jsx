@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+
+/**
+ * Panel for importing NumPy-style einsum equations with a contraction path
+ * @param {Object} props - Component props
+ * @param {Function} props.onImport - Callback receiving the equation and the path string
+ * @returns {React.Component} EinsumImportPanel component
+ */
+const EinsumImportPanel = ({ onImport }) => {
+  const [equation, setEquation] = useState('');
+  const [path, setPath] = useState('');
+
+  const handleImport = () => {
+    if (!equation.trim()) return;
+    onImport(equation, path);
+  };
+
+  return (
+    <CollapsiblePanel title="Import NumPy Einsum">
+      <div className="space-y-3">
+        <div>
+          <label htmlFor="einsum-equation" className="block mb-1 text-sm font-medium">
+            Equation:
+          </label>
+          <input
+            id="einsum-equation"
+            type="text"
+            value={equation}
+            onChange={(e) => setEquation(e.target.value)}
+            placeholder="e.g. ab,bc,cd->ad"
+            className="w-full p-2 border border-gray-300 rounded-md"
+          />
+        </div>
+        <div>
+          <label htmlFor="einsum-path" className="block mb-1 text-sm font-medium">
+            Contraction path (optional):
+          </label>
+          <input
+            id="einsum-path"
+            type="text"
+            value={path}
+            onChange={(e) => setPath(e.target.value)}
+            placeholder="e.g. [(0,1),(0,1)]"
+            className="w-full p-2 border border-gray-300 rounded-md"
+          />
+        </div>
+        <div className="text-sm text-gray-500">
+          Without a path, the first two operands are contracted repeatedly.
+        </div>
+        <button
+          onClick={handleImport}
+          className="px-5 py-2 bg-[#1e3a5f] text-white rounded-md w-full transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 "
+        >
+          Import
+        </button>
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default EinsumImportPanel;
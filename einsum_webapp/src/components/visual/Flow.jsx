@@ -2,7 +2,7 @@
  * Core React and ReactFlow Imports
  */
 import React, { useEffect, useState, useCallback, useRef, useMemo } from 'react';
-import ReactFlow, { Background, Controls, Handle, Position, ControlButton, Panel } from 'reactflow';
+import ReactFlow, { Background, Controls, Handle, Position, ControlButton, Panel, useReactFlow } from 'reactflow';
 
 import { createPortal } from 'react-dom';
 import 'reactflow/dist/style.css';
@@ -13,6 +13,9 @@ import '../styles/FlowStyles.css';
  * Component Imports
  */
 import InfoPanel from './InfoPanel.jsx';
+import MetricSizeLegend from './MetricSizeLegend.jsx';
+import PlaybackControls from './PlaybackControls.jsx';
+import MovePreviewPanel from './MovePreviewPanel.jsx';
 import { Toast } from '../common/Toast.jsx';
 
 /**
@@ -25,7 +28,15 @@ import {
   TbPercentage,
   TbHighlight,
   TbCheck,
-  TbBox
+  TbBox,
+  TbDownload,
+  TbArrowBackUp,
+  TbArrowForwardUp,
+  TbArrowsMaximize,
+  TbPalette,
+  TbArrowAutofitWidth,
+  TbMathFunction,
+  TbPlayerPlay
 } from "react-icons/tb";
 
 /**
@@ -33,30 +44,52 @@ import {
  */
 import { LayoutOptionType } from '../utils/constants.jsx';
 import { createShareableUrl } from '../utils/compression.jsx';
-import { scaleLinear } from 'd3-scale';
+import { getColorForPercentage } from '../utils/colors.jsx';
 import { formatNumber } from '../utils/formatting.jsx';
+import { SizeScale, NODE_WIDTH_RANGE, EDGE_WIDTH_RANGE, createMetricScale, legendValues } from '../utils/metricScale.jsx';
+import { PlaybackNodeState, playbackNodeState } from '../utils/playback.jsx';
+import { RotationDirection } from '../utils/einsumContractionTree.jsx';
+import { treeToDot, treeToSvg, svgToPng } from '../utils/treeExport.jsx';
+import { downloadBlob } from '../utils/download.jsx';
 
-/* ====================== Utility Functions ====================== */
+/**
+ * Formats the tree can be exported to
+ */
+const EXPORT_FORMATS = ['DOT', 'SVG', 'PNG'];
+
+/**
+ * Stable default for sharedNodeIds so the node memo is not invalidated
+ */
+const NO_SHARED_NODES = new Set();
+
+/**
+ * Move state while no subtree is dragged onto another node
+ */
+const NO_MOVE = { nodeId: null, targetId: null, preview: null, pending: false };
 
 /**
- * Generates a color based on a percentage value using d3 scale
- * @param {number} percentage - Value between 0 and 100
- * @returns {string} Color in hex format
+ * Ways the selected metric is shown on nodes and edges
  */
-const getColorForPercentage = (percentage) => {
-  const colorScale = scaleLinear()
-    .domain([0, 100])
-    .range(['#add8e6', '#00008b']);
-  return colorScale(percentage);
+const Encoding = {
+  COLOR: 'color',
+  SIZE: 'size'
 };
 
+/**
+ * Metric value of a node that is encoded by size
+ * @param {Object} data - Node data
+ * @param {string} metricType - 'operations' or 'tensorSize'
+ * @returns {number} Operations or tensor size in bytes
+ */
+const encodedValue = (data, metricType) => (metricType === 'operations' ? data?.operations : data?.tensorSize) ?? 0;
+
 /* ====================== Node Component ====================== */
 
 /**
  * Custom node component for the flow diagram
  */
 const NODE_TYPES = {
-  custom: React.memo(({ data }) => {
+  custom: React.memo(({ data, sourcePosition = Position.Bottom, targetPosition = Position.Top }) => {
     const displayData = useMemo(() => {
       const fullLabel = Array.isArray(data.label) ? data.label.join(',') : data.label;
       const maxLength = 14;
@@ -77,18 +110,44 @@ const NODE_TYPES = {
         }
       }
 
-      return { displayLabel, nodeWidth, percentage };
-    }, [data.label, data.showOperations, data.operationsPercentage, data.sizePercentage, data.metricType]);
+      const shownWidth = data.encodedWidth ?? nodeWidth;
+      return { displayLabel, nodeWidth: data.collapsed ? Math.max(shownWidth, 150) : shownWidth, percentage };
+    }, [data.label, data.showOperations, data.operationsPercentage, data.sizePercentage, data.metricType, data.collapsed, data.encodedWidth]);
 
     const isHighlighted = data.isHighlighted;
     const isSearchResult = data.isSearchResult;
 
     const getNodeStyle = () => {
-      if (data.isFaulty) {
+      if (data.dropTarget) {
+        return {
+          background: data.dropTarget === 'valid' ? '#e8f5e9' : '#ffebee',
+          border: `2px dashed ${data.dropTarget === 'valid' ? '#43a047' : '#e53935'}`
+        };
+      } else if (data.playbackState === PlaybackNodeState.ACTIVE) {
+        return {
+          background: '#fff3e0',
+          border: '2px solid #fb8c00'
+        };
+      } else if (data.playbackState === PlaybackNodeState.INPUT) {
+        return {
+          background: '#fff',
+          border: '2px solid #fb8c00'
+        };
+      } else if (data.isFaulty) {
         return {
           background: '#fff',
           border: '2px solid red'
         };
+      } else if (data.isPeakMemory) {
+        return {
+          background: '#f3e5f5',
+          border: '2px solid #9c27b0'
+        };
+      } else if (data.isShared) {
+        return {
+          background: '#e8f5e9',
+          border: '2px solid #43a047'
+        };
       } else if (isSearchResult) {
         return {
           background: '#fff3cd',
@@ -106,15 +165,28 @@ const NODE_TYPES = {
       };
     };
 
-    const nodeStyle = getNodeStyle();
+    // Collapsed subtrees keep their highlight colors with a dashed border
+    const baseStyle = getNodeStyle();
+    const nodeStyle = data.collapsed ? { ...baseStyle, border: baseStyle.border.replace('solid', 'dashed') } : baseStyle;
+
+    /**
+     * Playback dims consumed tensors and intermediates that do not exist yet
+     */
+    const getOpacity = () => {
+      if (data.playbackState === PlaybackNodeState.CONSUMED) return 0.15;
+      if (data.playbackState === PlaybackNodeState.PENDING) return 0.35;
+      if (data.playbackState) return 1;
+      return (isHighlighted || isSearchResult) ? 1 : 0.7;
+    };
 
     return (
       <div style={{
         ...nodeStyle,
-        opacity: (isHighlighted || isSearchResult) ? 1 : 0.7,
+        opacity: getOpacity(),
         borderRadius: '8px',
         width: `${displayData.nodeWidth}px`,
-        height: displayData.percentage ? '60px' : '40px',
+        height: data.collapsed ? 'auto' : (displayData.percentage ? '60px' : '40px'),
+        minHeight: data.collapsed ? '40px' : undefined,
         display: 'flex',
         flexDirection: 'column',
         justifyContent: 'center',
@@ -142,14 +214,27 @@ const NODE_TYPES = {
             {displayData.percentage}
           </div>
         )}
+        {data.collapsed && (
+          <div style={{
+            fontSize: '11px',
+            color: '#444',
+            lineHeight: '14px',
+            padding: '4px 0',
+            textAlign: 'center'
+          }}>
+            <div>{data.collapsed.leafCount} inputs</div>
+            <div>{data.collapsed.operationsLabel} ops</div>
+            <div>max {data.collapsed.largestIntermediateLabel}</div>
+          </div>
+        )}
         <Handle
           type="target"
-          position={Position.Top}
+          position={targetPosition}
           style={{ visibility: 'hidden' }}
         />
         <Handle
           type="source"
-          position={Position.Bottom}
+          position={sourcePosition}
           style={{ visibility: 'hidden' }}
         />
       </div>
@@ -169,11 +254,26 @@ const NODE_TYPES = {
  * @property {Function} onNodeClick - External node click handler
  * @property {Object} tree - Tree data structure with getRoot method
  * @property {Object} indexSizes - Map of index sizes
+ * @property {string|null} peakMemoryNodeId - Node at which the peak working set occurs
  * @property {Function} handleOptionClick - Layout option change handler
  * @property {Function} swapChildren - Function to swap node children
+ * @property {Function} [rotateNode] - Rotates a node in a RotationDirection to change the contraction order
+ * @property {Function} [previewMove] - Cost of contracting a subtree with another node, enables drag and drop moves
+ * @property {Function} [moveSubtree] - Contracts a subtree with another node
  * @property {Function} recalculateTreeAndOperations - Function to recalculate treeoperations
  * @property {Function} addPermutationNode - Function to add permutation node
  * @property {Function} removePermutationNode - Function to remove permutation node
+ * @property {Function} onUndo - Reverts the last tree edit
+ * @property {Function} onRedo - Reapplies the last reverted tree edit
+ * @property {boolean} canUndo - Whether there is an edit to revert
+ * @property {boolean} canRedo - Whether there is an edit to reapply
+ * @property {Set<string>} sharedNodeIds - Nodes of subtrees that also occur in the compared tree
+ * @property {Object|null} initialViewState - Shared highlight set and metric mode to start with
+ * @property {Function} onViewStateChange - Receives the highlight set and metric mode when they change
+ * @property {Function} [onToggleCollapse] - Collapses or expands the subtree of a node id, null expands all
+ * @property {Function} formatSize - Formats a size in bytes with the selected unit
+ * @property {Object|null} playback - Execution steps from createPlayback, enables the playback mode
+ * @property {string[]} [symbolicIndices] - Indices of the tree with symbolic sizes, counted as 1
  */
 
 /* ====================== Flow Component ====================== */
@@ -191,11 +291,26 @@ const Flow = ({
   onNodeClick: propOnNodeClick,
   tree = { getRoot: () => null },
   indexSizes = {},
+  peakMemoryNodeId = null,
   handleOptionClick = () => { },
   swapChildren = () => { },
+  rotateNode,
+  previewMove,
+  moveSubtree,
   recalculateTreeAndOperations,
   addPermutationNode,
-  removePermutationNode
+  removePermutationNode,
+  onUndo = () => { },
+  onRedo = () => { },
+  canUndo = false,
+  canRedo = false,
+  sharedNodeIds = NO_SHARED_NODES,
+  initialViewState = null,
+  onViewStateChange = () => { },
+  onToggleCollapse,
+  formatSize = (size) => `${formatNumber(size)} B`,
+  playback = null,
+  symbolicIndices = []
 }) => {
   /* === State Management === */
 
@@ -205,21 +320,27 @@ const Flow = ({
    * @property {Object|null} hoveredNode - Currently hovered node
    * @property {Object|null} selectedNode - Currently selected node
    * @property {boolean} showPanel - Controls panel visibility
+   * @property {boolean} showExportPanel - Controls export menu visibility
    * @property {boolean} showOperations - Controls operation percentage visibility
    * @property {boolean} showSizes - Controls sizes visibility
    * @property {boolean} hoverEnabled - Controls hover functionality
    * @property {boolean} highlightMode - Controls highlight mode
+   * @property {string} encoding - Whether the metric is shown by edge color or by node and edge size
+   * @property {string} sizeScale - Scale of the size encoding, one of SizeScale
    */
-  const [uiState, setUiState] = useState({
+  const [uiState, setUiState] = useState(() => ({
     hoveredNode: null,
     selectedNode: null,
     showPanel: false,
-    showOperations: false,
+    showExportPanel: false,
+    showOperations: !!initialViewState?.showPercentages,
     showSizes: false,
     hoverEnabled: false,
-    highlightMode: false,
-    metricType: 'operations'
-  });
+    highlightMode: initialViewState?.highlightedNodeIds?.length > 0,
+    metricType: initialViewState?.metricType === 'tensorSize' ? 'tensorSize' : 'operations',
+    encoding: initialViewState?.encoding === Encoding.SIZE ? Encoding.SIZE : Encoding.COLOR,
+    sizeScale: initialViewState?.sizeScale === SizeScale.LINEAR ? SizeScale.LINEAR : SizeScale.LOG
+  }));
 
   /**
    * Search and highlight state
@@ -228,11 +349,11 @@ const Flow = ({
    * @property {Set} searchedNodes - Set of nodes matching search
    * @property {Set} highlightedNodes - Set of highlighted nodes
    */
-  const [searchState, setSearchState] = useState({
+  const [searchState, setSearchState] = useState(() => ({
     searchIndices: '',
     searchedNodes: new Set(),
-    highlightedNodes: new Set()
-  });
+    highlightedNodes: new Set(initialViewState?.highlightedNodeIds || [])
+  }));
 
   /**
    * Tree state for managing node connections and panel positioning
@@ -247,13 +368,38 @@ const Flow = ({
   // Add state to track if panel is visible
   const [isPanelVisible, setPanelVisible] = useState(false);
 
+  /**
+   * Execution playback state
+   * @type {Object}
+   * @property {boolean} active - Whether the playback mode is shown
+   * @property {number} step - Index of the current playback step
+   * @property {boolean} playing - Whether the steps advance by themselves
+   * @property {number} speed - Steps per second
+   */
+  const [playbackState, setPlaybackState] = useState({ active: false, step: 0, playing: false, speed: 1 });
+  const playbackSteps = playback?.steps.length ?? 0;
+
+  /**
+   * Subtree move dragged onto another node
+   * @type {Object}
+   * @property {string|null} nodeId - Root of the dragged subtree
+   * @property {string|null} targetId - Node the subtree is dragged onto
+   * @property {Object|null} preview - Result of previewMove for the target
+   * @property {boolean} pending - Whether the subtree was dropped and the move awaits confirmation
+   */
+  const [moveState, setMoveState] = useState(NO_MOVE);
+
   /* === Refs === */
   const refs = {
     flow: useRef(null),
     timeout: useRef(null),
-    panel: useRef(null)
+    panel: useRef(null),
+    exportPanel: useRef(null),
+    dragOrigin: useRef(null)
   };
 
+  const { getIntersectingNodes } = useReactFlow();
+
 
   /* === Memoized Values === */
 
@@ -261,8 +407,13 @@ const Flow = ({
    * Augments nodes and edges with visual properties for rendering
    * @returns {Object} Object containing augmented nodes and edges
    */
-  const { augmentedNodes, augmentedEdges } = useMemo(() => {
-    if (!nodes.length) return { augmentedNodes: nodes, augmentedEdges: edges };
+  const { augmentedNodes, augmentedEdges, sizeLegend } = useMemo(() => {
+    if (!nodes.length) return { augmentedNodes: nodes, augmentedEdges: edges, sizeLegend: [] };
+
+    const sizeEncoded = uiState.encoding === Encoding.SIZE;
+    const metricValues = sizeEncoded ? nodes.map(node => encodedValue(node.data, uiState.metricType)) : [];
+    const nodeWidth = createMetricScale(metricValues, uiState.sizeScale, NODE_WIDTH_RANGE);
+    const edgeWidth = createMetricScale(metricValues, uiState.sizeScale, EDGE_WIDTH_RANGE);
 
     const modifiedNodes = nodes.map(node => ({
       ...node,
@@ -272,7 +423,17 @@ const Flow = ({
         metricType: uiState.metricType,
         operationsPercentage: node.data?.operationsPercentage ?? null,
         isHighlighted: searchState.highlightedNodes.has(node.id),
-        isSearchResult: searchState.searchedNodes.has(node.id)
+        isSearchResult: searchState.searchedNodes.has(node.id),
+        isPeakMemory: node.id === peakMemoryNodeId,
+        isShared: sharedNodeIds.has(node.id),
+        playbackState: playbackState.active && playback ? playbackNodeState(playback, node.id, playbackState.step) : null,
+        dropTarget: node.id === moveState.targetId ? (moveState.preview?.valid ? 'valid' : 'invalid') : null,
+        encodedWidth: sizeEncoded ? nodeWidth(encodedValue(node.data, uiState.metricType)) : null,
+        collapsed: node.data?.collapsed && {
+          ...node.data.collapsed,
+          operationsLabel: formatNumber(node.data.collapsed.operations, { maximumFractionDigits: 0, minimumFractionDigits: 0 }),
+          largestIntermediateLabel: formatSize(node.data.collapsed.largestIntermediate)
+        }
       }
     }));
 
@@ -286,6 +447,15 @@ const Flow = ({
       };
 
       const sourceNode = nodes.find(n => n.id === edge.source);
+      if (sourceNode?.data && sizeEncoded) {
+        return {
+          ...defaultEdgeStyle,
+          style: {
+            stroke: '#555',
+            strokeWidth: edgeWidth(encodedValue(sourceNode.data, uiState.metricType))
+          }
+        };
+      }
       if (sourceNode?.data) {
         const percentage = uiState.metricType === 'operations' ?
           sourceNode.data.normalizedPercentage :
@@ -304,11 +474,21 @@ const Flow = ({
       return defaultEdgeStyle;
     });
 
+    const formatValue = (value) => (uiState.metricType === 'operations' ?
+      formatNumber(value, { maximumFractionDigits: 0, minimumFractionDigits: 0 }) :
+      formatSize(value));
+
     return {
       augmentedNodes: modifiedNodes,
-      augmentedEdges: modifiedEdges
+      augmentedEdges: modifiedEdges,
+      sizeLegend: legendValues(metricValues, uiState.sizeScale).map(value => ({
+        value,
+        label: formatValue(value),
+        nodeWidth: nodeWidth(value),
+        edgeWidth: edgeWidth(value)
+      }))
     };
-  }, [nodes, edges, uiState.showOperations, searchState.highlightedNodes, searchState.searchedNodes, uiState.metricType]);
+  }, [nodes, edges, uiState.showOperations, searchState.highlightedNodes, searchState.searchedNodes, uiState.metricType, uiState.encoding, uiState.sizeScale, peakMemoryNodeId, sharedNodeIds, formatSize, playback, playbackState.active, playbackState.step, moveState.targetId, moveState.preview]);
 
   /* === Tree Operations === */
 
@@ -600,9 +780,50 @@ const Flow = ({
     const button = event.currentTarget;
     const rect = button.getBoundingClientRect();
     setTreeState(prevState => ({ ...prevState, panelPosition: { x: rect.right + 10, y: rect.top } }));
-    setUiState(prevState => ({ ...prevState, showPanel: !prevState.showPanel }));
+    setUiState(prevState => ({ ...prevState, showPanel: !prevState.showPanel, showExportPanel: false }));
   }, []);
 
+  /**
+   * Handles export control button click events
+   * @param {Event} event - Click event
+   */
+  const handleExportButtonClick = useCallback((event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    setTreeState(prevState => ({ ...prevState, panelPosition: { x: rect.right + 10, y: rect.top } }));
+    setUiState(prevState => ({ ...prevState, showExportPanel: !prevState.showExportPanel, showPanel: false }));
+  }, []);
+
+  /**
+   * Exports the current layout in the given format and downloads it
+   * @param {string} format - One of EXPORT_FORMATS
+   */
+  const handleExport = useCallback((format) => {
+    setUiState(prevState => ({ ...prevState, showExportPanel: false }));
+    if (!nodes.length) {
+      Toast.show("No tree to export");
+      return;
+    }
+
+    const options = { metricType: uiState.metricType, showPercentages: uiState.showOperations };
+    if (format === 'DOT') {
+      downloadBlob(new Blob([treeToDot(nodes, edges, options)], { type: 'text/vnd.graphviz' }), 'einsum_tree.dot');
+      return;
+    }
+
+    const { svg, width, height } = treeToSvg(nodes, edges, options);
+    if (format === 'SVG') {
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'einsum_tree.svg');
+      return;
+    }
+
+    svgToPng(svg, width, height)
+      .then(blob => downloadBlob(blob, 'einsum_tree.png'))
+      .catch(err => {
+        console.error('Failed to export PNG:', err);
+        Toast.show('Failed to export PNG');
+      });
+  }, [nodes, edges, uiState.metricType, uiState.showOperations]);
+
   /**
    * Handles mouse enter events on the panel
    */
@@ -637,6 +858,22 @@ const Flow = ({
     }
   }, [swapChildren, findConnectedNodes]);
 
+  /**
+   * Handles rotating a node
+   * @param {Object} node - Node to rotate
+   * @param {string} direction - One of RotationDirection
+   */
+  const handleRotateNode = useCallback(async (node, direction) => {
+    const updatedTree = await rotateNode(node, direction);
+
+    if (updatedTree) {
+      const updatedConnectedNodes = findConnectedNodes(updatedTree.getRoot(), node);
+
+      setTreeState(prevState => ({ ...prevState, connectedNodes: updatedConnectedNodes }));
+      setUiState(prevState => ({ ...prevState, selectedNode: node }));
+    }
+  }, [rotateNode, findConnectedNodes]);
+
   /**
    * Handle panel close more carefully, preserving state
    */
@@ -649,6 +886,17 @@ const Flow = ({
     }));
   }, []);
 
+  /**
+   * Collapses or expands the subtree of a double clicked node
+   * @param {Event} event - Double click event
+   * @param {Object} node - Double clicked node
+   */
+  const handleNodeDoubleClick = useCallback((event, node) => {
+    if (!onToggleCollapse || !node.data?.left) return;
+    handlePanelClose();
+    onToggleCollapse(node.id);
+  }, [onToggleCollapse, handlePanelClose]);
+
   /* === Effects === */
 
   /**
@@ -656,11 +904,12 @@ const Flow = ({
    */
   useEffect(() => {
     const handleClickOutside = (event) => {
-      const isClickInsidePanel = refs.panel.current && refs.panel.current.contains(event.target);
+      const isClickInsidePanel = [refs.panel, refs.exportPanel]
+        .some(ref => ref.current && ref.current.contains(event.target));
       const isClickOnControlButton = event.target.closest('.react-flow__controls-button');
 
-      if (uiState.showPanel && !isClickInsidePanel && !isClickOnControlButton) {
-        setUiState(prevState => ({ ...prevState, showPanel: false }));
+      if ((uiState.showPanel || uiState.showExportPanel) && !isClickInsidePanel && !isClickOnControlButton) {
+        setUiState(prevState => ({ ...prevState, showPanel: false, showExportPanel: false }));
       }
     };
 
@@ -669,7 +918,20 @@ const Flow = ({
     return () => {
       document.removeEventListener('pointerdown', handleClickOutside, true);
     };
-  }, [uiState.showPanel, indexSizes, refs.panel]);
+  }, [uiState.showPanel, uiState.showExportPanel, indexSizes, refs.panel, refs.exportPanel]);
+
+  /**
+   * Reports the highlight set and metric mode so they can be shared
+   */
+  useEffect(() => {
+    onViewStateChange({
+      metricType: uiState.metricType,
+      showPercentages: uiState.showOperations,
+      highlightedNodeIds: Array.from(searchState.highlightedNodes),
+      encoding: uiState.encoding === Encoding.SIZE ? Encoding.SIZE : undefined,
+      sizeScale: uiState.encoding === Encoding.SIZE ? uiState.sizeScale : undefined
+    });
+  }, [uiState.metricType, uiState.showOperations, uiState.encoding, uiState.sizeScale, searchState.highlightedNodes, onViewStateChange]);
 
   /**
    * Handles layout option click events
@@ -706,6 +968,133 @@ const Flow = ({
     });
   }, []);
 
+  /**
+   * Switches between coloring edges and sizing nodes and edges by the metric
+   */
+  const toggleEncoding = useCallback(() => {
+    setUiState(prevState => ({
+      ...prevState,
+      encoding: prevState.encoding === Encoding.COLOR ? Encoding.SIZE : Encoding.COLOR
+    }));
+  }, []);
+
+  /**
+   * Switches the size encoding between a logarithmic and a linear scale
+   */
+  const toggleSizeScale = useCallback(() => {
+    setUiState(prevState => ({
+      ...prevState,
+      sizeScale: prevState.sizeScale === SizeScale.LOG ? SizeScale.LINEAR : SizeScale.LOG
+    }));
+  }, []);
+
+  /**
+   * Enters or leaves the execution playback, which starts at the first step
+   */
+  const togglePlayback = useCallback(() => {
+    setPlaybackState(prevState => ({ ...prevState, active: !prevState.active, step: 0, playing: false }));
+  }, []);
+
+  /**
+   * Moves the playback to a step and pauses it
+   * @param {number} step - Index of the step
+   */
+  const handlePlaybackStep = useCallback((step) => {
+    setPlaybackState(prevState => ({
+      ...prevState,
+      step: Math.min(Math.max(step, 0), Math.max(playbackSteps - 1, 0)),
+      playing: false
+    }));
+  }, [playbackSteps]);
+
+  /**
+   * Starts or pauses the playback, starting over once the last step was reached
+   */
+  const togglePlaybackPlaying = useCallback(() => {
+    setPlaybackState(prevState => ({
+      ...prevState,
+      playing: !prevState.playing,
+      step: !prevState.playing && prevState.step >= playbackSteps - 1 ? 0 : prevState.step
+    }));
+  }, [playbackSteps]);
+
+  /**
+   * Advances a running playback with the selected speed
+   */
+  useEffect(() => {
+    if (!playbackState.active || !playbackState.playing) return undefined;
+
+    const timer = setTimeout(() => {
+      setPlaybackState(prevState => {
+        const step = prevState.step + 1;
+        return { ...prevState, step: Math.min(step, playbackSteps - 1), playing: step < playbackSteps - 1 };
+      });
+    }, 1000 / playbackState.speed);
+    return () => clearTimeout(timer);
+  }, [playbackState.active, playbackState.playing, playbackState.step, playbackState.speed, playbackSteps]);
+
+  /**
+   * Restarts the playback when the tree changes under it
+   */
+  useEffect(() => {
+    setPlaybackState(prevState => ({ ...prevState, step: 0, playing: false }));
+  }, [playback]);
+
+  /**
+   * Remembers where a dragged node started, it returns there when dropped onto another node
+   * @param {Event} event - Drag start event
+   * @param {Object} node - Dragged node
+   */
+  const handleNodeDragStart = useCallback((event, node) => {
+    refs.dragOrigin.current = { id: node.id, position: node.position };
+    setMoveState(NO_MOVE);
+  }, [refs.dragOrigin]);
+
+  /**
+   * Previews the cost of contracting the dragged subtree with the node it is over
+   * @param {Event} event - Drag event
+   * @param {Object} node - Dragged node
+   */
+  const handleNodeDrag = useCallback((event, node) => {
+    if (!previewMove) return;
+
+    const targetId = getIntersectingNodes(node).find(other => other.id !== node.id)?.id ?? null;
+    if (targetId === moveState.targetId) return;
+    setMoveState({
+      nodeId: node.id,
+      targetId,
+      preview: targetId ? previewMove(node.id, targetId) : null,
+      pending: false
+    });
+  }, [previewMove, getIntersectingNodes, moveState.targetId]);
+
+  /**
+   * Asks to confirm a valid move once the subtree is dropped onto a node
+   * @param {Event} event - Drag stop event
+   * @param {Object} node - Dropped node
+   */
+  const handleNodeDragStop = useCallback((event, node) => {
+    if (!moveState.targetId) return;
+
+    if (refs.dragOrigin.current?.id === node.id) {
+      onNodesChange([{ id: node.id, type: 'position', position: refs.dragOrigin.current.position }]);
+    }
+    if (moveState.preview?.valid) {
+      setMoveState(prevState => ({ ...prevState, pending: true }));
+    } else {
+      Toast.show(moveState.preview?.reason || 'The subtree cannot be moved there');
+      setMoveState(NO_MOVE);
+    }
+  }, [moveState, onNodesChange, refs.dragOrigin]);
+
+  /**
+   * Commits the confirmed subtree move
+   */
+  const handleApplyMove = useCallback(() => {
+    moveSubtree(moveState.nodeId, moveState.targetId);
+    setMoveState(NO_MOVE);
+  }, [moveSubtree, moveState.nodeId, moveState.targetId]);
+
   /* === Render === */
   // Modified to use isPanelVisible
   const activeNode = uiState.selectedNode || uiState.hoveredNode;
@@ -726,6 +1115,11 @@ const Flow = ({
         maxZoom={4}
         style={{ width: '100%', height: '100%' }}
         onNodeClick={handleNodeClick}
+        onNodeDoubleClick={handleNodeDoubleClick}
+        onNodeDragStart={moveSubtree ? handleNodeDragStart : undefined}
+        onNodeDrag={moveSubtree ? handleNodeDrag : undefined}
+        onNodeDragStop={moveSubtree ? handleNodeDragStop : undefined}
+        zoomOnDoubleClick={!onToggleCollapse}
         onNodeMouseEnter={handleNodeMouseEnter}
         onNodeMouseLeave={handleNodeMouseLeave}
         nodesDraggable={true}
@@ -738,6 +1132,26 @@ const Flow = ({
           >
             <TbLayoutDistributeHorizontal />
           </ControlButton>
+          <ControlButton
+            onClick={handleExportButtonClick}
+            title="export tree"
+          >
+            <TbDownload />
+          </ControlButton>
+          <ControlButton
+            onClick={onUndo}
+            disabled={!canUndo}
+            title="undo (Ctrl+Z)"
+          >
+            <TbArrowBackUp />
+          </ControlButton>
+          <ControlButton
+            onClick={onRedo}
+            disabled={!canRedo}
+            title="redo (Ctrl+Shift+Z)"
+          >
+            <TbArrowForwardUp />
+          </ControlButton>
           <ControlButton
             onClick={toggleHoverBehavior}
             className={`hover - toggle ${uiState.hoverEnabled ? 'active' : ''} `}
@@ -781,6 +1195,41 @@ const Flow = ({
 
             )}
           </div>
+          <div className="flex items-center">
+            <ControlButton
+              onClick={toggleEncoding}
+              className={`encoding-toggle ${uiState.encoding === Encoding.SIZE ? 'active' : ''}`}
+              title={uiState.encoding === Encoding.SIZE ? 'show metric by edge color' : 'show metric by node and edge size'}
+            >
+              {uiState.encoding === Encoding.SIZE ? <TbArrowAutofitWidth /> : <TbPalette />}
+            </ControlButton>
+            {uiState.encoding === Encoding.SIZE && (
+              <ControlButton
+                onClick={toggleSizeScale}
+                title={`use ${uiState.sizeScale === SizeScale.LOG ? 'linear' : 'logarithmic'} size scale`}
+              >
+                <TbMathFunction />
+              </ControlButton>
+            )}
+          </div>
+          {playback && (
+            <ControlButton
+              onClick={togglePlayback}
+              disabled={playbackSteps === 0}
+              className={`playback-toggle ${playbackState.active ? 'active' : ''}`}
+              title={playbackState.active ? 'leave execution playback' : 'play execution order'}
+            >
+              <TbPlayerPlay />
+            </ControlButton>
+          )}
+          {onToggleCollapse && nodes.some(node => node.data?.collapsed) && (
+            <ControlButton
+              onClick={() => onToggleCollapse(null)}
+              title="expand all subtrees"
+            >
+              <TbArrowsMaximize />
+            </ControlButton>
+          )}
 
         </Controls>
         <Background variant="dots" gap={12} size={1} />
@@ -802,9 +1251,15 @@ const Flow = ({
                 showSizes={uiState.showSizes}
                 onToggleSizes={handleToggleSizes}
                 swapChildren={handleSwapChildren}
+                rotateNode={rotateNode && handleRotateNode}
+                rotations={rotateNode && tree.canRotate ? {
+                  left: tree.canRotate(activeNode.id, RotationDirection.LEFT),
+                  right: tree.canRotate(activeNode.id, RotationDirection.RIGHT)
+                } : null}
                 recalculateTreeAndOperations={recalculateTreeAndOperations}
                 addPermutationNode={addPermutationNode}
                 removePermutationNode={removePermutationNode}
+                toggleCollapse={onToggleCollapse}
                 isDraggablePanel={true}
               />
             </div>
@@ -834,13 +1289,71 @@ const Flow = ({
           </div>,
           document.body
         )}
+        {uiState.showExportPanel && createPortal(
+          <div
+            ref={refs.exportPanel}
+            className="fixed bg-white border border-gray-200 p-3 w-48 shadow-md rounded-md z-50 text-sm"
+            style={{
+              left: treeState.panelPosition.x,
+              top: treeState.panelPosition.y
+            }}
+          >
+            <h3 className="text-base font-medium mb-1">Export as:</h3>
+            {EXPORT_FORMATS.map(format => (
+              <div
+                key={format}
+                className="cursor-pointer hover:bg-gray-100 rounded p-1.5 text-sm"
+                onClick={() => handleExport(format)}
+              >
+                {format}
+              </div>
+            ))}
+          </div>,
+          document.body
+        )}
+        {playbackState.active && playbackSteps > 0 && (
+          <Panel position="top-center">
+            <PlaybackControls
+              steps={playback.steps}
+              step={playbackState.step}
+              playing={playbackState.playing}
+              speed={playbackState.speed}
+              onStep={handlePlaybackStep}
+              onTogglePlaying={togglePlaybackPlaying}
+              onSpeedChange={(speed) => setPlaybackState(prevState => ({ ...prevState, speed }))}
+              onClose={togglePlayback}
+              formatSize={formatSize}
+              symbolicIndices={symbolicIndices}
+            />
+          </Panel>
+        )}
+        {moveState.targetId && moveState.preview && (
+          <Panel position="bottom-center">
+            <MovePreviewPanel
+              subtree={nodes.find(node => node.id === moveState.nodeId)?.data.label ?? []}
+              target={nodes.find(node => node.id === moveState.targetId)?.data.label ?? []}
+              preview={moveState.preview}
+              pending={moveState.pending}
+              onApply={handleApplyMove}
+              onCancel={() => setMoveState(NO_MOVE)}
+            />
+          </Panel>
+        )}
+        {uiState.encoding === Encoding.SIZE && (
+          <Panel position="top-right">
+            <MetricSizeLegend
+              title={`${uiState.metricType === 'operations' ? 'Operations' : 'Tensor size'} (${uiState.sizeScale === SizeScale.LOG ? 'log' : 'linear'} scale)`}
+              entries={sizeLegend}
+            />
+          </Panel>
+        )}
         <Panel position="bottom-right" className="bg-white shadow-md rounded-md p-2">
           <div className="flex items-center gap-2">
             <input
               type="text"
               value={searchState.searchIndices}
               onChange={(e) => handleSearch(e.target.value)}
-              placeholder="Search indices (e.g. 1,2,3)"
+              placeholder="Search indices (e.g. i,batch)"
               className="p-1 border border-gray-300 rounded text-sm w-48"
             />
             {searchState.searchIndices && (
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { Toast } from '../common/Toast.jsx';
+import { DATA_TYPES } from '../utils/dataTypes.jsx';
+
+/**
+ * Converts cache sizes between bytes (stored) and KiB (edited)
+ */
+const KIB = 1024;
+
+/**
+ * Editor for a single hardware profile
+ * @param {Object} props - Component props
+ * @param {Object} props.profile - Profile to edit
+ * @param {string[]} props.dataTypes - Data types with a peak performance entry
+ * @param {Function} props.onSave - Callback receiving the edited profile
+ * @param {Function} props.onCancel - Callback to close the editor
+ * @returns {React.Component} HardwareProfileEditor component
+ */
+const HardwareProfileEditor = ({ profile, dataTypes, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => ({
+    ...profile,
+    peakFlops: { ...profile.peakFlops },
+    caches: (profile.caches || []).map(cache => ({ ...cache, size: cache.size / KIB }))
+  }));
+
+  const updateCache = (index, key, value) => {
+    setDraft(prev => ({
+      ...prev,
+      caches: prev.caches.map((cache, i) => (i === index ? { ...cache, [key]: value } : cache))
+    }));
+  };
+
+  const handleSave = () => {
+    const numbers = [
+      draft.memoryBandwidth,
+      ...dataTypes.map(type => draft.peakFlops[type]),
+      ...draft.caches.flatMap(cache => [cache.size, cache.bandwidth])
+    ].map(Number);
+
+    if (!draft.name.trim()) {
+      Toast.show('Hardware profile needs a name');
+      return;
+    }
+    if (numbers.some(value => isNaN(value) || value < 0)) {
+      Toast.show('Hardware profile values must be non-negative numbers');
+      return;
+    }
+
+    onSave({
+      ...draft,
+      name: draft.name.trim(),
+      memoryBandwidth: Number(draft.memoryBandwidth),
+      peakFlops: Object.fromEntries(
+        Object.entries(draft.peakFlops).map(([type, value]) => [type, Number(value)])
+      ),
+      caches: draft.caches.map(cache => ({
+        name: cache.name,
+        size: Number(cache.size) * KIB,
+        bandwidth: Number(cache.bandwidth)
+      }))
+    });
+  };
+
+  const inputClass = "w-full p-1 border border-gray-300 rounded-md";
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div>
+        <label htmlFor="profile-name" className="block font-medium">Name:</label>
+        <input
+          id="profile-name"
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+          className={inputClass}
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {dataTypes.map(type => (
+          <div key={type}>
+            <label htmlFor={`peak-${type}`} className="block font-medium">Peak {DATA_TYPES[type]?.label ?? type} (GFLOP/s):</label>
+            <input
+              id={`peak-${type}`}
+              type="number"
+              value={draft.peakFlops[type] ?? 0}
+              onChange={(e) => setDraft(prev => ({
+                ...prev,
+                peakFlops: { ...prev.peakFlops, [type]: e.target.value }
+              }))}
+              className={inputClass}
+            />
+          </div>
+        ))}
+        <div>
+          <label htmlFor="memory-bandwidth" className="block font-medium">Memory Bandwidth (GB/s):</label>
+          <input
+            id="memory-bandwidth"
+            type="number"
+            value={draft.memoryBandwidth}
+            onChange={(e) => setDraft(prev => ({ ...prev, memoryBandwidth: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="font-medium">Caches:</div>
+      {draft.caches.map((cache, index) => (
+        <div key={index} className="flex items-center gap-1">
+          <input
+            type="text"
+            value={cache.name}
+            onChange={(e) => updateCache(index, 'name', e.target.value)}
+            className="w-14 p-1 border border-gray-300 rounded-md"
+            aria-label="cache name"
+          />
+          <input
+            type="number"
+            value={cache.size}
+            onChange={(e) => updateCache(index, 'size', e.target.value)}
+            className="w-24 p-1 border border-gray-300 rounded-md"
+            aria-label="cache size in KiB"
+          />
+          <span>KiB</span>
+          <input
+            type="number"
+            value={cache.bandwidth}
+            onChange={(e) => updateCache(index, 'bandwidth', e.target.value)}
+            className="w-20 p-1 border border-gray-300 rounded-md"
+            aria-label="cache bandwidth in GB/s"
+          />
+          <span>GB/s</span>
+          <button
+            onClick={() => setDraft(prev => ({ ...prev, caches: prev.caches.filter((_, i) => i !== index) }))}
+            className="px-2 text-red-600 hover:text-red-800"
+            title="Remove cache level"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => setDraft(prev => ({
+          ...prev,
+          caches: [...prev.caches, { name: `L${prev.caches.length + 1}`, size: 0, bandwidth: 0 }]
+        }))}
+        className="text-blue-600 hover:text-blue-800"
+      >
+        + Add cache level
+      </button>
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          className="flex-1 px-3 py-1.5 bg-[#1e3a5f] text-white rounded-md shadow-md hover:shadow-lg"
+        >
+          Save Profile
+        </button>
+        <button
+          onClick={onCancel}
+          className="flex-1 px-3 py-1.5 bg-gray-100 text-gray-700 rounded-md border border-gray-200 hover:bg-gray-200"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HardwareProfileEditor;
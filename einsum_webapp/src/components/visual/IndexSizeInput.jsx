@@ -2,12 +2,29 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "../ui/tabs.jsx";
 import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
 import { Toast } from '../common/Toast.jsx';
-
-const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
+import IndexSweep from './IndexSweep.jsx';
+
+/**
+ * Placeholder of indices left symbolic in the bulk input
+ */
+const SYMBOLIC_SIZE = '?';
+
+/**
+ * Panel to edit the index sizes one by one, all at once or as a sweep.
+ * Sizes left empty are symbolic (null) and count as 1 in numeric metrics.
+ * @param {Object} props - Component props
+ * @param {Object} props.indexSizes - Index sizes mapping
+ * @param {Function} props.setIndexSizes - Sets the index sizes
+ * @param {Function} props.onUpdate - Callback receiving the updated sizes
+ * @param {Function} [props.onRunSweep] - Runs a size sweep, enables the sweep tab
+ * @param {Function} [props.formatSize] - Formats a size in bytes with the selected unit
+ * @returns {React.Component} IndexSizeInput component
+ */
+const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate, onRunSweep, formatSize }) => {
   const initializeTempSizes = (sizes) => {
     const temp = {};
     Object.keys(sizes).forEach(key => {
-      temp[key] = sizes[key] || 0; // Default to 0 if undefined
+      temp[key] = sizes[key] === null ? null : sizes[key] || 0; // Default to 0 if undefined
     });
     return temp;
   };
@@ -15,27 +32,27 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
   const sortIndices = (indices) => {
     return indices.sort((a, b) => {
       // First check if both are numbers
-      const numA = parseInt(a, 10);
-      const numB = parseInt(b, 10);
-      if (!isNaN(numA) && !isNaN(numB)) {
-        return numA - numB;
+      const isNumA = /^\d+$/.test(a);
+      const isNumB = /^\d+$/.test(b);
+      if (isNumA && isNumB) {
+        return parseInt(a, 10) - parseInt(b, 10);
       }
 
       // If either is a number, put numbers first
-      if (!isNaN(numA)) return -1;
-      if (!isNaN(numB)) return 1;
+      if (isNumA) return -1;
+      if (isNumB) return 1;
 
-      // Group uppercase and lowercase
-      const isUpperA = /[A-Z]/.test(a);
-      const isUpperB = /[A-Z]/.test(b);
+      // Group names starting with an uppercase and a lowercase letter
+      const isUpperA = /^[A-Z]/.test(a);
+      const isUpperB = /^[A-Z]/.test(b);
 
       // If they're in different groups (upper vs lower)
       if (isUpperA !== isUpperB) {
         return isUpperA ? -1 : 1;
       }
 
-      // Within the same group, sort alphabetically
-      return a.localeCompare(b);
+      // Within the same group, sort alphabetically with numeric suffixes in order (i_2 before i_10)
+      return a.localeCompare(b, undefined, { numeric: true });
     });
   };
 
@@ -74,7 +91,7 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
     }
 
     if (!isEditing) {
-      const sortedSizes = sortedIndices.map(index => indexSizes[index]);
+      const sortedSizes = sortedIndices.map(index => indexSizes[index] ?? SYMBOLIC_SIZE);
       setBulkInput(sortedSizes.join(', '));
     }
   }, [indexSizes, isEditing, sortedIndices, checkNeedsUpdate, tempIndexSizes]);  // Remove tempIndexSizes from dependencies
@@ -83,7 +100,8 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
     const numValue = parseInt(value, 10);
     setTempIndexSizes(prev => ({
       ...prev,
-      [index]: isNaN(numValue) ? 0 : numValue
+      // An empty field leaves the size symbolic
+      [index]: value === '' ? null : isNaN(numValue) ? 0 : numValue
     }));
   };
 
@@ -118,6 +136,10 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
 
         const newSizes = {};
         sortedIndices.forEach((index, i) => {
+          if (values[i] === SYMBOLIC_SIZE) {
+            newSizes[index] = null;
+            return;
+          }
           const numValue = parseInt(values[i], 10);
           if (isNaN(numValue)) {
             throw new Error(`Invalid number: ${values[i]}`);
@@ -138,7 +160,7 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
   return (
     <CollapsiblePanel title="Tensor Sizes">
       <Tabs defaultValue="individual" className="w-full" onValueChange={setActiveTab} >
-        <TabsList className="grid w-full grid-cols-2 mb-4 bg-gray-100 p-1 rounded-lg">
+        <TabsList className={`grid w-full ${onRunSweep ? 'grid-cols-3' : 'grid-cols-2'} mb-4 bg-gray-100 p-1 rounded-lg`}>
           <TabsTrigger
             value="individual"
             className="data-[state=active]:bg-white data-[state=active]:shadow-md py-2 rounded-md"
@@ -151,6 +173,14 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
           >
             Bulk Input
           </TabsTrigger>
+          {onRunSweep && (
+            <TabsTrigger
+              value="sweep"
+              className="data-[state=active]:bg-white data-[state=active]:shadow-md py-2 rounded-md"
+            >
+              Sweep
+            </TabsTrigger>
+          )}
         </TabsList>
 
         <TabsContent value="individual">
@@ -161,13 +191,17 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
                 <input
                   id={`index-${index}`}
                   type="number"
-                  value={tempIndexSizes[index] ?? 0} // Add fallback value
+                  value={tempIndexSizes[index] ?? ''}
+                  placeholder={index}
                   onChange={(e) => handleInputChange(index, e.target.value)}
                   className="w-20 p-1 border border-gray-300 rounded-md"
                 />
               </div>
             ))}
           </div>
+          <div className="mt-2 text-sm text-gray-500">
+            Leave a size empty to keep it symbolic in the cost formulas, numeric metrics count it as 1.
+          </div>
         </TabsContent>
 
         <TabsContent value="bulk">
@@ -183,7 +217,7 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
                     value={bulkInput}
                     onChange={handleBulkInputChange}
                     onFocus={() => setIsEditing(true)}
-                    placeholder="e.g., 2,3,4 or 2 3 4"
+                    placeholder={`e.g., 2,3,4 or 2 3 4, ${SYMBOLIC_SIZE} leaves a size symbolic`}
                     className="w-full p-2 border border-gray-300 rounded-md"
                   />
                 </div>
@@ -194,9 +228,17 @@ const IndexSizeInput = ({ indexSizes, setIndexSizes, onUpdate }) => {
             )}
           </div>
         </TabsContent>
+
+        {onRunSweep && (
+          <TabsContent value="sweep">
+            {sortedIndices.length > 0 && (
+              <IndexSweep indices={sortedIndices} onRunSweep={onRunSweep} formatSize={formatSize} />
+            )}
+          </TabsContent>
+        )}
       </Tabs>
 
-      {sortedIndices.length > 0 && (
+      {sortedIndices.length > 0 && activeTab !== 'sweep' && (
         <button
           onClick={handleUpdateSizes}
           className="mt-4 px-5 py-2 bg-[#1e3a5f] text-white rounded-md w-full transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 "
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { scaleLinear, scaleLog } from 'd3-scale';
+import { SweepScale, createSweepValues, sweepToCsv } from '../utils/indexSweep.jsx';
+import { formatNumber } from '../utils/formatting.jsx';
+import { downloadBlob } from '../utils/download.jsx';
+
+const PLOT_WIDTH = 360;
+const PLOT_HEIGHT = 220;
+const MARGIN = { top: 10, right: 10, bottom: 30, left: 55 };
+
+const SERIES_COLORS = ['#1976d2', '#d32f2f', '#388e3c', '#f57c00', '#7b1fa2', '#0097a7', '#5d4037', '#c2185b'];
+
+/**
+ * Plotted quantities of a sweep point
+ */
+const METRICS = {
+  operations: {
+    label: 'Total Operations',
+    value: (point) => point.totalOperations
+  },
+  peakTensorSize: {
+    label: 'Peak Tensor Size',
+    value: (point) => point.peakTensorSize
+  },
+  dominantShare: {
+    label: 'Largest Node Share (%)',
+    value: (point) => point.dominantNode?.share ?? 0
+  }
+};
+
+const SCALE_LABELS = {
+  [SweepScale.LINEAR]: 'Linear',
+  [SweepScale.POWERS_OF_TWO]: 'Powers of two'
+};
+
+const createRange = (index) => ({ index, start: 16, end: 256, step: 16, scale: SweepScale.POWERS_OF_TWO });
+
+/**
+ * Line plot of one metric over the first swept index, one line per value of the second
+ * @param {Object} props - Component props
+ * @param {Object} props.sweep - Result of runSweep
+ * @param {string} props.metric - Key of METRICS
+ * @param {boolean} props.logX - Whether the swept sizes are powers of two
+ * @param {Function} props.formatSize - Formats a size in bytes with the selected unit
+ * @returns {React.Component} SweepPlot component
+ */
+const SweepPlot = ({ sweep, metric, logX, formatSize }) => {
+  const [outerIndex, innerIndex] = sweep.indices;
+  const { value } = METRICS[metric];
+  const points = sweep.points.filter(point => !point.faulty);
+
+  const series = new Map();
+  points.forEach(point => {
+    const key = innerIndex ? point.sizes[innerIndex] : null;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push(point);
+  });
+
+  const xValues = points.map(point => point.sizes[outerIndex]);
+  const yValues = points.map(value);
+  const useLogY = metric !== 'dominantShare' && Math.min(...yValues) > 0;
+
+  const x = (logX ? scaleLog().base(2) : scaleLinear())
+    .domain([Math.min(...xValues), Math.max(...xValues, Math.min(...xValues) + 1)])
+    .range([MARGIN.left, PLOT_WIDTH - MARGIN.right]);
+  const y = (useLogY ? scaleLog() : scaleLinear())
+    .domain(useLogY ? [Math.min(...yValues), Math.max(...yValues) * 1.1] : [0, Math.max(...yValues, 1) * 1.1])
+    .range([PLOT_HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  const formatY = (tick) => (metric === 'peakTensorSize' ? formatSize(tick) : formatNumber(tick, { maximumFractionDigits: 0, minimumFractionDigits: 0 }));
+  const yTicks = useLogY ? y.ticks(4).filter(tick => Number.isInteger(Math.log10(tick))) : y.ticks(4);
+  const xTicks = logX ? [...new Set(xValues)] : x.ticks(5);
+
+  return (
+    <svg width={PLOT_WIDTH} height={PLOT_HEIGHT} className="bg-white">
+      <line x1={MARGIN.left} y1={PLOT_HEIGHT - MARGIN.bottom} x2={PLOT_WIDTH - MARGIN.right} y2={PLOT_HEIGHT - MARGIN.bottom} stroke="#555" />
+      <line x1={MARGIN.left} y1={MARGIN.top} x2={MARGIN.left} y2={PLOT_HEIGHT - MARGIN.bottom} stroke="#555" />
+      {xTicks.map(tick => (
+        <text key={`x${tick}`} x={x(tick)} y={PLOT_HEIGHT - MARGIN.bottom + 12} fontSize="9" textAnchor="middle">
+          {tick}
+        </text>
+      ))}
+      {yTicks.map(tick => (
+        <text key={`y${tick}`} x={MARGIN.left - 4} y={y(tick) + 3} fontSize="9" textAnchor="end">
+          {formatY(tick)}
+        </text>
+      ))}
+      <text x={(PLOT_WIDTH + MARGIN.left) / 2} y={PLOT_HEIGHT - 4} fontSize="10" textAnchor="middle">
+        Size of {outerIndex}
+      </text>
+
+      {[...series.entries()].map(([key, seriesPoints], seriesIndex) => {
+        const color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+        const path = seriesPoints
+          .map((point, i) => `${i === 0 ? 'M' : 'L'}${x(point.sizes[outerIndex])},${y(value(point))}`)
+          .join(' ');
+        return (
+          <g key={String(key)}>
+            <path d={path} fill="none" stroke={color} strokeWidth="1.5" />
+            {seriesPoints.map(point => (
+              <circle key={point.sizes[outerIndex]} cx={x(point.sizes[outerIndex])} cy={y(value(point))} r={3} fill={color}>
+                <title>
+                  {`${Object.entries(point.sizes).map(([index, size]) => `${index}=${size}`).join(', ')}: ` +
+                    `${METRICS[metric].label} ${metric === 'peakTensorSize' ? formatSize(value(point)) : formatNumber(value(point))}` +
+                    (point.dominantNode ? `, largest node [${point.dominantNode.value.join(',')}]` : '')}
+                </title>
+              </circle>
+            ))}
+            {key !== null && (
+              <text
+                x={PLOT_WIDTH - MARGIN.right}
+                y={MARGIN.top + 10 * (seriesIndex + 1)}
+                fontSize="9"
+                textAnchor="end"
+                fill={color}
+              >
+                {innerIndex}={key}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Sweep mode of the tensor size input: one or two indices take a range of sizes
+ * and the metrics of the tree are plotted over the swept size
+ * @param {Object} props - Component props
+ * @param {string[]} props.indices - Indices of the tree
+ * @param {Function} props.onRunSweep - Runs the sweeps [{index, values}], returns the result of runSweep or null
+ * @param {Function} props.formatSize - Formats a size in bytes with the selected unit
+ * @returns {React.Component} IndexSweep component
+ */
+const IndexSweep = ({ indices, onRunSweep, formatSize }) => {
+  const [ranges, setRanges] = useState(() => [createRange(indices[0] ?? ''), createRange(indices[1] ?? indices[0] ?? '')]);
+  const [useSecond, setUseSecond] = useState(false);
+  const [metric, setMetric] = useState('operations');
+  const [result, setResult] = useState(null);
+
+  const updateRange = (position, key, value) => {
+    setRanges(prev => prev.map((range, i) => (i === position ? { ...range, [key]: value } : range)));
+  };
+
+  const handleRun = () => {
+    const active = useSecond ? ranges : ranges.slice(0, 1);
+    const sweeps = active.map(range => ({
+      index: range.index,
+      values: createSweepValues({
+        start: Number(range.start),
+        end: Number(range.end),
+        step: Number(range.step),
+        scale: range.scale
+      })
+    }));
+    const sweep = onRunSweep(sweeps);
+    setResult(sweep && { ...sweep, logX: active[0].scale === SweepScale.POWERS_OF_TWO });
+  };
+
+  const handleExport = () => {
+    downloadBlob(new Blob([sweepToCsv(result)], { type: 'text/csv' }), `einsum_sweep_${result.indices.join('_')}.csv`);
+  };
+
+  const inputClass = "w-full p-1 border border-gray-300 rounded-md";
+  const buttonClass = "px-5 py-2 bg-[#1e3a5f] text-white rounded-md w-full transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2";
+
+  const renderRange = (range, position) => (
+    <div key={position} className="grid grid-cols-5 gap-2 items-end text-sm">
+      <label className="block">
+        Index
+        <select value={range.index} onChange={(e) => updateRange(position, 'index', e.target.value)} className={inputClass}>
+          {indices.map(index => <option key={index} value={index}>{index}</option>)}
+        </select>
+      </label>
+      <label className="block">
+        From
+        <input type="number" min="1" value={range.start} onChange={(e) => updateRange(position, 'start', e.target.value)} className={inputClass} />
+      </label>
+      <label className="block">
+        To
+        <input type="number" min="1" value={range.end} onChange={(e) => updateRange(position, 'end', e.target.value)} className={inputClass} />
+      </label>
+      <label className="block">
+        Step
+        <input
+          type="number"
+          min="1"
+          value={range.step}
+          disabled={range.scale === SweepScale.POWERS_OF_TWO}
+          onChange={(e) => updateRange(position, 'step', e.target.value)}
+          className={`${inputClass} disabled:opacity-50`}
+        />
+      </label>
+      <label className="block">
+        Scale
+        <select value={range.scale} onChange={(e) => updateRange(position, 'scale', e.target.value)} className={inputClass}>
+          {Object.values(SweepScale).map(scale => <option key={scale} value={scale}>{SCALE_LABELS[scale]}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      {renderRange(ranges[0], 0)}
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={useSecond} onChange={(e) => setUseSecond(e.target.checked)} />
+        Sweep a second index
+      </label>
+      {useSecond && renderRange(ranges[1], 1)}
+      <button onClick={handleRun} className={buttonClass}>Run Sweep</button>
+
+      {result && result.points.length > 0 && (
+        <>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(METRICS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <div className="overflow-x-auto">
+            <SweepPlot
+              sweep={result}
+              metric={metric}
+              logX={result.logX}
+              formatSize={formatSize}
+            />
+          </div>
+          {result.points.some(point => point.faulty) && (
+            <div className="text-sm text-red-600">Points with faulty contractions are left out of the plot.</div>
+          )}
+          <button onClick={handleExport} className={buttonClass}>Export CSV</button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default IndexSweep;
@@ -1,8 +1,13 @@
 import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import SimpleTensorTree from './SimpleTensorTree.jsx';
 import { dimensionTypes } from '../utils/dimensionClassifier.jsx';
-import { TbArrowsExchange, TbArrowsShuffle, TbX } from "react-icons/tb";
+import { createLoopNest, formatLoopNest } from '../utils/loopNest.jsx';
+import { evaluatePolynomial, formatPolynomial, formulasToLatex, substitutePolynomial } from '../utils/polynomial.jsx';
+import { formatNumber } from '../utils/formatting.jsx';
+import { TbArrowsExchange, TbArrowsMaximize, TbArrowsMinimize, TbArrowsShuffle, TbCode, TbMath, TbRotate2, TbRotateClockwise2, TbX } from "react-icons/tb";
 import useDeviceSize from '../utils/useDeviceSize.jsx';
+import { Toast } from '../common/Toast.jsx';
+import { RotationDirection } from '../utils/einsumContractionTree.jsx';
 
 import { isEqual } from "lodash";
 
@@ -19,9 +24,12 @@ import { isEqual } from "lodash";
  * @param {boolean} props.showSizes - Toggle between showing indices or sizes
  * @param {Function} props.onToggleSizes - Function to toggle size display
  * @param {Function} props.swapChildren - Function to swap left and right children
+ * @param {Function} [props.rotateNode] - Function to rotate the node in a RotationDirection
+ * @param {Object} [props.rotations] - Whether the node can be rotated {left, right}
  * @param {Function} props.recalculateTreeAndOperations - Function to recalculate tree layout
  * @param {Function} props.addPermutationNode - Function to add permutation node
  * @param {Function} props.removePermutationNode - Function to remove permutation node
+ * @param {Function} [props.toggleCollapse] - Function to collapse or expand the subtree of a node id
  * @param {boolean} props.isDraggablePanel - Whether the panel should be draggable
  * @param {Function} props.onMouseEnter - Mouse enter handler
  * @param {Function} props.onMouseLeave - Mouse leave handler
@@ -35,9 +43,12 @@ const InfoPanel = ({
   showSizes,
   onToggleSizes,
   swapChildren,
+  rotateNode,
+  rotations,
   recalculateTreeAndOperations,
   addPermutationNode,
   removePermutationNode,
+  toggleCollapse,
   className = "",
   isDraggablePanel = false,
   onMouseEnter,
@@ -48,6 +59,7 @@ const InfoPanel = ({
   const [position, setPosition] = useState({ x: 0, y: 0 });
   const [isDragging, setIsDragging] = useState(false);
   const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
+  const [showLoopNest, setShowLoopNest] = useState(false);
   const panelRef = useRef(null);
   const prevConnectedNodesRef = useRef(connectedNodes);
 
@@ -78,6 +90,51 @@ const InfoPanel = ({
     return true;
   }, [dimTypes]);
 
+  const loopNest = useMemo(() => {
+    if (!showLoopNest || isEmptyDimTypes) return '';
+    return formatLoopNest(createLoopNest(
+      connectedNodes.value, connectedNodes.left?.value, connectedNodes.right?.value, dimTypes, indexSizes
+    ));
+  }, [showLoopNest, isEmptyDimTypes, connectedNodes.value, connectedNodes.left?.value, connectedNodes.right?.value, dimTypes, indexSizes]);
+
+  // Cost formulas and exact counts annotated by calculateNodeMetrics
+  const formulas = useMemo(() => [
+    { label: 'Operations', polynomial: node.data.symbolicOperations, exact: node.data.exactOperations },
+    { label: 'Tensor Size (Bytes)', polynomial: node.data.symbolicTensorSize, exact: node.data.exactTensorSize },
+    { label: 'Byte Accesses', polynomial: node.data.symbolicAccessedBytes }
+  ].filter(formula => formula.polynomial), [
+    node.data.symbolicOperations, node.data.symbolicTensorSize, node.data.symbolicAccessedBytes,
+    node.data.exactOperations, node.data.exactTensorSize
+  ]);
+
+  /**
+   * Evaluates a formula with the current sizes, keeping the indices left symbolic
+   * @param {Object} polynomial - Cost formula
+   * @param {string} [exact] - Exact value of the formula, the evaluated number may have overflowed
+   * @returns {string} - Value or the formula in the symbolic indices
+   */
+  const evaluateFormula = (polynomial, exact) => {
+    const value = evaluatePolynomial(polynomial, indexSizes);
+    if (value !== null) {
+      return formatNumber(exact ?? value, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+    }
+    return formatPolynomial(substitutePolynomial(polynomial, indexSizes));
+  };
+
+  /**
+   * Copies the cost formulas of the node as LaTeX
+   * @param {Event} e - Click event
+   */
+  const handleCopyLatex = (e) => {
+    e.stopPropagation();
+    navigator.clipboard.writeText(formulasToLatex(formulas))
+      .then(() => Toast.show('LaTeX copied to clipboard!'))
+      .catch(err => {
+        console.error('Failed to copy LaTeX:', err);
+        Toast.show('Failed to copy LaTeX to clipboard');
+      });
+  };
+
   /**
    * Calculates the size of a dimension based on its indices
    * @param {Array} indices - Array of index identifiers
@@ -173,6 +230,16 @@ const InfoPanel = ({
     await swapChildren(node);
   }, [swapChildren, node]);
 
+  /**
+   * Handles rotating the node, which changes the contraction order below it
+   * @param {Event} e - Click event
+   * @param {string} direction - One of RotationDirection
+   */
+  const handleRotate = useCallback(async (e, direction) => {
+    e.stopPropagation();
+    await rotateNode(node, direction);
+  }, [rotateNode, node]);
+
   /**
    * Handles addition of permutation node
    * @param {Event} e - Click event
@@ -193,6 +260,16 @@ const InfoPanel = ({
     onClose(); // Close panel after removing
   }, [removePermutationNode, node, onClose]);
 
+  /**
+   * Handles collapsing or expanding the subtree of the node
+   * @param {Event} e - Click event
+   */
+  const handleToggleCollapse = useCallback((e) => {
+    e.stopPropagation();
+    onClose();
+    toggleCollapse(node.id);
+  }, [toggleCollapse, node, onClose]);
+
   /**
    * Handles changes in indices for nodes
    * @param {string} nodeId - ID of the node being modified
@@ -324,6 +401,34 @@ const InfoPanel = ({
           </button>
         )}
 
+        {rotateNode && rotations?.right && (
+          <button
+            className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 
+                          hover:bg-gray-100 text-gray-700 rounded-md 
+                          transition-all shadow-sm border border-gray-200
+                          hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-300"
+            onClick={(e) => handleRotate(e, RotationDirection.RIGHT)}
+            title="Contract the right child with the right operand of the left child first: (A·B)·C to A·(B·C)"
+          >
+            <TbRotateClockwise2 size={dimensions.fontSize} />
+            <span className="text-sm font-medium">Rotate Right</span>
+          </button>
+        )}
+
+        {rotateNode && rotations?.left && (
+          <button
+            className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 
+                          hover:bg-gray-100 text-gray-700 rounded-md 
+                          transition-all shadow-sm border border-gray-200
+                          hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-300"
+            onClick={(e) => handleRotate(e, RotationDirection.LEFT)}
+            title="Contract the left child with the left operand of the right child first: A·(B·C) to (A·B)·C"
+          >
+            <TbRotate2 size={dimensions.fontSize} />
+            <span className="text-sm font-medium">Rotate Left</span>
+          </button>
+        )}
+
         {!node.data.deleteAble && (
           <button
             className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 
@@ -351,6 +456,20 @@ const InfoPanel = ({
             <span className="text-sm font-medium">Remove Permutation</span>
           </button>
         )}
+
+        {toggleCollapse && node.data.left && (
+          <button
+            className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 
+                          hover:bg-gray-100 text-gray-700 rounded-md 
+                          transition-all shadow-sm border border-gray-200
+                          hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-300"
+            onClick={handleToggleCollapse}
+            title={node.data.collapsed ? 'Show the nodes of this subtree' : 'Show this subtree as a single node'}
+          >
+            {node.data.collapsed ? <TbArrowsMaximize size={dimensions.fontSize} /> : <TbArrowsMinimize size={dimensions.fontSize} />}
+            <span className="text-sm font-medium">{node.data.collapsed ? 'Expand Subtree' : 'Collapse Subtree'}</span>
+          </button>
+        )}
       </div>
 
       {!isEmptyDimTypes && (
@@ -434,6 +553,59 @@ const InfoPanel = ({
               })}
             </tbody>
           </table>
+          <button
+            className="flex items-center gap-2 mx-auto mt-2 px-3 py-1.5 bg-gray-50 
+                          hover:bg-gray-100 text-gray-700 rounded-md 
+                          transition-all shadow-sm border border-gray-200
+                          hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-300"
+            onClick={(e) => {
+              e.stopPropagation();
+              setShowLoopNest(prev => !prev);
+            }}
+            title="Show the loops and the primitive call implied by the classification"
+          >
+            <TbCode size={dimensions.fontSize} />
+            <span className="text-sm font-medium">{showLoopNest ? 'Hide Loop Nest' : 'Show Loop Nest'}</span>
+          </button>
+          {showLoopNest && (
+            <pre className="mt-2 p-2 bg-gray-50 border border-gray-200 rounded-md text-xs font-mono overflow-x-auto select-text">
+              {loopNest}
+            </pre>
+          )}
+        </div>
+      )}
+
+      {formulas.length > 0 && (
+        <div className="w-full overflow-x-auto mt-2">
+          <table className="w-full border-collapse rounded-lg overflow-hidden shadow-sm text-sm select-text">
+            <thead>
+              <tr className="bg-gray-50">
+                <th className="py-2 px-3 text-left font-semibold text-gray-700 border-b border-gray-200">Cost</th>
+                <th className="py-2 px-3 text-left font-semibold text-gray-700 border-b border-gray-200">Formula</th>
+                <th className="py-2 px-3 text-right font-semibold text-gray-700 border-b border-gray-200">Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {formulas.map(({ label, polynomial, exact }, index) => (
+                <tr key={label} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                  <td className="py-1 px-3 border-b border-gray-100 text-gray-700">{label}</td>
+                  <td className="py-1 px-3 border-b border-gray-100 font-mono text-gray-700">{formatPolynomial(polynomial)}</td>
+                  <td className="py-1 px-3 border-b border-gray-100 font-mono text-gray-700 text-right">{evaluateFormula(polynomial, exact)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            className="flex items-center gap-2 mx-auto mt-2 px-3 py-1.5 bg-gray-50 
+                          hover:bg-gray-100 text-gray-700 rounded-md 
+                          transition-all shadow-sm border border-gray-200
+                          hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-300"
+            onClick={handleCopyLatex}
+            title="Copy the cost formulas as a LaTeX align environment"
+          >
+            <TbMath size={dimensions.fontSize} />
+            <span className="text-sm font-medium">Copy LaTeX</span>
+          </button>
         </div>
       )}
     </div>
@@ -451,7 +623,10 @@ export default React.memo(InfoPanel, (prevProps, nextProps) =>
   prevProps.onToggleSizes === nextProps.onToggleSizes &&
   isEqual(prevProps.node, nextProps.node) &&
   prevProps.swapChildren === nextProps.swapChildren &&
+  prevProps.rotateNode === nextProps.rotateNode &&
+  isEqual(prevProps.rotations, nextProps.rotations) &&
   prevProps.addPermutationNode === nextProps.addPermutationNode &&
   prevProps.removePermutationNode === nextProps.removePermutationNode &&
+  prevProps.toggleCollapse === nextProps.toggleCollapse &&
   prevProps.setConnectedNodes === nextProps.setConnectedNodes
 );
\ No newline at end of file
@@ -0,0 +1,63 @@
+import React from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import SymbolicSizesNote from './SymbolicSizesNote.jsx';
+import { EvaluationOrder } from '../utils/memoryAnalysis.jsx';
+
+/**
+ * Human readable names of the evaluation orders
+ */
+const ORDER_LABELS = {
+  [EvaluationOrder.LEFT_FIRST]: 'Left child first',
+  [EvaluationOrder.RIGHT_FIRST]: 'Right child first',
+  [EvaluationOrder.MEMORY_MINIMIZING]: 'Memory minimizing'
+};
+
+/**
+ * Panel showing the peak working set of the contraction tree
+ * @param {Object} props - Component props
+ * @param {Object} props.analysis - Result of simulateMemory
+ * @param {string} props.order - Selected evaluation order
+ * @param {Function} props.onOrderChange - Callback receiving the new evaluation order
+ * @param {Function} props.formatSize - Formats a size in bytes with the selected unit
+ * @param {string[]} [props.symbolicIndices] - Indices of the tree with symbolic sizes
+ * @returns {React.Component} MemoryAnalysisPanel component
+ */
+const MemoryAnalysisPanel = ({ analysis, order, onOrderChange, formatSize, symbolicIndices = [] }) => {
+  const peakStep = analysis.steps[analysis.peakStep];
+
+  return (
+    <CollapsiblePanel title="Memory Analysis">
+      <div className="mb-2">
+        <h3 className="text-lg font-semibold">Evaluation Order:</h3>
+        <select
+          value={order}
+          onChange={(e) => onOrderChange(e.target.value)}
+          className="mt-1 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {Object.values(EvaluationOrder).map(option => (
+            <option key={option} value={option}>{ORDER_LABELS[option]}</option>
+          ))}
+        </select>
+      </div>
+      <SymbolicSizesNote indices={symbolicIndices} />
+      <div className="text-lg mb-2">
+        <span className="font-medium">Peak Working Set:&nbsp;</span>
+        {formatSize(analysis.peakBytes)}
+      </div>
+      {peakStep && (
+        <>
+          <div className="text-lg mb-2">
+            <span className="font-medium">Peak at Step:&nbsp;</span>
+            {analysis.peakStep + 1} / {analysis.steps.length}
+          </div>
+          <div className="text-lg mb-2">
+            <span className="font-medium">Peak Node:&nbsp;</span>
+            {peakStep.value.join(',')}
+          </div>
+        </>
+      )}
+    </CollapsiblePanel>
+  );
+};
+
+export default MemoryAnalysisPanel;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { NODE_WIDTH_RANGE } from '../utils/metricScale.jsx';
+
+/**
+ * Share of the node width drawn in the legend, full widths would crowd the view
+ */
+const LEGEND_NODE_SCALE = 0.5;
+
+/**
+ * Legend of the size encoding: maps node widths and edge thicknesses to metric values
+ * @param {Object} props - Component props
+ * @param {string} props.title - Encoded metric and scale
+ * @param {Object[]} props.entries - Legend rows {value, label, nodeWidth, edgeWidth}
+ * @returns {React.Component} MetricSizeLegend component
+ */
+const MetricSizeLegend = ({ title, entries }) => (
+  <div className="bg-white shadow-md rounded-md p-2 text-xs text-gray-700">
+    <div className="font-medium mb-1">{title}</div>
+    {entries.length === 0 ? (
+      <div className="text-gray-500">No nonzero values</div>
+    ) : (
+      <table>
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-normal pr-2">Edge</th>
+            <th className="text-left font-normal pr-2">Node</th>
+            <th className="text-right font-normal">Value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(({ value, label, nodeWidth, edgeWidth }) => (
+            <tr key={value}>
+              <td className="pr-2">
+                <svg width="30" height="14">
+                  <line x1="0" y1="7" x2="30" y2="7" stroke="#555" strokeWidth={edgeWidth} />
+                </svg>
+              </td>
+              <td className="pr-2">
+                <div
+                  className="border border-gray-500 rounded-sm h-3"
+                  style={{ width: `${nodeWidth * LEGEND_NODE_SCALE}px` }}
+                />
+              </td>
+              <td className="text-right whitespace-nowrap">{label}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    <div className="text-gray-400 mt-1">
+      Nodes drawn at {LEGEND_NODE_SCALE * 100}%, {NODE_WIDTH_RANGE[0]}-{NODE_WIDTH_RANGE[1]} px
+    </div>
+  </div>
+);
+
+export default MetricSizeLegend;
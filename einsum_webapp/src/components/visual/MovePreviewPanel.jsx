@@ -0,0 +1,55 @@
+import React from 'react';
+import { formatNumber } from '../utils/formatting.jsx';
+
+/**
+ * Cost change of a subtree move dragged onto another node, with buttons to commit it once dropped
+ * @param {Object} props - Component props
+ * @param {string[]} props.subtree - Indices of the moved subtree
+ * @param {string[]} props.target - Indices of the node it is contracted with
+ * @param {Object} props.preview - Result of previewMove {valid, reason, costBefore, costAfter}
+ * @param {boolean} props.pending - Whether the subtree was dropped and the move awaits confirmation
+ * @param {Function} props.onApply - Commits the move
+ * @param {Function} props.onCancel - Discards the move
+ * @returns {React.Component} MovePreviewPanel component
+ */
+const MovePreviewPanel = ({ subtree, target, preview, pending, onApply, onCancel }) => {
+  const formatCost = (value) => formatNumber(value, { maximumFractionDigits: 0, minimumFractionDigits: 0 });
+  const delta = preview.valid ? preview.costAfter - preview.costBefore : 0;
+  const deltaPercentage = preview.costBefore > 0 ? (delta / preview.costBefore) * 100 : 0;
+
+  return (
+    <div className="bg-white shadow-md rounded-md p-2 text-sm text-gray-700 w-80">
+      <div className="font-medium">
+        Contract [{subtree.join(',')}] with [{target.join(',')}]
+      </div>
+      {preview.valid ? (
+        <div className="flex justify-between mt-1">
+          <span>Cost {formatCost(preview.costBefore)} → {formatCost(preview.costAfter)}</span>
+          <span className={delta > 0 ? 'text-red-600' : 'text-green-700'}>
+            {delta > 0 ? '+' : ''}{formatNumber(deltaPercentage)}%
+          </span>
+        </div>
+      ) : (
+        <div className="mt-1 text-red-600">{preview.reason}</div>
+      )}
+      {pending && (
+        <div className="flex justify-end gap-2 mt-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1 rounded-md border border-gray-300 hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onApply}
+            className="px-3 py-1 rounded-md bg-[#1e3a5f] text-white hover:shadow"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MovePreviewPanel;
@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { OptimizerType } from '../utils/pathOptimizer.jsx';
+import { formatNumber } from '../utils/formatting.jsx';
+
+/**
+ * Human readable names of the available optimizers
+ */
+const OPTIMIZER_LABELS = {
+  [OptimizerType.GREEDY]: 'Greedy',
+  [OptimizerType.OPTIMAL]: 'Optimal (small trees)',
+  [OptimizerType.RANDOM_GREEDY]: 'Randomized Greedy'
+};
+
+/**
+ * Panel to search for a cheaper contraction order and adopt it
+ * @param {Object} props - Component props
+ * @param {Tree} props.tree - Current contraction tree, results for another tree are discarded
+ * @param {Function} props.onOptimize - Runs an optimizer, returns {before, after, faultyNodes, tree, expression} or null
+ * @param {Function} props.onApply - Applies the optimized tree
+ * @returns {React.Component} PathOptimizerPanel component
+ */
+const PathOptimizerPanel = ({ tree, onOptimize, onApply }) => {
+  const [optimizer, setOptimizer] = useState(OptimizerType.GREEDY);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    setResult(null);
+  }, [tree]);
+
+  const handleOptimize = () => {
+    setResult(onOptimize(optimizer));
+  };
+
+  const handleApply = () => {
+    onApply(result.tree);
+    setResult(null);
+  };
+
+  const isFaulty = result && result.faultyNodes > 0;
+  const improvement = result && !isFaulty && result.before > 0
+    ? (1 - result.after / result.before) * 100
+    : null;
+
+  return (
+    <CollapsiblePanel title="Path Optimizer">
+      <div className="space-y-3">
+        <div className="flex items-center gap-2">
+          <select
+            value={optimizer}
+            onChange={(e) => setOptimizer(e.target.value)}
+            className="flex-grow p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.values(OptimizerType).map(type => (
+              <option key={type} value={type}>{OPTIMIZER_LABELS[type]}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleOptimize}
+            className="px-5 py-2 bg-[#1e3a5f] text-white rounded-md transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+          >
+            Optimize
+          </button>
+        </div>
+
+        {result && (
+          <div className="space-y-2">
+            {isFaulty ? (
+              <div className="text-sm text-red-600">
+                The optimized order contains {result.faultyNodes} malformed contraction{result.faultyNodes > 1 ? 's' : ''} and cannot be applied.
+              </div>
+            ) : (
+              <div className="grid grid-cols-2 gap-2 text-sm">
+                <span className="font-medium">Current #Ops:</span>
+                <span>{formatNumber(result.before, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</span>
+                <span className="font-medium">Optimized #Ops:</span>
+                <span>{formatNumber(result.after, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</span>
+                {improvement !== null && (
+                  <>
+                    <span className="font-medium">Reduction:</span>
+                    <span>{formatNumber(improvement)} %</span>
+                  </>
+                )}
+              </div>
+            )}
+            <div className="text-xs text-gray-500 break-all">{result.expression}</div>
+            <button
+              onClick={handleApply}
+              disabled={isFaulty || (result.after >= result.before && result.before > 0)}
+              className="px-5 py-2 bg-[#282c34] text-white rounded-md w-full transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        )}
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default PathOptimizerPanel;
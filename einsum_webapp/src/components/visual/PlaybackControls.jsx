@@ -0,0 +1,89 @@
+import React from 'react';
+import {
+  TbPlayerPlay,
+  TbPlayerPause,
+  TbPlayerTrackNext,
+  TbPlayerTrackPrev,
+  TbRotate,
+  TbX
+} from "react-icons/tb";
+import SymbolicSizesNote from './SymbolicSizesNote.jsx';
+import { formatNumber } from '../utils/formatting.jsx';
+
+/**
+ * Playback speeds in steps per second
+ */
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+const buttonClass = "p-1.5 rounded-md hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent";
+
+/**
+ * Controls and counters of the execution playback
+ * @param {Object} props - Component props
+ * @param {Object[]} props.steps - Playback steps from createPlayback
+ * @param {number} props.step - Index of the current step
+ * @param {boolean} props.playing - Whether the playback advances by itself
+ * @param {number} props.speed - Steps per second, one of PLAYBACK_SPEEDS
+ * @param {Function} props.onStep - Moves to a step index
+ * @param {Function} props.onTogglePlaying - Starts or pauses the playback
+ * @param {Function} props.onSpeedChange - Receives the new speed
+ * @param {Function} props.onClose - Leaves the playback mode
+ * @param {Function} props.formatSize - Formats a size in bytes with the selected unit
+ * @param {string[]} [props.symbolicIndices] - Indices of the tree with symbolic sizes
+ * @returns {React.Component} PlaybackControls component
+ */
+const PlaybackControls = ({ steps, step, playing, speed, onStep, onTogglePlaying, onSpeedChange, onClose, formatSize, symbolicIndices = [] }) => {
+  const current = steps[step];
+  const totalOperations = steps[steps.length - 1]?.cumulativeOperations ?? 0;
+  const isLastStep = step >= steps.length - 1;
+  const formatCount = (value) => formatNumber(value, { maximumFractionDigits: 0, minimumFractionDigits: 0 });
+
+  return (
+    <div className="bg-white shadow-md rounded-md p-2 text-sm text-gray-700 w-72">
+      <div className="flex items-center gap-1">
+        <button className={buttonClass} onClick={() => onStep(0)} disabled={step === 0} title="restart">
+          <TbRotate />
+        </button>
+        <button className={buttonClass} onClick={() => onStep(step - 1)} disabled={step === 0} title="previous step">
+          <TbPlayerTrackPrev />
+        </button>
+        <button className={buttonClass} onClick={onTogglePlaying} title={playing ? 'pause' : 'play'}>
+          {playing ? <TbPlayerPause /> : <TbPlayerPlay />}
+        </button>
+        <button className={buttonClass} onClick={() => onStep(step + 1)} disabled={isLastStep} title="next step">
+          <TbPlayerTrackNext />
+        </button>
+        <select
+          value={speed}
+          onChange={(e) => onSpeedChange(Number(e.target.value))}
+          className="ml-1 p-0.5 border border-gray-300 rounded text-xs"
+          title="steps per second"
+        >
+          {PLAYBACK_SPEEDS.map(value => <option key={value} value={value}>{value}x</option>)}
+        </select>
+        <button className={`${buttonClass} ml-auto`} onClick={onClose} title="leave playback">
+          <TbX />
+        </button>
+      </div>
+      {current && (
+        <div className="mt-1 space-y-0.5">
+          <div className="flex justify-between">
+            <span>Step {step + 1} / {steps.length}</span>
+            <span className="font-mono truncate ml-2">[{current.value.join(',')}]</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Operations</span>
+            <span>{formatCount(current.cumulativeOperations)} / {formatCount(totalOperations)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span>Allocated memory</span>
+            <span>{formatSize(current.allocatedBytes)}</span>
+          </div>
+          <SymbolicSizesNote indices={symbolicIndices} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackControls;
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { scaleLog } from 'd3-scale';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import HardwareProfileEditor from './HardwareProfileEditor.jsx';
+import SymbolicSizesNote from './SymbolicSizesNote.jsx';
+import { peakFlopsFor } from '../utils/roofline.jsx';
+import { REAL_DATA_TYPES } from '../utils/dataTypes.jsx';
+import { formatNumber, formatDuration } from '../utils/formatting.jsx';
+
+const PLOT_WIDTH = 360;
+const PLOT_HEIGHT = 240;
+const MARGIN = { top: 10, right: 10, bottom: 30, left: 45 };
+
+const BOUND_COLORS = {
+  compute: '#d32f2f',
+  memory: '#1976d2'
+};
+
+/**
+ * Log-log roofline plot with one roof per memory level and one point per node
+ * @param {Object} props - Component props
+ * @param {Object[]} props.points - Roofline points from analyzeRoofline
+ * @param {Object} props.profile - Hardware profile
+ * @param {string} props.dataType - Data type name
+ * @param {string|null} props.selectedNodeId - Id of the highlighted node
+ * @returns {React.Component} RooflinePlot component
+ */
+const RooflinePlot = ({ points, profile, dataType, selectedNodeId }) => {
+  const peak = peakFlopsFor(profile, dataType) / 1e9;
+  const levels = [
+    ...(profile.caches || []).map(cache => ({ name: cache.name, bandwidth: cache.bandwidth })),
+    { name: 'DRAM', bandwidth: profile.memoryBandwidth }
+  ].filter(level => level.bandwidth > 0);
+
+  const finite = points.filter(point => isFinite(point.intensity) && point.intensity > 0);
+  const ridges = levels.map(level => peak / level.bandwidth);
+  const xValues = [...finite.map(point => point.intensity), ...ridges].filter(x => x > 0);
+  const xMin = Math.min(...xValues, 1) / 4;
+  const xMax = Math.max(...xValues, 1) * 4;
+
+  const x = scaleLog().domain([xMin, xMax]).range([MARGIN.left, PLOT_WIDTH - MARGIN.right]);
+  const yMin = Math.min(...levels.map(level => level.bandwidth * xMin), peak) || 1;
+  const y = scaleLog().domain([yMin, (peak || 1) * 2]).range([PLOT_HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  return (
+    <svg width={PLOT_WIDTH} height={PLOT_HEIGHT} className="bg-white">
+      <line x1={MARGIN.left} y1={PLOT_HEIGHT - MARGIN.bottom} x2={PLOT_WIDTH - MARGIN.right} y2={PLOT_HEIGHT - MARGIN.bottom} stroke="#555" />
+      <line x1={MARGIN.left} y1={MARGIN.top} x2={MARGIN.left} y2={PLOT_HEIGHT - MARGIN.bottom} stroke="#555" />
+      {x.ticks(4).filter(tick => Number.isInteger(Math.log10(tick))).map(tick => (
+        <text key={`x${tick}`} x={x(tick)} y={PLOT_HEIGHT - MARGIN.bottom + 12} fontSize="9" textAnchor="middle">
+          {formatNumber(tick)}
+        </text>
+      ))}
+      {y.ticks(4).filter(tick => Number.isInteger(Math.log10(tick))).map(tick => (
+        <text key={`y${tick}`} x={MARGIN.left - 4} y={y(tick) + 3} fontSize="9" textAnchor="end">
+          {formatNumber(tick)}
+        </text>
+      ))}
+      <text x={(PLOT_WIDTH + MARGIN.left) / 2} y={PLOT_HEIGHT - 4} fontSize="10" textAnchor="middle">
+        Arithmetic Intensity (FLOP/Byte)
+      </text>
+      <text x={10} y={(PLOT_HEIGHT - MARGIN.bottom) / 2} fontSize="10" textAnchor="middle"
+        transform={`rotate(-90, 10, ${(PLOT_HEIGHT - MARGIN.bottom) / 2})`}>
+        GFLOP/s
+      </text>
+
+      {levels.map(level => {
+        const ridge = peak / level.bandwidth;
+        return (
+          <g key={level.name}>
+            <line
+              x1={x(xMin)} y1={y(Math.max(level.bandwidth * xMin, yMin))}
+              x2={x(ridge)} y2={y(peak)}
+              stroke="#888" strokeDasharray={level.name === 'DRAM' ? undefined : '4 2'}
+            />
+            <text x={x(ridge) - 2} y={y(peak) + 10} fontSize="8" textAnchor="end" fill="#666">
+              {level.name}
+            </text>
+          </g>
+        );
+      })}
+      <line
+        x1={x(Math.min(...ridges, xMax))} y1={y(peak)}
+        x2={x(xMax)} y2={y(peak)}
+        stroke="#333"
+      />
+
+      {finite.map(point => (
+        <circle
+          key={point.id}
+          cx={x(point.intensity)}
+          cy={y(Math.max(point.attainable / 1e9, yMin))}
+          r={point.id === selectedNodeId ? 5 : 3}
+          fill={BOUND_COLORS[point.bound]}
+          stroke={point.id === selectedNodeId ? '#000' : 'none'}
+        >
+          <title>
+            {`${point.label.join(',')}: ${formatNumber(point.intensity)} FLOP/Byte, ${formatDuration(point.runtime)}`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * Panel placing the contractions of the tree on the roofline of a selectable machine
+ * @param {Object} props - Component props
+ * @param {Object} props.analysis - Result of analyzeRoofline
+ * @param {Object} props.hardware - Result of useHardwareProfiles
+ * @param {string} props.dataType - Data type name
+ * @param {string|null} props.selectedNodeId - Id of the selected node
+ * @param {string[]} [props.symbolicIndices] - Indices of the tree with symbolic sizes
+ * @returns {React.Component} RooflinePanel component
+ */
+const RooflinePanel = ({ analysis, hardware, dataType, selectedNodeId, symbolicIndices = [] }) => {
+  const { profiles, selectedProfile, selectProfile, saveProfile, deleteProfile, resetProfiles } = hardware;
+  const [editing, setEditing] = useState(null);
+
+  const startNewProfile = () => {
+    setEditing({
+      ...selectedProfile,
+      id: `custom-${Date.now()}`,
+      name: `${selectedProfile.name} (copy)`
+    });
+  };
+
+  const buttonClass = "flex-1 px-2 py-1 bg-gray-100 text-gray-700 rounded-md border border-gray-200 hover:bg-gray-200 text-sm";
+
+  return (
+    <CollapsiblePanel title="Roofline Model">
+      <div className="mb-2">
+        <h3 className="text-lg font-semibold">Hardware Profile:</h3>
+        <select
+          value={selectedProfile.id}
+          onChange={(e) => { selectProfile(e.target.value); setEditing(null); }}
+          className="mt-1 block w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {editing ? (
+        <div className="mb-2">
+          <HardwareProfileEditor
+            key={editing.id}
+            profile={editing}
+            dataTypes={REAL_DATA_TYPES}
+            onSave={(profile) => { saveProfile(profile); setEditing(null); }}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      ) : (
+        <div className="flex gap-2 mb-2">
+          <button onClick={() => setEditing(selectedProfile)} className={buttonClass}>Edit</button>
+          <button onClick={startNewProfile} className={buttonClass}>Duplicate</button>
+          <button onClick={() => deleteProfile(selectedProfile.id)} className={buttonClass}>Delete</button>
+          <button onClick={resetProfiles} className={buttonClass}>Reset</button>
+        </div>
+      )}
+
+      <SymbolicSizesNote indices={symbolicIndices} />
+      <div className="text-lg mb-2">
+        <span className="font-medium">Estimated Runtime:&nbsp;</span>
+        {formatDuration(analysis.totalRuntime)}
+      </div>
+
+      {analysis.points.length > 0 && (
+        <>
+          <div className="overflow-x-auto mb-2">
+            <RooflinePlot
+              points={analysis.points}
+              profile={selectedProfile}
+              dataType={dataType}
+              selectedNodeId={selectedNodeId}
+            />
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left">
+                <th>Node</th>
+                <th>Intensity</th>
+                <th>Bound</th>
+                <th>Runtime</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.points.map(point => (
+                <tr key={point.id} className={point.id === selectedNodeId ? 'bg-blue-50' : ''}>
+                  <td className="font-mono">{point.label.join(',')}</td>
+                  <td>{formatNumber(point.intensity)}</td>
+                  <td style={{ color: BOUND_COLORS[point.bound] }}>{point.bound}</td>
+                  <td>{formatDuration(point.runtime)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </CollapsiblePanel>
+  );
+};
+
+export default RooflinePanel;
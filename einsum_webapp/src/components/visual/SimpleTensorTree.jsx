@@ -230,6 +230,14 @@ const SimpleTensorTree = ({ node, left, right, dimTypes, onIndicesChange, isDrag
         const truncateThreshold = miniFlow.nodeWidth < 100 ? 8 : 12;
         const shouldTruncate = fullText.length > truncateThreshold;
 
+        // Keep the trailing indices that fit into three characters, but at least one
+        const tailIndices = [text[text.length - 1]];
+        let tailLength = tailIndices[0].length;
+        for (let i = text.length - 2; i >= 0 && tailLength + text[i].length <= 3; i--) {
+            tailIndices.unshift(text[i]);
+            tailLength += text[i].length;
+        }
+
         const createColoredHtml = (letters) => {
             return letters
                 .map((letter) => {
@@ -241,7 +249,7 @@ const SimpleTensorTree = ({ node, left, right, dimTypes, onIndicesChange, isDrag
         };
 
         const truncatedHtml = shouldTruncate ?
-            '...' + createColoredHtml(text.slice(-3)) :
+            '...' + createColoredHtml(tailIndices) :
             createColoredHtml(text);
 
         return {
@@ -0,0 +1,19 @@
+import React from 'react';
+
+/**
+ * Marks numeric values as partial while some of the sizes they use are symbolic
+ * @param {Object} props - Component props
+ * @param {string[]} props.indices - Symbolic indices the values depend on
+ * @returns {React.Component|null} SymbolicSizesNote component, nothing without symbolic indices
+ */
+const SymbolicSizesNote = ({ indices }) => {
+  if (indices.length === 0) return null;
+
+  return (
+    <div className="text-sm text-amber-700 mb-2">
+      Partial: {indices.join(', ')} {indices.length > 1 ? 'are' : 'is'} symbolic and counted as 1.
+    </div>
+  );
+};
+
+export default SymbolicSizesNote;
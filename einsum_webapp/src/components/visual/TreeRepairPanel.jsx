@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import CollapsiblePanel from '../common/CollapsiblePanel.jsx';
+import { RepairKind } from '../utils/treeRepair.jsx';
+
+/**
+ * Human readable descriptions of the repair kinds
+ */
+const REPAIR_LABELS = {
+  [RepairKind.REORDER]: 'Reorder',
+  [RepairKind.PERMUTE]: 'Add permutation',
+  [RepairKind.REDUCE]: 'Add reduction'
+};
+
+/**
+ * Panel to make faulty nodes classifiable by reordering the indices of their operands
+ * @param {Object} props - Component props
+ * @param {Tree} props.tree - Current contraction tree, plans for another tree are discarded
+ * @param {Function} props.onFindRepairs - Plans the repairs, returns {repairs, unrepairable, totalCost, tree, expression} or null
+ * @param {Function} props.onApply - Applies the repaired tree
+ * @param {Function} props.formatSize - Formats a size in bytes with the selected unit
+ * @returns {React.Component} TreeRepairPanel component
+ */
+const TreeRepairPanel = ({ tree, onFindRepairs, onApply, formatSize }) => {
+  const [plan, setPlan] = useState(null);
+
+  useEffect(() => {
+    setPlan(null);
+  }, [tree]);
+
+  const handleApply = () => {
+    onApply(plan.tree);
+    setPlan(null);
+  };
+
+  const isUnchanged = plan && plan.repairs.length === 0;
+
+  return (
+    <CollapsiblePanel title="Repair Faulty Nodes">
+      <div className="space-y-3">
+        <button
+          onClick={() => setPlan(onFindRepairs())}
+          className="px-5 py-2 bg-[#1e3a5f] text-white rounded-md w-full transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+        >
+          Find Repairs
+        </button>
+
+        {plan && (
+          <div className="space-y-2">
+            {isUnchanged && plan.unrepairable.length === 0 && (
+              <div className="text-sm text-gray-600">All nodes are classifiable, nothing to repair.</div>
+            )}
+
+            {plan.repairs.length > 0 && (
+              <>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left">
+                      <th>Node</th>
+                      <th>Change</th>
+                      <th>Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.repairs.map(repair => (
+                      <tr key={repair.childId} className="align-top">
+                        <td className="font-mono">{repair.nodeValue.join(',')}</td>
+                        <td>
+                          {REPAIR_LABELS[repair.kind]} on {repair.side}:{' '}
+                          <span className="font-mono">[{repair.from.join(',')}] → [{repair.to.join(',')}]</span>
+                        </td>
+                        <td>{formatSize(repair.cost)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-sm">
+                  <span className="font-medium">Total Data Movement:&nbsp;</span>
+                  {formatSize(plan.totalCost)}
+                </div>
+                <div className="text-xs text-gray-500 break-all">{plan.expression}</div>
+              </>
+            )}
+
+            {plan.unrepairable.map(entry => (
+              <div key={entry.nodeId} className="text-sm text-red-600">
+                [{entry.value.join(',')}] cannot be repaired: {entry.reason}
+              </div>
+            ))}
+
+            {plan.repairs.length > 0 && (
+              <button
+                onClick={handleApply}
+                className="px-5 py-2 bg-[#282c34] text-white rounded-md w-full transition-all duration-300 shadow-md hover:shadow-lg focus:outline-none focus:ring-2"
+              >
+                Apply
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </CollapsiblePanel>
+  );
+};
+
+export default TreeRepairPanel;